@@ -28,13 +28,38 @@ app.prepare().then(() => {
   server.use(morgan('dev'));
   server.use(express.json());
   server.use(express.urlencoded({ extended: true }));
+  server.use(require('./src/backend/middleware/requestId'));
+
+  // Imagens dos produtos no armazenamento local (em produção, servidas pelo Supabase Storage).
+  // As chaves são únicas, então os arquivos podem ficar em cache indefinidamente
+  const { getStorage } = require('./src/backend/services/storage/storage');
+  const { LocalStorage } = require('./src/backend/services/storage/localStorage');
+  const storage = getStorage();
+  if (storage instanceof LocalStorage) {
+    server.use('/uploads/products', express.static(storage.resolve('products'), { maxAge: '1y', immutable: true }));
+  }
 
   // Rotas da API
   server.use('/api/auth', require('./src/backend/api/auth'));
   server.use('/api/products', require('./src/backend/api/products'));
+  server.use('/api/categories', require('./src/backend/api/categories'));
+  server.use('/api/sales', require('./src/backend/api/sales'));
+  server.use('/api/inventory', require('./src/backend/api/inventory'));
+  server.use('/api/promotions', require('./src/backend/api/promotions'));
+  server.use('/api/coupons', require('./src/backend/api/coupons'));
+  server.use('/api/customers', require('./src/backend/api/customers'));
+  server.use('/api/delivery-zones', require('./src/backend/api/deliveryZones'));
+  server.use('/api/kitchen', require('./src/backend/api/kitchen'));
+  server.use('/api/whatsapp', require('./src/backend/api/whatsapp'));
+  server.use('/api/notifications', require('./src/backend/api/notifications'));
+  server.use('/api/menu-imports', require('./src/backend/api/menuImports'));
+  server.use('/api/menu', require('./src/backend/api/menu'));
   
   // Adicione mais rotas da API aqui conforme necessário
 
+  // Tratamento de erros das rotas da API
+  server.use('/api', require('./src/backend/middleware/errorHandler'));
+
   // Manipulador para todas as outras rotas (Next.js)
   server.all('*', (req, res) => {
     return handle(req, res);
@@ -44,6 +69,10 @@ app.prepare().then(() => {
     if (err) throw err;
     console.log(`> Servidor pronto na porta ${PORT}`);
   });
+
+  // Notificações de status dos pedidos aos clientes
+  const { NotificationService } = require('./src/backend/services/notifications/notificationService');
+  new NotificationService().start();
 }).catch(err => {
   console.error('Erro ao iniciar servidor:', err);
   process.exit(1);
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const CategoryController = require('../controllers/categoryController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+
+// Instancia o controlador de categorias
+const categoryController = new CategoryController();
+
+/**
+ * @route GET /api/categories
+ * @desc Busca as categorias na ordem de exibição, com a quantidade de produtos
+ * (?includeInactive=true inclui as categorias desativadas)
+ * @access Público
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const options = {
+      includeInactive: req.query.includeInactive === 'true'
+    };
+
+    const categories = await categoryController.getAllCategories(options);
+    res.json(categories);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/categories/:idOrSlug
+ * @desc Busca uma categoria pelo ID ou slug
+ * @access Público
+ */
+router.get('/:idOrSlug', async (req, res, next) => {
+  try {
+    const category = await categoryController.getCategory(req.params.idOrSlug);
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/categories
+ * @desc Cria uma nova categoria
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const newCategory = await categoryController.createCategory(req.body);
+    res.status(201).json(newCategory);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/categories/:id
+ * @desc Atualiza uma categoria (nome, slug, ícone, ordem de exibição, ativa)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const updatedCategory = await categoryController.updateCategory(req.params.id, req.body);
+    res.json(updatedCategory);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/categories/:id
+ * @desc Exclui uma categoria sem produtos
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.delete('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const result = await categoryController.deleteCategory(req.params.id);
+    res.json({ success: result, message: 'Categoria excluída com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
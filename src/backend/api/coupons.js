@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const CouponController = require('../controllers/couponController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+
+// Instancia o controlador de cupons
+const couponController = new CouponController();
+
+/**
+ * @route GET /api/coupons
+ * @desc Busca os cupons (?includeInactive=true inclui os desativados)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const options = {
+      includeInactive: req.query.includeInactive === 'true'
+    };
+
+    const coupons = await couponController.getAllCoupons(options);
+    res.json(coupons);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/coupons/report
+ * @desc Relatório de resgates: pedidos, desconto concedido e faturamento por cupom
+ * (?startDate&endDate)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/report', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const report = await couponController.getRedemptionReport(startDate, endDate);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/coupons/:id
+ * @desc Busca um cupom pelo ID
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const coupon = await couponController.getCoupon(req.params.id);
+    res.json(coupon);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/coupons
+ * @desc Cria um cupom: percentual, valor fixo, entrega grátis ou leve X pague Y,
+ * com vigência, pedido mínimo, limites de uso e política de acúmulo
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const newCoupon = await couponController.createCoupon(req.body);
+    res.status(201).json(newCoupon);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/coupons/:id
+ * @desc Atualiza um cupom
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const updatedCoupon = await couponController.updateCoupon(req.params.id, req.body);
+    res.json(updatedCoupon);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/coupons/:id
+ * @desc Exclui um cupom (os descontos já concedidos permanecem nas vendas)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.delete('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const result = await couponController.deleteCoupon(req.params.id);
+    res.json({ success: result, message: 'Cupom excluído com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const CustomerController = require('../controllers/customerController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+
+// Instancia o controlador de clientes
+const customerController = new CustomerController();
+
+/**
+ * @route GET /api/customers
+ * @desc Busca os clientes com paginação (?search filtra por nome, telefone ou CPF)
+ * @access Privado
+ */
+router.get('/', authenticateJWT, async (req, res, next) => {
+  try {
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      search: req.query.search || ''
+    };
+
+    const result = await customerController.getAllCustomers(options);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/customers/phone/:phone
+ * @desc Busca um cliente pelo telefone, em qualquer formato
+ * @access Privado
+ */
+router.get('/phone/:phone', authenticateJWT, async (req, res, next) => {
+  try {
+    const customer = await customerController.getCustomerByPhone(req.params.phone);
+    res.json(customer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/customers/:id
+ * @desc Busca um cliente pelo ID, com valor total gasto, pedidos e ticket médio
+ * @access Privado
+ */
+router.get('/:id', authenticateJWT, async (req, res, next) => {
+  try {
+    const customer = await customerController.getCustomer(req.params.id);
+    res.json(customer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/customers/:id/orders
+ * @desc Busca o histórico de pedidos do cliente, dos mais recentes aos mais antigos
+ * @access Privado
+ */
+router.get('/:id/orders', authenticateJWT, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const orders = await customerController.getCustomerOrders(req.params.id, page, limit);
+    res.json(orders);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/customers/:id/loyalty
+ * @desc Busca o saldo e o extrato de pontos de fidelidade do cliente
+ * @access Privado
+ */
+router.get('/:id/loyalty', authenticateJWT, async (req, res, next) => {
+  try {
+    const loyalty = await customerController.getLoyalty(req.params.id);
+    res.json(loyalty);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/customers
+ * @desc Cadastra um cliente. O telefone identifica o cliente e é único
+ * @access Privado
+ */
+router.post('/', authenticateJWT, async (req, res, next) => {
+  try {
+    const newCustomer = await customerController.createCustomer(req.body);
+    res.status(201).json(newCustomer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/customers/:id
+ * @desc Atualiza os dados, endereços e observações de um cliente
+ * @access Privado
+ */
+router.put('/:id', authenticateJWT, async (req, res, next) => {
+  try {
+    const updatedCustomer = await customerController.updateCustomer(req.params.id, req.body);
+    res.json(updatedCustomer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/customers/:id
+ * @desc Exclui um cliente (as vendas permanecem, sem o vínculo com o cliente)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.delete('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const result = await customerController.deleteCustomer(req.params.id);
+    res.json({ success: result, message: 'Cliente excluído com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
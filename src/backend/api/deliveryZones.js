@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const DeliveryZoneController = require('../controllers/deliveryZoneController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+
+// Instancia o controlador de áreas de entrega
+const deliveryZoneController = new DeliveryZoneController();
+
+/**
+ * @route GET /api/delivery-zones
+ * @desc Busca as áreas de entrega (?includeInactive=true inclui as desativadas)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const options = {
+      includeInactive: req.query.includeInactive === 'true'
+    };
+
+    const zones = await deliveryZoneController.getAllZones(options);
+    res.json(zones);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/delivery-zones/quote
+ * @desc Consulta se um endereço é atendido, com a taxa de entrega, o pedido
+ * mínimo e o tempo estimado da área
+ * @access Público
+ */
+router.post('/quote', async (req, res, next) => {
+  try {
+    const quote = await deliveryZoneController.quoteDelivery(req.body);
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/delivery-zones/:id
+ * @desc Busca uma área de entrega pelo ID
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const zone = await deliveryZoneController.getZone(req.params.id);
+    res.json(zone);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/delivery-zones
+ * @desc Cria uma área de entrega por prefixos de CEP e/ou bairros, com taxa,
+ * pedido mínimo e tempo estimado
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const newZone = await deliveryZoneController.createZone(req.body);
+    res.status(201).json(newZone);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/delivery-zones/:id
+ * @desc Atualiza uma área de entrega
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const updatedZone = await deliveryZoneController.updateZone(req.params.id, req.body);
+    res.json(updatedZone);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/delivery-zones/:id
+ * @desc Exclui uma área de entrega (as vendas mantêm a taxa cobrada)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.delete('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const result = await deliveryZoneController.deleteZone(req.params.id);
+    res.json({ success: result, message: 'Área de entrega excluída com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const InventoryController = require('../controllers/inventoryController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+
+// Instancia o controlador de estoque
+const inventoryController = new InventoryController();
+
+/**
+ * @route GET /api/inventory/ingredients
+ * @desc Busca os insumos com o saldo atual (?includeInactive=true inclui os desativados)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/ingredients', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const options = {
+      includeInactive: req.query.includeInactive === 'true'
+    };
+
+    const ingredients = await inventoryController.getAllIngredients(options);
+    res.json(ingredients);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/inventory/ingredients/low-stock
+ * @desc Busca os insumos com saldo igual ou abaixo do estoque mínimo, com os
+ * produtos que dependem de cada um
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/ingredients/low-stock', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const ingredients = await inventoryController.getLowStockIngredients();
+    res.json(ingredients);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/inventory/ingredients/:id
+ * @desc Busca um insumo pelo ID
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/ingredients/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const ingredient = await inventoryController.getIngredient(req.params.id);
+    res.json(ingredient);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/inventory/ingredients
+ * @desc Cria um novo insumo
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/ingredients', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const newIngredient = await inventoryController.createIngredient(req.body);
+    res.status(201).json(newIngredient);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/inventory/ingredients/:id
+ * @desc Atualiza um insumo (nome, unidade, estoque mínimo, ativo)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/ingredients/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const updatedIngredient = await inventoryController.updateIngredient(req.params.id, req.body);
+    res.json(updatedIngredient);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/inventory/ingredients/:id
+ * @desc Exclui um insumo que não faz parte de nenhuma ficha técnica
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.delete('/ingredients/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const result = await inventoryController.deleteIngredient(req.params.id);
+    res.json({ success: result, message: 'Insumo excluído com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/inventory/ingredients/:id/movements
+ * @desc Busca as movimentações de estoque de um insumo
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/ingredients/:id/movements', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const movements = await inventoryController.getMovements(req.params.id, limit);
+    res.json(movements);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/inventory/ingredients/:id/movements
+ * @desc Registra uma entrada (purchase), perda (loss) ou ajuste (adjustment) de estoque.
+ * Produtos que dependem de um insumo esgotado ficam indisponíveis
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/ingredients/:id/movements', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const ingredient = await inventoryController.adjustStock(
+      req.params.id,
+      req.body,
+      req.user ? String(req.user.id) : null
+    );
+    res.status(201).json(ingredient);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/inventory/recipes/:productId
+ * @desc Busca a ficha técnica de um produto
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/recipes/:productId', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const recipe = await inventoryController.getRecipe(req.params.productId);
+    res.json(recipe);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/inventory/recipes/:productId
+ * @desc Substitui a ficha técnica de um produto (insumos e quantidades por unidade)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/recipes/:productId', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const recipe = await inventoryController.replaceRecipe(req.params.productId, req.body.items);
+    res.json(recipe);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
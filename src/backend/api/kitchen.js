@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const KitchenController = require('../controllers/kitchenController');
+const { SALE_EVENTS, saleEvents } = require('../services/saleEvents');
+const { resolveTargetMinutes, toKitchenTicket } = require('../utils/kitchen');
+const { authenticateJWT } = require('../middleware/authMiddleware');
+
+// Instancia o controlador da cozinha
+const kitchenController = new KitchenController();
+
+// Intervalo dos comentários que mantêm a conexão do stream aberta em proxies
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * @route GET /api/kitchen/queue
+ * @desc Fila da cozinha: pedidos pendentes e em preparo, dos mais antigos aos
+ * mais novos, com itens, opções, tempo decorrido e atraso em relação ao tempo
+ * de preparo desejado (?targetMinutes=20; ?includeReady=true inclui os prontos)
+ * @access Privado
+ */
+router.get('/queue', authenticateJWT, async (req, res, next) => {
+  try {
+    const options = {
+      targetMinutes: req.query.targetMinutes,
+      includeReady: req.query.includeReady === 'true'
+    };
+
+    const queue = await kitchenController.getQueue(options);
+    res.json(queue);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/kitchen/stream
+ * @desc Stream em tempo real (Server-Sent Events) da cozinha. Envia a fila
+ * atual no evento "queue" e, em seguida, os eventos sale.created (ticket do
+ * novo pedido), sale.status_changed e sale.item_status_changed. Eventos
+ * ocorridos enquanto a fila é carregada são enviados logo depois dela e podem
+ * repetir pedidos já presentes na fila
+ * @access Privado
+ */
+router.get('/stream', authenticateJWT, async (req, res, next) => {
+  let heartbeat = null;
+  let targetMinutes;
+  let pending = [];
+
+  // O middleware de compressão só envia os dados com flush
+  const send = (event, data) => {
+    if (pending) {
+      pending.push([event, data]);
+      return;
+    }
+
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (res.flush) res.flush();
+  };
+
+  // Inscreve-se antes de carregar a fila, para não perder pedidos criados nesse intervalo
+  const listeners = {
+    [SALE_EVENTS.CREATED]: ({ sale }) => {
+      send(SALE_EVENTS.CREATED, toKitchenTicket(sale, { targetMinutes }));
+    },
+    [SALE_EVENTS.STATUS_CHANGED]: ({ sale, from, to }) => {
+      send(SALE_EVENTS.STATUS_CHANGED, { id: sale.id, from, to });
+    },
+    [SALE_EVENTS.ITEM_STATUS_CHANGED]: ({ saleId, items }) => {
+      send(SALE_EVENTS.ITEM_STATUS_CHANGED, { id: saleId, items });
+    }
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    Object.entries(listeners).forEach(([event, listener]) => saleEvents.off(event, listener));
+  };
+
+  // A conexão pode ser encerrada enquanto a fila é carregada
+  req.on('close', cleanup);
+
+  try {
+    targetMinutes = resolveTargetMinutes(req.query.targetMinutes);
+
+    Object.entries(listeners).forEach(([event, listener]) => saleEvents.on(event, listener));
+
+    const queue = await kitchenController.getQueue({
+      targetMinutes,
+      includeReady: req.query.includeReady === 'true'
+    });
+
+    if (req.destroyed || res.writableEnded) {
+      cleanup();
+      return;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const buffered = pending;
+    pending = null;
+
+    send('queue', queue);
+    buffered.forEach(([event, data]) => send(event, data));
+
+    heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (res.flush) res.flush();
+    }, HEARTBEAT_INTERVAL_MS);
+  } catch (error) {
+    cleanup();
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/kitchen/orders/:id
+ * @desc Busca o ticket de cozinha de um pedido
+ * @access Privado
+ */
+router.get('/orders/:id', authenticateJWT, async (req, res, next) => {
+  try {
+    const ticket = await kitchenController.getTicket(req.params.id, req.query.targetMinutes);
+    res.json(ticket);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/kitchen/orders/:id/bump
+ * @desc Avança o pedido inteiro: pendente → em preparo → pronto
+ * @access Privado
+ */
+router.post('/orders/:id/bump', authenticateJWT, async (req, res, next) => {
+  try {
+    const ticket = await kitchenController.bumpOrder(
+      req.params.id,
+      req.user ? String(req.user.id) : null
+    );
+    res.json(ticket);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/kitchen/items/:id/bump
+ * @desc Avança um item do pedido: pendente → em preparo → pronto. O pedido
+ * entra em preparo com o primeiro item e fica pronto com o último
+ * @access Privado
+ */
+router.post('/items/:id/bump', authenticateJWT, async (req, res, next) => {
+  try {
+    const ticket = await kitchenController.bumpItem(
+      req.params.id,
+      req.user ? String(req.user.id) : null
+    );
+    res.json(ticket);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
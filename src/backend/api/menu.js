@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { PublicMenuService } = require('../services/publicMenuService');
+
+// Cardápio público em cache, regenerado a cada alteração do catálogo
+const publicMenuService = new PublicMenuService();
+publicMenuService.start();
+
+// Cache dos navegadores e proxies (o servidor já mantém o cardápio atualizado)
+const CACHE_CONTROL = 'public, max-age=60';
+
+// Origem da requisição, usada no endereço do cardápio online
+const requestOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * @route GET /api/menu
+ * @desc Cardápio público em JSON: produtos disponíveis agrupados por categoria,
+ * com preço promocional (discountPrice, inclusive das promoções vigentes) e a seção de destaques
+ * @access Público
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const menu = await publicMenuService.getMenu();
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.json(menu);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/menu/html
+ * @desc Página do cardápio público (?mesa=12 exibe o número da mesa)
+ * @access Público
+ */
+router.get('/html', async (req, res, next) => {
+  try {
+    const html = await publicMenuService.getHtml(req.query.mesa);
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type('html').send(html);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/menu/pdf
+ * @desc Cardápio em PDF para impressão, com QR code do cardápio online
+ * @access Público
+ */
+router.get('/pdf', async (req, res, next) => {
+  try {
+    const pdf = await publicMenuService.getPdf(publicMenuService.menuUrl(requestOrigin(req)));
+
+    res.set({
+      'Cache-Control': CACHE_CONTROL,
+      'Content-Disposition': 'inline; filename="cardapio.pdf"'
+    });
+    res.type('pdf').send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/menu/qrcode
+ * @desc QR code que aponta para o cardápio online, para imprimir nas mesas
+ * (?mesa=12 identifica a mesa; ?format=png|svg, padrão png)
+ * @access Público
+ */
+router.get('/qrcode', async (req, res, next) => {
+  try {
+    const url = publicMenuService.menuUrl(requestOrigin(req), req.query.mesa);
+    const qrCode = await publicMenuService.getQrCode(url, req.query.format || 'png');
+
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.type(qrCode.contentType).send(qrCode.content);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
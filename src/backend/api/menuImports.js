@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const MenuImportController = require('../controllers/menuImportController');
+const { MENU_FILE_TYPES, MENU_MAX_FILE_SIZE } = require('../services/menuImport/menuParser');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+const { uploadFile } = require('../middleware/upload');
+
+// Instancia o controlador de importação de cardápios
+const menuImportController = new MenuImportController();
+
+// Upload do arquivo do cardápio (campo "file")
+const uploadMenu = uploadFile({ field: 'file', types: MENU_FILE_TYPES, maxSize: MENU_MAX_FILE_SIZE });
+
+/**
+ * @route POST /api/menu-imports
+ * @desc Envia um cardápio em PDF, CSV ou XLSX (multipart, campo "file") e
+ * retorna os itens lidos e a prévia contra o catálogo: produtos novos, preços
+ * alterados e produtos ausentes. Nada é gravado no catálogo até a confirmação.
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/', authenticateJWT, isOwnerOrDeveloper, uploadMenu, async (req, res, next) => {
+  try {
+    const menuImport = await menuImportController.uploadMenu(
+      req.file,
+      req.user ? String(req.user.id) : null
+    );
+    res.status(201).json(menuImport);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/menu-imports
+ * @desc Busca as importações de cardápio (?status=pending|applied|discarded)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      status: req.query.status || null
+    };
+
+    const imports = await menuImportController.getImports(options);
+    res.json(imports);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/menu-imports/:id
+ * @desc Busca uma importação com os itens lidos, os avisos e a prévia
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const menuImport = await menuImportController.getImport(req.params.id);
+    res.json(menuImport);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/menu-imports/:id/file
+ * @desc Baixa o arquivo original do cardápio
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/:id/file', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const file = await menuImportController.getImportFile(req.params.id);
+
+    res.attachment(file.fileName);
+    res.type(file.contentType);
+    res.send(file.content);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/menu-imports/:id/confirm
+ * @desc Aplica a prévia ao catálogo: cria categorias e produtos novos e
+ * atualiza os preços alterados ({ deactivateMissing: true } também deixa
+ * indisponíveis os produtos ausentes do cardápio). Se o catálogo mudou desde
+ * a prévia, responde 409 com a nova prévia.
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/:id/confirm', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const menuImport = await menuImportController.confirmImport(
+      req.params.id,
+      req.body,
+      req.user ? String(req.user.id) : null
+    );
+    res.json(menuImport);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/menu-imports/:id/discard
+ * @desc Descarta uma importação sem alterar o catálogo
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/:id/discard', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const menuImport = await menuImportController.discardImport(req.params.id);
+    res.json(menuImport);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const NotificationController = require('../controllers/notificationController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+
+// Instancia o controlador de notificações
+const notificationController = new NotificationController();
+
+/**
+ * @route GET /api/notifications/templates
+ * @desc Busca os modelos de mensagem por status e as variáveis disponíveis
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/templates', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const templates = await notificationController.getTemplates();
+    res.json(templates);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/notifications/templates/:status
+ * @desc Cria ou atualiza o modelo de mensagem de um status
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/templates/:status', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const template = await notificationController.updateTemplate(req.params.status, req.body);
+    res.json(template);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/notifications
+ * @desc Busca as notificações enviadas e pendentes (?state=failed, ?saleId=...)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      state: req.query.state || null,
+      saleId: req.query.saleId || null
+    };
+
+    const notifications = await notificationController.getNotifications(options);
+    res.json(notifications);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/notifications/:id
+ * @desc Busca uma notificação com o registro de cada tentativa de envio
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const notification = await notificationController.getNotification(req.params.id);
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/notifications/:id/retry
+ * @desc Devolve à fila uma notificação que esgotou as tentativas
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/:id/retry', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const notification = await notificationController.retryNotification(req.params.id);
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
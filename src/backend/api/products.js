@@ -1,17 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const ProductController = require('../controllers/productController');
+const { IMAGE_FILE_TYPES, IMAGE_MAX_FILE_SIZE } = require('../services/productImages');
 const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+const { uploadFile } = require('../middleware/upload');
+const { ValidationError } = require('../utils/errors');
 
 // Instancia o controlador de produtos
 const productController = new ProductController();
 
+// Upload da imagem do produto (campo "image")
+const uploadImage = uploadFile({ field: 'image', types: IMAGE_FILE_TYPES, maxSize: IMAGE_MAX_FILE_SIZE });
+
 /**
  * @route GET /api/products
  * @desc Busca todos os produtos com suporte a paginação e filtros
+ * (category aceita o ID ou o slug da categoria)
  * @access Público
  */
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
     const options = {
       page: parseInt(req.query.page) || 1,
@@ -25,7 +32,29 @@ router.get('/', async (req, res) => {
     const result = await productController.getAllProducts(options);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/products/costs
+ * @desc Calcula CMV, margem bruta e preço sugerido de cada produto pela ficha técnica
+ * (?targetMargin=65&targetCmv=30 ajustam as metas; ?belowTarget=true lista apenas
+ * os produtos abaixo da margem desejada)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/costs', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const options = {
+      targetMargin: req.query.targetMargin,
+      targetCmv: req.query.targetCmv,
+      belowTarget: req.query.belowTarget === 'true'
+    };
+
+    const costs = await productController.getProductCosts(options);
+    res.json(costs);
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -34,12 +63,12 @@ router.get('/', async (req, res) => {
  * @desc Busca um produto pelo ID
  * @access Público
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
     const product = await productController.getProductById(req.params.id);
     res.json(product);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -48,12 +77,36 @@ router.get('/:id', async (req, res) => {
  * @desc Cria um novo produto
  * @access Privado - Apenas proprietários/desenvolvedores
  */
-router.post('/', authenticateJWT, isOwnerOrDeveloper, async (req, res) => {
+router.post('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
   try {
-    const newProduct = await productController.createProduct(req.body);
+    const newProduct = await productController.createProduct(
+      req.body,
+      req.user ? String(req.user.id) : null
+    );
     res.status(201).json(newProduct);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/products/bulk
+ * @desc Aplica uma operação a vários produtos: disponibilidade, destaque,
+ * categoria, reajuste percentual de preço ou exclusão
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/bulk', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const { ids, action, value } = req.body;
+    const result = await productController.bulkUpdateProducts(
+      ids,
+      action,
+      value,
+      req.user ? String(req.user.id) : null
+    );
+    res.json(result);
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -62,12 +115,16 @@ router.post('/', authenticateJWT, isOwnerOrDeveloper, async (req, res) => {
  * @desc Atualiza um produto existente
  * @access Privado - Apenas proprietários/desenvolvedores
  */
-router.put('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res) => {
+router.put('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
   try {
-    const updatedProduct = await productController.updateProduct(req.params.id, req.body);
+    const updatedProduct = await productController.updateProduct(
+      req.params.id,
+      req.body,
+      req.user ? String(req.user.id) : null
+    );
     res.json(updatedProduct);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -76,21 +133,21 @@ router.put('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res) => {
  * @desc Exclui um produto
  * @access Privado - Apenas proprietários/desenvolvedores
  */
-router.delete('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res) => {
+router.delete('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
   try {
     const result = await productController.deleteProduct(req.params.id);
     res.json({ success: result, message: 'Produto excluído com sucesso' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
 /**
  * @route GET /api/products/category/:category
- * @desc Busca produtos por categoria
+ * @desc Busca produtos por categoria (ID ou slug)
  * @access Público
  */
-router.get('/category/:category', async (req, res) => {
+router.get('/category/:category', async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -103,7 +160,7 @@ router.get('/category/:category', async (req, res) => {
     
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -112,13 +169,115 @@ router.get('/category/:category', async (req, res) => {
  * @desc Busca produtos em destaque
  * @access Público
  */
-router.get('/featured/list', async (req, res) => {
+router.get('/featured/list', async (req, res, next) => {
   try {
     const limit = parseInt(req.query.limit) || 8;
     const featuredProducts = await productController.getFeaturedProducts(limit);
     res.json(featuredProducts);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/products/:id/price-history
+ * @desc Busca o histórico de preços de um produto, com o autor de cada alteração
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/:id/price-history', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const history = await productController.getPriceHistory(req.params.id);
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/products/:id/image
+ * @desc Envia a imagem do produto (multipart, campo "image"; JPEG, PNG ou WebP
+ * de até 5 MB). Gera as variantes thumbnail, medium e large em WebP, grava em
+ * imageUrl a variante medium e apaga os arquivos da imagem anterior
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/:id/image', authenticateJWT, isOwnerOrDeveloper, uploadImage, async (req, res, next) => {
+  try {
+    const product = await productController.uploadProductImage(req.params.id, req.file);
+    res.json(product);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/products/:id/image
+ * @desc Remove a imagem do produto e apaga os arquivos enviados
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.delete('/:id/image', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const product = await productController.deleteProductImage(req.params.id);
+    res.json(product);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/products/:id/options
+ * @desc Busca os grupos de opções de um produto (tamanhos, ponto da carne, adicionais)
+ * @access Público
+ */
+router.get('/:id/options', async (req, res, next) => {
+  try {
+    const groups = await productController.getProductOptions(req.params.id);
+    res.json(groups);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/products/:id/options
+ * @desc Substitui os grupos de opções de um produto. Cada grupo tem mínimo e
+ * máximo de escolhas, indicação de obrigatório e opções com preço adicional
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/:id/options', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const groups = await productController.replaceProductOptions(req.params.id, req.body.groups);
+    res.json(groups);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/products/:id/combo
+ * @desc Busca as etapas de um combo, com o preço dos itens avulsos e a economia
+ * @access Público
+ */
+router.get('/:id/combo', async (req, res, next) => {
+  try {
+    const combo = await productController.getCombo(req.params.id);
+    res.json(combo);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/products/:id/combo
+ * @desc Define as etapas de um combo (ex.: hambúrguer, acompanhamento, bebida),
+ * com os produtos permitidos e o acréscimo de cada um. Uma lista vazia desfaz o combo
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/:id/combo', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const combo = await productController.replaceComboSlots(req.params.id, req.body.slots);
+    res.json(combo);
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -127,12 +286,14 @@ router.get('/featured/list', async (req, res) => {
  * @desc Atualiza o status de destaque de um produto
  * @access Privado - Apenas proprietários/desenvolvedores
  */
-router.patch('/:id/featured', authenticateJWT, isOwnerOrDeveloper, async (req, res) => {
+router.patch('/:id/featured', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
   try {
     const { featured } = req.body;
     
     if (featured === undefined) {
-      return res.status(400).json({ error: 'O status de destaque deve ser informado' });
+      return next(new ValidationError('O status de destaque deve ser informado', [
+        { field: 'featured', message: 'O status de destaque deve ser informado' }
+      ]));
     }
     
     const updatedProduct = await productController.updateFeaturedStatus(
@@ -142,7 +303,7 @@ router.patch('/:id/featured', authenticateJWT, isOwnerOrDeveloper, async (req, r
     
     res.json(updatedProduct);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -151,12 +312,14 @@ router.patch('/:id/featured', authenticateJWT, isOwnerOrDeveloper, async (req, r
  * @desc Atualiza o status de disponibilidade de um produto
  * @access Privado - Apenas proprietários/desenvolvedores
  */
-router.patch('/:id/availability', authenticateJWT, isOwnerOrDeveloper, async (req, res) => {
+router.patch('/:id/availability', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
   try {
     const { available } = req.body;
     
     if (available === undefined) {
-      return res.status(400).json({ error: 'O status de disponibilidade deve ser informado' });
+      return next(new ValidationError('O status de disponibilidade deve ser informado', [
+        { field: 'available', message: 'O status de disponibilidade deve ser informado' }
+      ]));
     }
     
     const updatedProduct = await productController.updateAvailabilityStatus(
@@ -166,7 +329,7 @@ router.patch('/:id/availability', authenticateJWT, isOwnerOrDeveloper, async (re
     
     res.json(updatedProduct);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
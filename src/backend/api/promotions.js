@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const PromotionController = require('../controllers/promotionController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+
+// Instancia o controlador de promoções
+const promotionController = new PromotionController();
+
+/**
+ * @route GET /api/promotions
+ * @desc Busca as promoções vigentes e futuras (?productId filtra por produto;
+ * ?includeExpired=true inclui as encerradas)
+ * @access Público
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const options = {
+      productId: req.query.productId || null,
+      includeExpired: req.query.includeExpired === 'true'
+    };
+
+    const promotions = await promotionController.getAllPromotions(options);
+    res.json(promotions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/promotions/:id
+ * @desc Busca uma promoção pelo ID
+ * @access Público
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const promotion = await promotionController.getPromotion(req.params.id);
+    res.json(promotion);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/promotions
+ * @desc Agenda uma promoção com início e término e, opcionalmente, dias da
+ * semana (0 = domingo) e faixa de horário (ex.: terças, 18:00 às 23:00)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.post('/', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const newPromotion = await promotionController.createPromotion(
+      req.body,
+      req.user ? String(req.user.id) : null
+    );
+    res.status(201).json(newPromotion);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/promotions/:id
+ * @desc Atualiza uma promoção
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.put('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const updatedPromotion = await promotionController.updatePromotion(req.params.id, req.body);
+    res.json(updatedPromotion);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/promotions/:id
+ * @desc Exclui uma promoção
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.delete('/:id', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const result = await promotionController.deletePromotion(req.params.id);
+    res.json({ success: result, message: 'Promoção excluída com sucesso' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
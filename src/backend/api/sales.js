@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const SalesController = require('../controllers/salesController');
+const { authenticateJWT, isOwnerOrDeveloper } = require('../middleware/authMiddleware');
+const { ValidationError } = require('../utils/errors');
+
+// Instancia o controlador de vendas
+const salesController = new SalesController();
+
+/**
+ * @route GET /api/sales
+ * @desc Busca todas as vendas com suporte a paginação e filtros
+ * @access Privado
+ */
+router.get('/', authenticateJWT, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const filters = {
+      startDate: req.query.startDate || null,
+      endDate: req.query.endDate || null,
+      status: req.query.status || null,
+      paymentMethod: req.query.paymentMethod || null,
+      customerId: req.query.customerId || null,
+      orderType: req.query.orderType || null
+    };
+
+    const result = await salesController.getAllSales(page, limit, filters);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/sales/stats
+ * @desc Obtém estatísticas de vendas por período (day, week, month, year) ou
+ * intervalo from/to, com comparação ao período anterior equivalente
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/stats', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const options = {
+      period: req.query.period || 'day',
+      from: req.query.from || null,
+      to: req.query.to || null
+    };
+
+    const stats = await salesController.getSalesStats(options);
+    res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/sales/report
+ * @desc Gera o relatório de vendas de um intervalo de datas
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/report', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const report = await salesController.getSalesReport(startDate, endDate);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/sales/report/export
+ * @desc Exporta o fechamento de caixa em CSV, XLSX ou PDF (?format=csv|xlsx|pdf)
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/report/export', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  let exportInfo;
+
+  try {
+    const { format = 'csv', startDate, endDate } = req.query;
+    exportInfo = salesController.prepareReportExport(format, startDate, endDate);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.setHeader('Content-Type', exportInfo.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportInfo.filename}"`);
+
+  try {
+    await salesController.exportSalesReport(exportInfo, res);
+  } catch (error) {
+    // Se o arquivo já começou a ser enviado, só resta interromper a resposta
+    if (res.headersSent) {
+      console.error(`[${req.id}] Erro em /api/sales/report/export:`, error);
+      res.destroy(error);
+    } else {
+      next(error);
+    }
+  }
+});
+
+/**
+ * @route GET /api/sales/analytics/products
+ * @desc Desempenho de produtos e categorias, rankings e mapas de calor por hora/dia da semana
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/analytics/products', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const options = {
+      limit: parseInt(req.query.limit) || 10,
+      rankBy: req.query.rankBy || 'revenue'
+    };
+
+    const report = await salesController.getProductPerformance(startDate, endDate, options);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/sales/:id
+ * @desc Busca uma venda pelo ID
+ * @access Privado
+ */
+router.get('/:id', authenticateJWT, async (req, res, next) => {
+  try {
+    const sale = await salesController.getSaleById(req.params.id);
+    res.json(sale);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/sales/:id/history
+ * @desc Busca o histórico de status de uma venda
+ * @access Privado
+ */
+router.get('/:id/history', authenticateJWT, async (req, res, next) => {
+  try {
+    const history = await salesController.getSaleStatusHistory(req.params.id);
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/sales/:id/costing
+ * @desc Calcula o CMV e a margem bruta de uma venda, item a item
+ * @access Privado - Apenas proprietários/desenvolvedores
+ */
+router.get('/:id/costing', authenticateJWT, isOwnerOrDeveloper, async (req, res, next) => {
+  try {
+    const costing = await salesController.getSaleCosting(req.params.id);
+    res.json(costing);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/sales
+ * @desc Cria uma nova venda com seus itens e, opcionalmente, cupons de desconto
+ * (coupons: código ou lista de códigos) e pontos de fidelidade do cliente
+ * (redeem_points). O cabeçalho Idempotency-Key garante que reenvios da mesma
+ * requisição não dupliquem o pedido.
+ * @access Privado
+ */
+router.post('/', authenticateJWT, async (req, res, next) => {
+  try {
+    const { items, ...saleData } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || null;
+    const newSale = await salesController.createSale(saleData, items, idempotencyKey);
+    res.status(201).json(newSale);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route PATCH /api/sales/:id/status
+ * @desc Atualiza o status de uma venda seguindo o ciclo de vida do pedido
+ * @access Privado
+ */
+router.patch('/:id/status', authenticateJWT, async (req, res, next) => {
+  try {
+    const { status, notes } = req.body;
+
+    if (!status) {
+      return next(new ValidationError('O status da venda deve ser informado', [
+        { field: 'status', message: 'O status da venda deve ser informado' }
+      ]));
+    }
+
+    const updatedSale = await salesController.updateSaleStatus(
+      req.params.id,
+      status,
+      req.user ? String(req.user.id) : null,
+      notes || null
+    );
+    res.json(updatedSale);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,47 @@
+const express = require('express');
+const { timingSafeEqual } = require('crypto');
+const router = express.Router();
+const { WhatsAppBot } = require('../services/whatsapp/whatsappBot');
+const { parseIncomingMessage } = require('../services/whatsapp/webhook');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Instancia o bot com o cliente da Evolution API
+const whatsappBot = new WhatsAppBot();
+
+// Compara o token recebido com WHATSAPP_WEBHOOK_TOKEN em tempo constante
+const isValidToken = (token) => {
+  const expected = process.env.WHATSAPP_WEBHOOK_TOKEN;
+  if (!expected || typeof token !== 'string') return false;
+
+  const received = Buffer.from(token);
+  const secret = Buffer.from(expected);
+  return received.length === secret.length && timingSafeEqual(received, secret);
+};
+
+/**
+ * @route POST /api/whatsapp/webhook
+ * @desc Recebe os webhooks da Evolution API (evento messages.upsert) e conduz
+ * a conversa de pedido. A resposta ao cliente é enviada depois, pela Evolution
+ * API; o webhook é confirmado imediatamente
+ * @access Público - Requer o token WHATSAPP_WEBHOOK_TOKEN (cabeçalho
+ * X-Webhook-Token ou ?token=)
+ */
+router.post('/webhook', (req, res, next) => {
+  if (!isValidToken(req.get('X-Webhook-Token') || req.query.token)) {
+    return next(new UnauthorizedError('Token do webhook inválido'));
+  }
+
+  const message = parseIncomingMessage(req.body);
+
+  if (!message) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  res.json({ received: true });
+
+  whatsappBot.handleMessage(message).catch(error => {
+    console.error(`[${req.id}] Erro ao responder mensagem do WhatsApp:`, error);
+  });
+});
+
+module.exports = router;
\ No newline at end of file
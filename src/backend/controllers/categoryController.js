@@ -0,0 +1,139 @@
+const CategoryModel = require('../models/categoryModel');
+const { validateCategory } = require('../validators/categorySchema');
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  toAppError
+} = require('../utils/errors');
+
+/**
+ * Controlador para gerenciar operações relacionadas a categorias
+ */
+class CategoryController {
+  constructor() {
+    this.categoryModel = new CategoryModel();
+  }
+
+  /**
+   * Busca todas as categorias
+   * @param {Object} options - Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de categorias com a quantidade de produtos
+   */
+  async getAllCategories(options) {
+    try {
+      return await this.categoryModel.getAllCategories(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar categorias');
+    }
+  }
+
+  /**
+   * Busca uma categoria pelo ID ou slug
+   * @param {string} idOrSlug - ID ou slug da categoria
+   * @returns {Promise<Object>} Dados da categoria
+   */
+  async getCategory(idOrSlug) {
+    try {
+      const category = await this.categoryModel.getCategory(idOrSlug);
+
+      if (!category) {
+        throw new NotFoundError('Categoria não encontrada');
+      }
+
+      return category;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar categoria');
+    }
+  }
+
+  /**
+   * Cria uma nova categoria
+   * @param {Object} categoryData - Dados da categoria
+   * @returns {Promise<Object>} Categoria criada
+   */
+  async createCategory(categoryData) {
+    try {
+      const category = this.validateCategoryData(categoryData);
+      await this.ensureUniqueSlug(category.slug);
+
+      return await this.categoryModel.createCategory(category);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao criar categoria');
+    }
+  }
+
+  /**
+   * Atualiza uma categoria existente
+   * @param {string} id - ID da categoria
+   * @param {Object} categoryData - Novos dados da categoria
+   * @returns {Promise<Object>} Categoria atualizada
+   */
+  async updateCategory(id, categoryData) {
+    try {
+      const existingCategory = await this.getCategory(id);
+      const changes = this.validateCategoryData(categoryData, true);
+
+      if (changes.slug && changes.slug !== existingCategory.slug) {
+        await this.ensureUniqueSlug(changes.slug);
+      }
+
+      return await this.categoryModel.updateCategory(existingCategory.id, changes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar categoria');
+    }
+  }
+
+  /**
+   * Exclui uma categoria sem produtos
+   * @param {string} id - ID da categoria
+   * @returns {Promise<boolean>} Confirmação de exclusão
+   */
+  async deleteCategory(id) {
+    try {
+      const existingCategory = await this.getCategory(id);
+
+      if (existingCategory.product_count > 0) {
+        throw new ConflictError(
+          `A categoria possui ${existingCategory.product_count} produto(s). Mova-os ou desative a categoria`
+        );
+      }
+
+      return await this.categoryModel.deleteCategory(existingCategory.id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao excluir categoria');
+    }
+  }
+
+  /**
+   * Garante que o slug ainda não está em uso
+   * @param {string} slug - Slug da categoria
+   * @throws {ConflictError} Slug já utilizado
+   */
+  async ensureUniqueSlug(slug) {
+    const existing = await this.categoryModel.getCategory(slug);
+
+    if (existing) {
+      throw new ConflictError(`Já existe uma categoria com o slug "${slug}"`);
+    }
+  }
+
+  /**
+   * Valida os dados da categoria contra o schema
+   * @param {Object} categoryData - Dados da categoria para validação
+   * @param {boolean} isUpdate - Se for atualização, os campos são opcionais
+   * @returns {Object} Dados da categoria filtrados
+   * @throws {ValidationError} Todos os erros de validação encontrados
+   */
+  validateCategoryData(categoryData, isUpdate = false) {
+    const { value, errors } = validateCategory(categoryData || {}, isUpdate);
+
+    if (errors.length > 0) {
+      throw new ValidationError('Dados da categoria inválidos', errors);
+    }
+
+    return value;
+  }
+}
+
+module.exports = CategoryController;
\ No newline at end of file
@@ -0,0 +1,159 @@
+const CouponModel = require('../models/couponModel');
+const { validateCoupon } = require('../validators/couponSchema');
+const { resolveDateRange } = require('../utils/dateRange');
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  toAppError
+} = require('../utils/errors');
+
+// Cria um erro de validação para um único campo
+const invalid = (field, message) => new ValidationError(message, [{ field, message }]);
+
+/**
+ * Controlador para gerenciar cupons de desconto
+ */
+class CouponController {
+  constructor() {
+    this.couponModel = new CouponModel();
+  }
+
+  /**
+   * Busca os cupons
+   * @param {Object} options - Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de cupons
+   */
+  async getAllCoupons(options) {
+    try {
+      return await this.couponModel.getAllCoupons(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar cupons');
+    }
+  }
+
+  /**
+   * Busca um cupom pelo ID
+   * @param {string} id - ID do cupom
+   * @returns {Promise<Object>} Dados do cupom
+   */
+  async getCoupon(id) {
+    try {
+      const coupon = await this.couponModel.getCouponById(id);
+
+      if (!coupon) {
+        throw new NotFoundError('Cupom não encontrado');
+      }
+
+      return coupon;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar cupom');
+    }
+  }
+
+  /**
+   * Cria um novo cupom
+   * @param {Object} couponData - Dados do cupom
+   * @returns {Promise<Object>} Cupom criado
+   */
+  async createCoupon(couponData) {
+    try {
+      const coupon = this.validateCouponData(couponData);
+      await this.ensureUniqueCode(coupon.code);
+
+      return await this.couponModel.createCoupon(coupon);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao criar cupom');
+    }
+  }
+
+  /**
+   * Atualiza um cupom existente
+   * @param {string} id - ID do cupom
+   * @param {Object} couponData - Novos dados do cupom
+   * @returns {Promise<Object>} Cupom atualizado
+   */
+  async updateCoupon(id, couponData) {
+    try {
+      const existingCoupon = await this.getCoupon(id);
+      const changes = this.validateCouponData(couponData, existingCoupon);
+
+      if (changes.code && changes.code !== existingCoupon.code) {
+        await this.ensureUniqueCode(changes.code);
+      }
+
+      return await this.couponModel.updateCoupon(id, changes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar cupom');
+    }
+  }
+
+  /**
+   * Exclui um cupom
+   * @param {string} id - ID do cupom
+   * @returns {Promise<boolean>} Confirmação de exclusão
+   */
+  async deleteCoupon(id) {
+    try {
+      await this.getCoupon(id);
+
+      return await this.couponModel.deleteCoupon(id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao excluir cupom');
+    }
+  }
+
+  /**
+   * Gera o relatório de resgates de cupons de um intervalo de datas
+   * @param {string} startDate - Data inicial
+   * @param {string} endDate - Data final (datas sem horário incluem o dia inteiro)
+   * @returns {Promise<Object>} Resgates, desconto concedido e faturamento por cupom
+   */
+  async getRedemptionReport(startDate, endDate) {
+    try {
+      if (!startDate || !endDate) {
+        throw invalid('startDate', 'Data inicial e data final são obrigatórias');
+      }
+
+      return await this.couponModel.getRedemptionReport(resolveDateRange(startDate, endDate));
+    } catch (error) {
+      throw toAppError(error, 'Erro ao gerar relatório de cupons');
+    }
+  }
+
+  /**
+   * Garante que o código ainda não está em uso
+   * @param {string} code - Código do cupom
+   * @throws {ConflictError} Código já utilizado
+   */
+  async ensureUniqueCode(code) {
+    const existing = await this.couponModel.getCouponByCode(code);
+
+    if (existing) {
+      throw new ConflictError(`Já existe um cupom com o código "${code}"`);
+    }
+  }
+
+  /**
+   * Valida os dados do cupom contra o schema
+   * @param {Object} couponData - Dados do cupom para validação
+   * @param {Object|null} existingCoupon - Cupom armazenado, em atualizações
+   * @returns {Object} Dados do cupom filtrados
+   * @throws {ValidationError} Todos os erros de validação encontrados
+   */
+  validateCouponData(couponData, existingCoupon = null) {
+    const { value, errors } = validateCoupon(couponData || {}, existingCoupon);
+
+    if (errors.length > 0) {
+      throw new ValidationError('Dados do cupom inválidos', errors);
+    }
+
+    if (existingCoupon && Object.keys(value).length === 0) {
+      throw new ValidationError('Nenhum campo válido informado para atualização');
+    }
+
+    return value;
+  }
+}
+
+module.exports = CouponController;
\ No newline at end of file
@@ -0,0 +1,220 @@
+const CustomerModel = require('../models/customerModel');
+const salesModel = require('../models/salesModel');
+const { validateCustomer } = require('../validators/customerSchema');
+const { normalizePhone } = require('../utils/phone');
+const { LOYALTY_POINTS_PER_REAL, LOYALTY_POINT_VALUE, redemptionValue } = require('../utils/loyalty');
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  toAppError
+} = require('../utils/errors');
+
+// Cria um erro de validação para um único campo
+const invalid = (field, message) => new ValidationError(message, [{ field, message }]);
+
+/**
+ * Controlador para gerenciar clientes, histórico de pedidos e fidelidade
+ */
+class CustomerController {
+  constructor() {
+    this.customerModel = new CustomerModel();
+  }
+
+  /**
+   * Busca os clientes
+   * @param {Object} options - Opções de busca (page, limit, search)
+   * @returns {Promise<Object>} Clientes e dados de paginação
+   */
+  async getAllCustomers(options) {
+    try {
+      return await this.customerModel.getAllCustomers(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar clientes');
+    }
+  }
+
+  /**
+   * Busca um cliente pelo ID, com os indicadores de compra
+   * @param {string} id - ID do cliente
+   * @returns {Promise<Object>} Dados do cliente e indicadores (stats)
+   */
+  async getCustomer(id) {
+    try {
+      const customer = await this.findCustomer(id);
+      const stats = await this.customerModel.getCustomerStats(id);
+
+      return { ...customer, stats };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar cliente');
+    }
+  }
+
+  /**
+   * Busca um cliente pelo telefone, em qualquer formato
+   * @param {string} phone - Telefone do cliente
+   * @returns {Promise<Object>} Dados do cliente
+   */
+  async getCustomerByPhone(phone) {
+    try {
+      const normalized = normalizePhone(phone);
+
+      if (!normalized) {
+        throw invalid('phone', 'O campo telefone deve ter DDD e 8 ou 9 dígitos');
+      }
+
+      const customer = await this.customerModel.getCustomerByPhone(normalized);
+
+      if (!customer) {
+        throw new NotFoundError('Cliente não encontrado');
+      }
+
+      return customer;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar cliente');
+    }
+  }
+
+  /**
+   * Cria um novo cliente
+   * @param {Object} customerData - Dados do cliente
+   * @returns {Promise<Object>} Cliente criado
+   */
+  async createCustomer(customerData) {
+    try {
+      const customer = this.validateCustomerData(customerData);
+      await this.ensureUniquePhone(customer.phone);
+
+      return await this.customerModel.createCustomer(customer);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao criar cliente');
+    }
+  }
+
+  /**
+   * Atualiza um cliente existente
+   * @param {string} id - ID do cliente
+   * @param {Object} customerData - Novos dados do cliente
+   * @returns {Promise<Object>} Cliente atualizado
+   */
+  async updateCustomer(id, customerData) {
+    try {
+      const existingCustomer = await this.findCustomer(id);
+      const changes = this.validateCustomerData(customerData, true);
+
+      if (changes.phone && changes.phone !== existingCustomer.phone) {
+        await this.ensureUniquePhone(changes.phone);
+      }
+
+      return await this.customerModel.updateCustomer(id, changes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar cliente');
+    }
+  }
+
+  /**
+   * Exclui um cliente
+   * @param {string} id - ID do cliente
+   * @returns {Promise<boolean>} Confirmação de exclusão
+   */
+  async deleteCustomer(id) {
+    try {
+      await this.findCustomer(id);
+
+      return await this.customerModel.deleteCustomer(id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao excluir cliente');
+    }
+  }
+
+  /**
+   * Busca o histórico de pedidos do cliente
+   * @param {string} id - ID do cliente
+   * @param {number} page - Número da página
+   * @param {number} limit - Limite de pedidos por página
+   * @returns {Promise<Object>} Pedidos e dados de paginação
+   */
+  async getCustomerOrders(id, page, limit) {
+    try {
+      await this.findCustomer(id);
+
+      return await salesModel.getAllSales(page, limit, { customerId: id });
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar pedidos do cliente');
+    }
+  }
+
+  /**
+   * Busca o saldo e o extrato de pontos de fidelidade do cliente
+   * @param {string} id - ID do cliente
+   * @returns {Promise<Object>} Saldo, valor em reais, regras do programa e movimentações
+   */
+  async getLoyalty(id) {
+    try {
+      const customer = await this.findCustomer(id);
+      const transactions = await this.customerModel.getLoyaltyTransactions(id);
+
+      return {
+        balance: customer.points_balance,
+        balanceValue: redemptionValue(customer.points_balance),
+        pointsPerReal: LOYALTY_POINTS_PER_REAL,
+        pointValue: LOYALTY_POINT_VALUE,
+        transactions
+      };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar pontos de fidelidade');
+    }
+  }
+
+  /**
+   * Busca um cliente e falha se não existir
+   * @param {string} id - ID do cliente
+   * @returns {Promise<Object>} Dados do cliente
+   * @throws {NotFoundError} Cliente não encontrado
+   */
+  async findCustomer(id) {
+    const customer = await this.customerModel.getCustomerById(id);
+
+    if (!customer) {
+      throw new NotFoundError('Cliente não encontrado');
+    }
+
+    return customer;
+  }
+
+  /**
+   * Garante que o telefone ainda não está cadastrado
+   * @param {string} phone - Telefone normalizado
+   * @throws {ConflictError} Telefone já cadastrado
+   */
+  async ensureUniquePhone(phone) {
+    const existing = await this.customerModel.getCustomerByPhone(phone);
+
+    if (existing) {
+      throw new ConflictError(`Já existe um cliente com o telefone informado (${existing.name})`);
+    }
+  }
+
+  /**
+   * Valida os dados do cliente contra o schema
+   * @param {Object} customerData - Dados do cliente para validação
+   * @param {boolean} isUpdate - Se for atualização, os campos são opcionais
+   * @returns {Object} Dados do cliente filtrados
+   * @throws {ValidationError} Todos os erros de validação encontrados
+   */
+  validateCustomerData(customerData, isUpdate = false) {
+    const { value, errors } = validateCustomer(customerData || {}, isUpdate);
+
+    if (errors.length > 0) {
+      throw new ValidationError('Dados do cliente inválidos', errors);
+    }
+
+    if (isUpdate && Object.keys(value).length === 0) {
+      throw new ValidationError('Nenhum campo válido informado para atualização');
+    }
+
+    return value;
+  }
+}
+
+module.exports = CustomerController;
\ No newline at end of file
@@ -0,0 +1,145 @@
+const DeliveryZoneModel = require('../models/deliveryZoneModel');
+const { validateDeliveryZone, validateDeliveryAddress } = require('../validators/deliveryZoneSchema');
+const { resolveDeliveryZone } = require('../utils/delivery');
+const { loadFormatters } = require('../utils/formatters');
+const { NotFoundError, ValidationError, toAppError } = require('../utils/errors');
+
+/**
+ * Controlador para gerenciar as áreas de entrega e consultar a taxa de um endereço
+ */
+class DeliveryZoneController {
+  constructor() {
+    this.deliveryZoneModel = new DeliveryZoneModel();
+  }
+
+  /**
+   * Busca as áreas de entrega
+   * @param {Object} options - Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de áreas
+   */
+  async getAllZones(options) {
+    try {
+      return await this.deliveryZoneModel.getAllZones(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar áreas de entrega');
+    }
+  }
+
+  /**
+   * Busca uma área de entrega pelo ID
+   * @param {string} id - ID da área
+   * @returns {Promise<Object>} Dados da área
+   */
+  async getZone(id) {
+    try {
+      const zone = await this.deliveryZoneModel.getZoneById(id);
+
+      if (!zone) {
+        throw new NotFoundError('Área de entrega não encontrada');
+      }
+
+      return zone;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar área de entrega');
+    }
+  }
+
+  /**
+   * Cria uma nova área de entrega
+   * @param {Object} zoneData - Dados da área
+   * @returns {Promise<Object>} Área criada
+   */
+  async createZone(zoneData) {
+    try {
+      const zone = this.validateZoneData(zoneData);
+
+      return await this.deliveryZoneModel.createZone(zone);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao criar área de entrega');
+    }
+  }
+
+  /**
+   * Atualiza uma área de entrega existente
+   * @param {string} id - ID da área
+   * @param {Object} zoneData - Novos dados da área
+   * @returns {Promise<Object>} Área atualizada
+   */
+  async updateZone(id, zoneData) {
+    try {
+      const existingZone = await this.getZone(id);
+      const changes = this.validateZoneData(zoneData, existingZone);
+
+      return await this.deliveryZoneModel.updateZone(id, changes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar área de entrega');
+    }
+  }
+
+  /**
+   * Exclui uma área de entrega
+   * @param {string} id - ID da área
+   * @returns {Promise<boolean>} Confirmação de exclusão
+   */
+  async deleteZone(id) {
+    try {
+      await this.getZone(id);
+
+      return await this.deliveryZoneModel.deleteZone(id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao excluir área de entrega');
+    }
+  }
+
+  /**
+   * Consulta se um endereço é atendido e quanto custa a entrega
+   * @param {Object} address - Endereço de entrega
+   * @returns {Promise<Object>} Endereço com CEP formatado, área, taxa, pedido mínimo e tempo estimado
+   */
+  async quoteDelivery(address) {
+    try {
+      const { value, errors } = validateDeliveryAddress(address);
+
+      if (errors.length > 0) {
+        throw new ValidationError('Endereço de entrega inválido', errors);
+      }
+
+      const zones = await this.deliveryZoneModel.getAllZones();
+      const zone = resolveDeliveryZone(zones, value);
+      const { formatCEP } = await loadFormatters();
+
+      return {
+        address: { ...value, zip_code: formatCEP(value.zip_code) },
+        zone: { id: zone.id, name: zone.name },
+        fee: parseFloat(zone.fee),
+        minOrderValue: parseFloat(zone.min_order_value),
+        estimatedMinutes: zone.estimated_minutes
+      };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao calcular taxa de entrega');
+    }
+  }
+
+  /**
+   * Valida os dados da área contra o schema
+   * @param {Object} zoneData - Dados da área para validação
+   * @param {Object|null} existingZone - Área armazenada, em atualizações
+   * @returns {Object} Dados da área filtrados
+   * @throws {ValidationError} Todos os erros de validação encontrados
+   */
+  validateZoneData(zoneData, existingZone = null) {
+    const { value, errors } = validateDeliveryZone(zoneData || {}, existingZone);
+
+    if (errors.length > 0) {
+      throw new ValidationError('Dados da área de entrega inválidos', errors);
+    }
+
+    if (existingZone && Object.keys(value).length === 0) {
+      throw new ValidationError('Nenhum campo válido informado para atualização');
+    }
+
+    return value;
+  }
+}
+
+module.exports = DeliveryZoneController;
\ No newline at end of file
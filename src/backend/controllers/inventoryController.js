@@ -0,0 +1,239 @@
+const InventoryModel = require('../models/inventoryModel');
+const ProductModel = require('../models/productModel');
+const {
+  validateIngredient,
+  validateMovement,
+  validateRecipe
+} = require('../validators/ingredientSchema');
+const { NotFoundError, ValidationError, toAppError } = require('../utils/errors');
+
+/**
+ * Controlador para gerenciar o estoque de insumos e as fichas técnicas
+ */
+class InventoryController {
+  constructor() {
+    this.inventoryModel = new InventoryModel();
+    this.productModel = new ProductModel();
+  }
+
+  /**
+   * Busca todos os insumos
+   * @param {Object} options - Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de insumos
+   */
+  async getAllIngredients(options) {
+    try {
+      return await this.inventoryModel.getAllIngredients(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar insumos');
+    }
+  }
+
+  /**
+   * Busca um insumo pelo ID
+   * @param {string} id - ID do insumo
+   * @returns {Promise<Object>} Dados do insumo
+   */
+  async getIngredient(id) {
+    try {
+      const ingredient = await this.inventoryModel.getIngredientById(id);
+
+      if (!ingredient) {
+        throw new NotFoundError('Insumo não encontrado');
+      }
+
+      return ingredient;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar insumo');
+    }
+  }
+
+  /**
+   * Busca os insumos com saldo igual ou abaixo do estoque mínimo
+   * @returns {Promise<Array>} Insumos em falta e os produtos afetados
+   */
+  async getLowStockIngredients() {
+    try {
+      return await this.inventoryModel.getLowStockIngredients();
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar insumos com estoque baixo');
+    }
+  }
+
+  /**
+   * Cria um novo insumo
+   * @param {Object} ingredientData - Dados do insumo
+   * @returns {Promise<Object>} Insumo criado
+   */
+  async createIngredient(ingredientData) {
+    try {
+      const ingredient = this.validateIngredientData(ingredientData);
+
+      return await this.inventoryModel.createIngredient(ingredient);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao criar insumo');
+    }
+  }
+
+  /**
+   * Atualiza um insumo existente
+   * @param {string} id - ID do insumo
+   * @param {Object} ingredientData - Novos dados do insumo
+   * @returns {Promise<Object>} Insumo atualizado
+   */
+  async updateIngredient(id, ingredientData) {
+    try {
+      await this.getIngredient(id);
+      const changes = this.validateIngredientData(ingredientData, true);
+
+      return await this.inventoryModel.updateIngredient(id, changes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar insumo');
+    }
+  }
+
+  /**
+   * Exclui um insumo. Insumos usados em fichas técnicas não podem ser excluídos
+   * @param {string} id - ID do insumo
+   * @returns {Promise<boolean>} Confirmação de exclusão
+   */
+  async deleteIngredient(id) {
+    try {
+      await this.getIngredient(id);
+
+      return await this.inventoryModel.deleteIngredient(id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao excluir insumo');
+    }
+  }
+
+  /**
+   * Registra uma entrada, perda ou ajuste de estoque
+   * @param {string} id - ID do insumo
+   * @param {Object} movementData - Quantidade, motivo e observações
+   * @param {string|null} createdBy - ID do usuário responsável
+   * @returns {Promise<Object>} Insumo atualizado e produtos desativados por falta de estoque
+   */
+  async adjustStock(id, movementData, createdBy = null) {
+    try {
+      const { value, errors } = validateMovement(movementData || {});
+
+      if (errors.length > 0) {
+        throw new ValidationError('Movimentação de estoque inválida', errors);
+      }
+
+      const ingredient = await this.inventoryModel.adjustStock(id, { ...value, createdBy });
+
+      if (!ingredient) {
+        throw new NotFoundError('Insumo não encontrado');
+      }
+
+      return ingredient;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao movimentar estoque');
+    }
+  }
+
+  /**
+   * Busca as movimentações de um insumo
+   * @param {string} id - ID do insumo
+   * @param {number} limit - Quantidade máxima de movimentações
+   * @returns {Promise<Array>} Movimentações
+   */
+  async getMovements(id, limit) {
+    try {
+      await this.getIngredient(id);
+
+      return await this.inventoryModel.getMovements(id, limit);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar movimentações de estoque');
+    }
+  }
+
+  /**
+   * Busca a ficha técnica de um produto
+   * @param {string} productId - ID do produto
+   * @returns {Promise<Array>} Insumos e quantidades por unidade
+   */
+  async getRecipe(productId) {
+    try {
+      await this.ensureProductExists(productId);
+
+      return await this.inventoryModel.getRecipe(productId);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar ficha técnica');
+    }
+  }
+
+  /**
+   * Substitui a ficha técnica de um produto
+   * @param {string} productId - ID do produto
+   * @param {Array} items - Insumos e quantidades por unidade
+   * @returns {Promise<Array>} Ficha técnica gravada
+   */
+  async replaceRecipe(productId, items) {
+    try {
+      await this.ensureProductExists(productId);
+
+      const { value, errors } = validateRecipe(items);
+
+      if (errors.length === 0 && value.length > 0) {
+        const found = await this.inventoryModel.getIngredientsByIds(value.map(item => item.ingredient_id));
+        const foundIds = new Set(found.map(ingredient => ingredient.id));
+
+        value.forEach((item, index) => {
+          if (!foundIds.has(item.ingredient_id)) {
+            errors.push({
+              field: `items[${index}].ingredient_id`,
+              message: `Insumo ${item.ingredient_id} não encontrado`
+            });
+          }
+        });
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Ficha técnica inválida', errors);
+      }
+
+      return await this.inventoryModel.replaceRecipe(productId, value);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao salvar ficha técnica');
+    }
+  }
+
+  /**
+   * Garante que o produto existe
+   * @param {string} productId - ID do produto
+   * @throws {NotFoundError} Produto inexistente
+   */
+  async ensureProductExists(productId) {
+    const product = await this.productModel.getProductById(productId);
+
+    if (!product) {
+      throw new NotFoundError('Produto não encontrado');
+    }
+  }
+
+  /**
+   * Valida os dados do insumo contra o schema
+   * @param {Object} ingredientData - Dados do insumo para validação
+   * @param {boolean} isUpdate - Se for atualização, os campos são opcionais
+   * @returns {Object} Dados do insumo filtrados
+   * @throws {ValidationError} Todos os erros de validação encontrados
+   */
+  validateIngredientData(ingredientData, isUpdate = false) {
+    const { value, errors } = validateIngredient(ingredientData || {}, isUpdate);
+
+    if (errors.length > 0) {
+      throw new ValidationError('Dados do insumo inválidos', errors);
+    }
+
+    if (isUpdate && Object.keys(value).length === 0) {
+      throw new ValidationError('Nenhum campo válido informado para atualização');
+    }
+
+    return value;
+  }
+}
+
+module.exports = InventoryController;
\ No newline at end of file
@@ -0,0 +1,231 @@
+const KitchenModel = require('../models/kitchenModel');
+const salesModel = require('../models/salesModel');
+const { SALE_STATUS } = require('../models/saleStatus');
+const { SALE_EVENTS, publishSaleEvent } = require('../services/saleEvents');
+const {
+  ITEM_KITCHEN_STATUS,
+  nextItemStatus,
+  resolveTargetMinutes,
+  toKitchenTicket
+} = require('../utils/kitchen');
+const { ConflictError, NotFoundError, toAppError } = require('../utils/errors');
+
+// Status de venda em que o pedido aparece na cozinha
+const KITCHEN_SALE_STATUSES = [SALE_STATUS.PENDING, SALE_STATUS.PREPARING];
+
+// Observação gravada no histórico quando a cozinha altera o status do pedido
+const KITCHEN_NOTE = 'Atualizado pela cozinha';
+
+/**
+ * Controlador da fila da cozinha (KDS): pedidos em aberto, tempo decorrido e
+ * andamento de itens e pedidos
+ */
+class KitchenController {
+  constructor() {
+    this.kitchenModel = new KitchenModel();
+    this.salesModel = salesModel;
+  }
+
+  /**
+   * Busca a fila da cozinha
+   * @param {Object} options - targetMinutes (tempo de preparo desejado) e includeReady
+   * @returns {Promise<Object>} Pedidos, dos mais antigos aos mais novos, e quantos estão atrasados
+   */
+  async getQueue(options = {}) {
+    try {
+      const targetMinutes = resolveTargetMinutes(options.targetMinutes);
+      const statuses = options.includeReady
+        ? [...KITCHEN_SALE_STATUSES, SALE_STATUS.READY]
+        : KITCHEN_SALE_STATUSES;
+
+      const now = new Date();
+      const orders = (await this.kitchenModel.getOrders(statuses))
+        .map(sale => toKitchenTicket(sale, { now, targetMinutes }));
+
+      return {
+        generatedAt: now.toISOString(),
+        targetMinutes,
+        total: orders.length,
+        late: orders.filter(order => order.late).length,
+        orders
+      };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar fila da cozinha');
+    }
+  }
+
+  /**
+   * Busca o ticket de cozinha de um pedido
+   * @param {string} saleId - ID da venda
+   * @param {*} targetMinutes - Tempo de preparo desejado
+   * @returns {Promise<Object>} Ticket do pedido
+   */
+  async getTicket(saleId, targetMinutes) {
+    try {
+      const order = await this.findOrder(saleId);
+
+      return toKitchenTicket(order, { targetMinutes: resolveTargetMinutes(targetMinutes) });
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar pedido');
+    }
+  }
+
+  /**
+   * Avança um item para o próximo status (pending → preparing → done). O
+   * pedido acompanha: entra em preparo no primeiro item e fica pronto no último.
+   * @param {string} itemId - ID do item
+   * @param {string|null} userId - ID do usuário da cozinha
+   * @returns {Promise<Object>} Ticket atualizado do pedido
+   */
+  async bumpItem(itemId, userId = null) {
+    try {
+      const item = await this.kitchenModel.getItem(itemId);
+
+      if (!item) {
+        throw new NotFoundError('Item do pedido não encontrado');
+      }
+
+      const order = await this.findOrder(item.sale_id);
+      this.ensureInKitchen(order);
+
+      const nextStatus = nextItemStatus(item.kitchen_status);
+      if (!nextStatus) {
+        // Uma tentativa anterior pode ter concluído o item sem atualizar o pedido
+        if (await this.syncOrderStatus(order.id, userId)) {
+          return await this.getTicket(order.id);
+        }
+
+        throw new ConflictError('O item já está pronto');
+      }
+
+      const updated = await this.kitchenModel.updateItemsStatus([itemId], item.kitchen_status, nextStatus);
+      if (updated.length === 0) {
+        throw new ConflictError('O item foi alterado por outra tela. Atualize a fila');
+      }
+
+      publishSaleEvent(SALE_EVENTS.ITEM_STATUS_CHANGED, { saleId: order.id, items: updated });
+
+      await this.syncOrderStatus(order.id, userId);
+
+      return await this.getTicket(order.id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar item do pedido');
+    }
+  }
+
+  /**
+   * Avança o pedido inteiro: um pedido pendente entra em preparo com todos os
+   * itens, e um pedido em preparo fica pronto com todos os itens concluídos
+   * @param {string} saleId - ID da venda
+   * @param {string|null} userId - ID do usuário da cozinha
+   * @returns {Promise<Object>} Ticket atualizado do pedido
+   */
+  async bumpOrder(saleId, userId = null) {
+    try {
+      const order = await this.findOrder(saleId);
+      this.ensureInKitchen(order);
+
+      const itemStatus = order.status === SALE_STATUS.PENDING
+        ? ITEM_KITCHEN_STATUS.PREPARING
+        : ITEM_KITCHEN_STATUS.DONE;
+
+      await this.advanceItems(order, itemStatus);
+      await this.salesModel.updateSaleStatus(
+        order.id,
+        order.status === SALE_STATUS.PENDING ? SALE_STATUS.PREPARING : SALE_STATUS.READY,
+        userId,
+        KITCHEN_NOTE
+      );
+
+      return await this.getTicket(order.id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar pedido');
+    }
+  }
+
+  /**
+   * Leva todos os itens do pedido que ainda estão antes de toStatus até ele
+   * @param {Object} order - Pedido com seus itens
+   * @param {string} toStatus - Status de destino dos itens
+   */
+  async advanceItems(order, toStatus) {
+    const updated = [];
+
+    for (const fromStatus of [ITEM_KITCHEN_STATUS.PENDING, ITEM_KITCHEN_STATUS.PREPARING]) {
+      if (fromStatus === toStatus) break;
+
+      const itemIds = order.items
+        .filter(item => item.kitchen_status === fromStatus)
+        .map(item => item.id);
+
+      if (itemIds.length > 0) {
+        updated.push(...await this.kitchenModel.updateItemsStatus(itemIds, fromStatus, toStatus));
+      }
+    }
+
+    if (updated.length > 0) {
+      publishSaleEvent(SALE_EVENTS.ITEM_STATUS_CHANGED, { saleId: order.id, items: updated });
+    }
+  }
+
+  /**
+   * Ajusta o status do pedido ao andamento dos itens
+   * @param {string} saleId - ID da venda
+   * @param {string|null} userId - ID do usuário da cozinha
+   * @returns {Promise<boolean>} Se o status do pedido foi alterado
+   */
+  async syncOrderStatus(saleId, userId) {
+    const order = await this.findOrder(saleId);
+    const allDone = order.items.every(item => item.kitchen_status === ITEM_KITCHEN_STATUS.DONE);
+    const started = order.items.some(item => item.kitchen_status !== ITEM_KITCHEN_STATUS.PENDING);
+
+    let changed = false;
+
+    try {
+      if (order.status === SALE_STATUS.PENDING && started) {
+        await this.salesModel.updateSaleStatus(saleId, SALE_STATUS.PREPARING, userId, KITCHEN_NOTE);
+        order.status = SALE_STATUS.PREPARING;
+        changed = true;
+      }
+
+      if (order.status === SALE_STATUS.PREPARING && allDone) {
+        await this.salesModel.updateSaleStatus(saleId, SALE_STATUS.READY, userId, KITCHEN_NOTE);
+        changed = true;
+      }
+    } catch (error) {
+      // Outra tela já avançou o pedido
+      if (!(error instanceof ConflictError)) throw error;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Busca um pedido e falha se não existir
+   * @param {string} saleId - ID da venda
+   * @returns {Promise<Object>} Pedido com seus itens
+   * @throws {NotFoundError} Pedido não encontrado
+   */
+  async findOrder(saleId) {
+    const order = await this.kitchenModel.getOrder(saleId);
+
+    if (!order) {
+      throw new NotFoundError('Pedido não encontrado');
+    }
+
+    return order;
+  }
+
+  /**
+   * Garante que o pedido ainda está na cozinha
+   * @param {Object} order - Pedido
+   * @throws {ConflictError} Pedido pronto, entregue ou cancelado
+   */
+  ensureInKitchen(order) {
+    if (!KITCHEN_SALE_STATUSES.includes(order.status)) {
+      throw new ConflictError('O pedido não está mais na fila da cozinha');
+    }
+  }
+}
+
+module.exports = KitchenController;
\ No newline at end of file
@@ -0,0 +1,195 @@
+const MenuImportModel = require('../models/menuImportModel');
+const ProductModel = require('../models/productModel');
+const CategoryModel = require('../models/categoryModel');
+const { parseMenuFile, MENU_FILE_TYPES } = require('../services/menuImport/menuParser');
+const { buildMenuDiff, diffSignature } = require('../services/menuImport/menuDiff');
+const { getStorage, storageKey } = require('../services/storage/storage');
+const { NotFoundError, ConflictError, ValidationError, toAppError } = require('../utils/errors');
+
+// Situações de uma importação
+const IMPORT_STATUSES = ['pending', 'applied', 'discarded'];
+
+// Cria um erro de validação para um único campo
+const invalid = (field, message) => new ValidationError(message, [{ field, message }]);
+
+/**
+ * Controlador para importar cardápios (PDF, CSV ou XLSX) para o catálogo.
+ * O envio gera uma prévia; o catálogo só muda na confirmação.
+ */
+class MenuImportController {
+  constructor() {
+    this.menuImportModel = new MenuImportModel();
+    this.productModel = new ProductModel();
+    this.categoryModel = new CategoryModel();
+  }
+
+  /**
+   * Compara os itens lidos com o catálogo atual
+   * @param {Array<Object>} items - Itens válidos do cardápio
+   * @returns {Promise<Object>} Prévia da importação
+   */
+  async buildDiff(items) {
+    const [products, categories] = await Promise.all([
+      this.productModel.listProducts(),
+      this.categoryModel.getAllCategories({ includeInactive: true })
+    ]);
+
+    return buildMenuDiff(items, products, categories);
+  }
+
+  /**
+   * Lê um cardápio enviado, guarda o arquivo original e registra a prévia
+   * @param {Object} file - Arquivo recebido pelo upload (originalname, extension, size, buffer)
+   * @param {string|null} userId - Usuário que enviou o cardápio
+   * @returns {Promise<Object>} Importação aguardando confirmação, com itens, avisos e prévia
+   */
+  async uploadMenu(file, userId = null) {
+    try {
+      if (!MENU_FILE_TYPES[file.extension]) {
+        throw invalid('file', `Formato de cardápio inválido. Formatos aceitos: ${Object.keys(MENU_FILE_TYPES).join(', ')}`);
+      }
+
+      const { items, warnings } = await parseMenuFile(file.buffer, file.extension);
+      const diff = await this.buildDiff(items);
+
+      const storage = getStorage();
+      const key = storageKey('menus', file.extension);
+      await storage.save(key, file.buffer, { contentType: file.mimetype });
+
+      try {
+        return await this.menuImportModel.createImport({
+          file_name: file.originalname,
+          file_type: file.extension,
+          file_size: file.size,
+          storage_key: key,
+          items,
+          warnings,
+          diff,
+          created_by: userId
+        });
+      } catch (error) {
+        await storage.remove(key);
+        throw error;
+      }
+    } catch (error) {
+      throw toAppError(error, 'Erro ao importar cardápio');
+    }
+  }
+
+  /**
+   * Busca as importações de cardápio
+   * @param {Object} options - Opções de busca (page, limit, status)
+   * @returns {Promise<Object>} Importações e dados de paginação
+   */
+  async getImports(options) {
+    try {
+      if (options.status && !IMPORT_STATUSES.includes(options.status)) {
+        throw invalid('status', `Situação inválida. Valores aceitos: ${IMPORT_STATUSES.join(', ')}`);
+      }
+
+      return await this.menuImportModel.getImports(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar importações de cardápio');
+    }
+  }
+
+  /**
+   * Busca uma importação de cardápio com os itens lidos e a prévia
+   * @param {string} id - ID da importação
+   * @returns {Promise<Object>} Dados da importação
+   */
+  async getImport(id) {
+    try {
+      const menuImport = await this.menuImportModel.getImportById(id);
+
+      if (!menuImport) {
+        throw new NotFoundError('Importação de cardápio não encontrada');
+      }
+
+      return menuImport;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar importação de cardápio');
+    }
+  }
+
+  /**
+   * Busca o arquivo original de uma importação
+   * @param {string} id - ID da importação
+   * @returns {Promise<{fileName: string, contentType: string, content: Buffer}>} Arquivo
+   */
+  async getImportFile(id) {
+    try {
+      const menuImport = await this.getImport(id);
+      const content = await getStorage().read(menuImport.storage_key);
+
+      return {
+        fileName: menuImport.file_name,
+        contentType: MENU_FILE_TYPES[menuImport.file_type][0],
+        content
+      };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar arquivo do cardápio');
+    }
+  }
+
+  /**
+   * Aplica a prévia ao catálogo. Se o catálogo mudou desde o envio, a prévia é
+   * refeita e a confirmação recusada, para que a nova prévia seja revisada.
+   * @param {string} id - ID da importação
+   * @param {Object} options - deactivateMissing: deixa indisponíveis os produtos ausentes do cardápio
+   * @param {string|null} userId - Usuário responsável, registrado no histórico de preços
+   * @returns {Promise<Object>} Importação aplicada, com o resultado
+   */
+  async confirmImport(id, options = {}, userId = null) {
+    try {
+      const { deactivateMissing = false } = options;
+
+      if (typeof deactivateMissing !== 'boolean') {
+        throw invalid('deactivateMissing', 'O campo deactivateMissing deve ser um valor booleano');
+      }
+
+      const menuImport = await this.getImport(id);
+      this.ensurePending(menuImport);
+
+      const diff = await this.buildDiff(menuImport.items);
+
+      if (diffSignature(diff) !== diffSignature(menuImport.diff)) {
+        await this.menuImportModel.updateImport(id, { diff });
+        throw new ConflictError('O catálogo mudou desde a prévia. Revise a nova prévia antes de confirmar', { diff });
+      }
+
+      return await this.menuImportModel.applyImport(id, userId, deactivateMissing);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao confirmar importação de cardápio');
+    }
+  }
+
+  /**
+   * Descarta uma importação sem alterar o catálogo (o arquivo original é mantido)
+   * @param {string} id - ID da importação
+   * @returns {Promise<Object>} Importação descartada
+   */
+  async discardImport(id) {
+    try {
+      const menuImport = await this.getImport(id);
+      this.ensurePending(menuImport);
+
+      return await this.menuImportModel.updateImport(id, { status: 'discarded' });
+    } catch (error) {
+      throw toAppError(error, 'Erro ao descartar importação de cardápio');
+    }
+  }
+
+  /**
+   * Garante que a importação ainda aguarda confirmação
+   * @param {Object} menuImport - Importação
+   * @throws {ConflictError} Importação já aplicada ou descartada
+   */
+  ensurePending(menuImport) {
+    if (menuImport.status !== 'pending') {
+      throw new ConflictError(`Importação de cardápio já foi ${menuImport.status === 'applied' ? 'aplicada' : 'descartada'}`);
+    }
+  }
+}
+
+module.exports = MenuImportController;
\ No newline at end of file
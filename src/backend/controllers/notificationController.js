@@ -0,0 +1,133 @@
+const NotificationModel = require('../models/notificationModel');
+const { validateNotificationTemplate } = require('../validators/notificationTemplateSchema');
+const { TEMPLATE_VARIABLES } = require('../services/notifications/templates');
+const { SALE_STATUSES, SALE_STATUS_LABELS } = require('../models/saleStatus');
+const { NotFoundError, ConflictError, ValidationError, toAppError } = require('../utils/errors');
+
+// Estados de uma notificação na fila
+const NOTIFICATION_STATES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * Controlador para gerenciar os modelos de mensagem e a fila de notificações de status
+ */
+class NotificationController {
+  constructor() {
+    this.notificationModel = new NotificationModel();
+  }
+
+  /**
+   * Busca os modelos de mensagem de todos os status, incluindo os ainda não criados
+   * @returns {Promise<Object>} Modelos e variáveis disponíveis
+   */
+  async getTemplates() {
+    try {
+      const templates = await this.notificationModel.getTemplates();
+
+      return {
+        variables: TEMPLATE_VARIABLES,
+        templates: SALE_STATUSES.map(status => ({
+          status,
+          label: SALE_STATUS_LABELS[status],
+          ...(templates.find(template => template.status === status) || { body: null, active: false })
+        }))
+      };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar modelos de mensagem');
+    }
+  }
+
+  /**
+   * Cria ou atualiza o modelo de mensagem de um status
+   * @param {string} status - Status da venda
+   * @param {Object} templateData - Dados do modelo (body, active)
+   * @returns {Promise<Object>} Modelo gravado
+   */
+  async updateTemplate(status, templateData) {
+    try {
+      if (!SALE_STATUSES.includes(status)) {
+        throw new ValidationError(`Status inválido. Valores aceitos: ${SALE_STATUSES.join(', ')}`, [
+          { field: 'status', message: 'Status inválido' }
+        ]);
+      }
+
+      const existingTemplate = await this.notificationModel.getTemplate(status);
+      const { value, errors } = validateNotificationTemplate(templateData || {}, Boolean(existingTemplate));
+
+      if (errors.length > 0) {
+        throw new ValidationError('Dados do modelo de mensagem inválidos', errors);
+      }
+
+      if (existingTemplate && Object.keys(value).length === 0) {
+        throw new ValidationError('Nenhum campo válido informado para atualização');
+      }
+
+      return await this.notificationModel.saveTemplate(status, value);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao salvar modelo de mensagem');
+    }
+  }
+
+  /**
+   * Busca as notificações da fila
+   * @param {Object} options - Opções de busca (page, limit, state, saleId)
+   * @returns {Promise<Object>} Notificações e dados de paginação
+   */
+  async getNotifications(options) {
+    try {
+      if (options.state && !NOTIFICATION_STATES.includes(options.state)) {
+        throw new ValidationError(`Estado inválido. Valores aceitos: ${NOTIFICATION_STATES.join(', ')}`, [
+          { field: 'state', message: 'Estado inválido' }
+        ]);
+      }
+
+      return await this.notificationModel.getNotifications(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar notificações');
+    }
+  }
+
+  /**
+   * Busca uma notificação com as tentativas de envio
+   * @param {string} id - ID da notificação
+   * @returns {Promise<Object>} Notificação com logs
+   */
+  async getNotification(id) {
+    try {
+      const notification = await this.notificationModel.getNotificationById(id);
+
+      if (!notification) {
+        throw new NotFoundError('Notificação não encontrada');
+      }
+
+      return notification;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar notificação');
+    }
+  }
+
+  /**
+   * Devolve à fila uma notificação que esgotou as tentativas
+   * @param {string} id - ID da notificação
+   * @returns {Promise<Object>} Notificação atualizada
+   */
+  async retryNotification(id) {
+    try {
+      const notification = await this.getNotification(id);
+
+      if (notification.state !== 'failed') {
+        throw new ConflictError('Apenas notificações com falha podem ser reenviadas');
+      }
+
+      return await this.notificationModel.updateNotification(id, {
+        state: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        last_error: null
+      });
+    } catch (error) {
+      throw toAppError(error, 'Erro ao reenviar notificação');
+    }
+  }
+}
+
+module.exports = NotificationController;
\ No newline at end of file
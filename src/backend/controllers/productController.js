@@ -1,4 +1,23 @@
 const ProductModel = require('../models/productModel');
+const CategoryModel = require('../models/categoryModel');
+const ProductOptionModel = require('../models/productOptionModel');
+const ComboModel = require('../models/comboModel');
+const PromotionModel = require('../models/promotionModel');
+const { validateProduct } = require('../validators/productSchema');
+const { validateOptionGroups } = require('../validators/optionGroupSchema');
+const { validateComboSlots } = require('../validators/comboSchema');
+const { summarizeCost, suggestPrice, resolveTargets } = require('../utils/costing');
+const { regularPrice, applyPromotions } = require('../utils/pricing');
+const { saveProductImage, removeProductImage } = require('../services/productImages');
+const { NotFoundError, ValidationError, toAppError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/currency');
+
+// Operações aceitas em lote e limite de produtos por requisição
+const BULK_ACTIONS = ['availability', 'featured', 'category', 'price', 'delete'];
+const BULK_LIMIT = 100;
+
+// Cria um erro de validação para um único campo
+const invalid = (field, message) => new ValidationError(message, [{ field, message }]);
 
 /**
  * Controlador para gerenciar operações relacionadas a produtos
@@ -6,23 +25,50 @@ const ProductModel = require('../models/productModel');
 class ProductController {
   constructor() {
     this.productModel = new ProductModel();
+    this.categoryModel = new CategoryModel();
+    this.productOptionModel = new ProductOptionModel();
+    this.comboModel = new ComboModel();
+    this.promotionModel = new PromotionModel();
+  }
+
+  /**
+   * Resolve o preço efetivo dos produtos com as promoções vigentes agora
+   * @param {Array} products - Produtos
+   * @returns {Promise<Array>} Produtos com regularPrice, effectivePrice e promotion
+   */
+  async withPromotions(products) {
+    const now = new Date();
+    const promotions = await this.promotionModel.getCurrentPromotions(
+      products.map(product => product.id),
+      now
+    );
+
+    return products.map(product => applyPromotions(product, promotions, now));
   }
 
   /**
    * Busca todos os produtos com suporte a paginação e filtros
-   * @param {Object} options - Opções de paginação e filtros
+   * @param {Object} options - Opções de paginação e filtros (category aceita ID ou slug)
    * @returns {Promise<Object>} Produtos e metadados de paginação
    */
   async getAllProducts(options) {
     try {
-      return await this.productModel.getAllProducts(options);
+      const { category, ...filters } = options;
+
+      if (category) {
+        filters.categoryId = await this.findCategoryId(category);
+      }
+
+      const result = await this.productModel.getAllProducts(filters);
+
+      return { ...result, data: await this.withPromotions(result.data) };
     } catch (error) {
-      throw new Error(`Erro ao buscar produtos: ${error.message}`);
+      throw toAppError(error, 'Erro ao buscar produtos');
     }
   }
 
   /**
-   * Busca um produto pelo ID
+   * Busca um produto pelo ID, com seus grupos de opções e, se for combo, suas etapas
    * @param {string} id - ID do produto
    * @returns {Promise<Object>} Dados do produto
    */
@@ -31,28 +77,39 @@ class ProductController {
       const product = await this.productModel.getProductById(id);
       
       if (!product) {
-        throw new Error('Produto não encontrado');
+        throw new NotFoundError('Produto não encontrado');
       }
       
-      return product;
+      const [optionGroups, comboSlots, [pricedProduct]] = await Promise.all([
+        this.productOptionModel.getOptionGroups([id]),
+        this.comboModel.getComboSlots([id]),
+        this.withPromotions([product])
+      ]);
+      
+      return {
+        ...pricedProduct,
+        option_groups: optionGroups,
+        combo: comboSlots.length > 0 ? this.describeCombo(product, comboSlots) : null
+      };
     } catch (error) {
-      throw new Error(`Erro ao buscar produto: ${error.message}`);
+      throw toAppError(error, 'Erro ao buscar produto');
     }
   }
 
   /**
    * Cria um novo produto
    * @param {Object} productData - Dados do produto
+   * @param {string|null} userId - Usuário responsável, registrado no histórico de preços
    * @returns {Promise<Object>} Produto criado
    */
-  async createProduct(productData) {
+  async createProduct(productData, userId = null) {
     try {
-      // Validar dados do produto
-      this.validateProductData(productData);
+      // Validar e filtrar os dados do produto
+      const product = await this.validateProductData(productData);
       
-      return await this.productModel.createProduct(productData);
+      return await this.productModel.createProduct({ ...product, updated_by: userId });
     } catch (error) {
-      throw new Error(`Erro ao criar produto: ${error.message}`);
+      throw toAppError(error, 'Erro ao criar produto');
     }
   }
 
@@ -60,23 +117,39 @@ class ProductController {
    * Atualiza um produto existente
    * @param {string} id - ID do produto
    * @param {Object} productData - Novos dados do produto
+   * @param {string|null} userId - Usuário responsável, registrado no histórico de preços
    * @returns {Promise<Object>} Produto atualizado
    */
-  async updateProduct(id, productData) {
+  async updateProduct(id, productData, userId = null) {
     try {
       // Verifica se o produto existe
       const existingProduct = await this.productModel.getProductById(id);
       
       if (!existingProduct) {
-        throw new Error('Produto não encontrado');
+        throw new NotFoundError('Produto não encontrado');
       }
       
-      // Validar dados do produto
-      this.validateProductData(productData, true);
+      // Validar e filtrar os dados do produto, considerando os valores armazenados
+      const changes = await this.validateProductData(productData, existingProduct);
+      
+      // Uma nova imageUrl substitui a imagem enviada, cujos arquivos são apagados
+      const replacesImage = Boolean(existingProduct.image_key) &&
+        changes.imageUrl !== undefined && changes.imageUrl !== existingProduct.imageUrl;
+      
+      if (replacesImage) {
+        changes.image_key = null;
+        changes.images = null;
+      }
       
-      return await this.productModel.updateProduct(id, productData);
+      const product = await this.productModel.updateProduct(id, { ...changes, updated_by: userId });
+      
+      if (replacesImage) {
+        await removeProductImage(existingProduct.image_key);
+      }
+      
+      return product;
     } catch (error) {
-      throw new Error(`Erro ao atualizar produto: ${error.message}`);
+      throw toAppError(error, 'Erro ao atualizar produto');
     }
   }
 
@@ -91,27 +164,34 @@ class ProductController {
       const existingProduct = await this.productModel.getProductById(id);
       
       if (!existingProduct) {
-        throw new Error('Produto não encontrado');
+        throw new NotFoundError('Produto não encontrado');
       }
       
-      return await this.productModel.deleteProduct(id);
+      const result = await this.productModel.deleteProduct(id);
+      await removeProductImage(existingProduct.image_key);
+      
+      return result;
     } catch (error) {
-      throw new Error(`Erro ao excluir produto: ${error.message}`);
+      throw toAppError(error, 'Erro ao excluir produto');
     }
   }
 
   /**
    * Busca produtos por categoria
-   * @param {string} category - Categoria dos produtos
+   * @param {string} category - ID ou slug da categoria
    * @param {number} page - Página atual
    * @param {number} limit - Limite de itens por página
    * @returns {Promise<Object>} Produtos e metadados de paginação
    */
   async getProductsByCategory(category, page, limit) {
     try {
-      return await this.productModel.getProductsByCategory(category, page, limit);
+      const categoryId = await this.findCategoryId(category);
+
+      const result = await this.productModel.getProductsByCategory(categoryId, page, limit);
+
+      return { ...result, data: await this.withPromotions(result.data) };
     } catch (error) {
-      throw new Error(`Erro ao buscar produtos por categoria: ${error.message}`);
+      throw toAppError(error, 'Erro ao buscar produtos por categoria');
     }
   }
 
@@ -122,9 +202,11 @@ class ProductController {
    */
   async getFeaturedProducts(limit) {
     try {
-      return await this.productModel.getFeaturedProducts(limit);
+      const products = await this.productModel.getFeaturedProducts(limit);
+
+      return await this.withPromotions(products);
     } catch (error) {
-      throw new Error(`Erro ao buscar produtos em destaque: ${error.message}`);
+      throw toAppError(error, 'Erro ao buscar produtos em destaque');
     }
   }
 
@@ -140,12 +222,14 @@ class ProductController {
       const existingProduct = await this.productModel.getProductById(id);
       
       if (!existingProduct) {
-        throw new Error('Produto não encontrado');
+        throw new NotFoundError('Produto não encontrado');
       }
       
-      return await this.productModel.updateFeaturedStatus(id, featured);
+      const changes = await this.validateProductData({ featured }, existingProduct);
+      
+      return await this.productModel.updateFeaturedStatus(id, changes.featured);
     } catch (error) {
-      throw new Error(`Erro ao atualizar status de destaque: ${error.message}`);
+      throw toAppError(error, 'Erro ao atualizar status de destaque');
     }
   }
 
@@ -161,54 +245,536 @@ class ProductController {
       const existingProduct = await this.productModel.getProductById(id);
       
       if (!existingProduct) {
-        throw new Error('Produto não encontrado');
+        throw new NotFoundError('Produto não encontrado');
       }
       
-      return await this.productModel.updateAvailabilityStatus(id, available);
+      const changes = await this.validateProductData({ available }, existingProduct);
+      
+      return await this.productModel.updateAvailabilityStatus(id, changes.available);
     } catch (error) {
-      throw new Error(`Erro ao atualizar status de disponibilidade: ${error.message}`);
+      throw toAppError(error, 'Erro ao atualizar status de disponibilidade');
     }
   }
 
   /**
-   * Valida os dados do produto
+   * Grava uma nova imagem do produto (variantes thumbnail, medium e large em
+   * WebP) e apaga os arquivos da imagem anterior
+   * @param {string} id - ID do produto
+   * @param {Object} file - Arquivo recebido pelo upload (buffer)
+   * @returns {Promise<Object>} Produto atualizado, com imageUrl e images
+   */
+  async uploadProductImage(id, file) {
+    try {
+      const existingProduct = await this.productModel.getProductById(id);
+
+      if (!existingProduct) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      const image = await saveProductImage(id, file.buffer);
+      let product;
+
+      try {
+        product = await this.productModel.updateProduct(id, image);
+      } catch (error) {
+        await removeProductImage(image.image_key);
+        throw error;
+      }
+
+      await removeProductImage(existingProduct.image_key);
+
+      return product;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao enviar imagem do produto');
+    }
+  }
+
+  /**
+   * Remove a imagem do produto e apaga os arquivos enviados
+   * @param {string} id - ID do produto
+   * @returns {Promise<Object>} Produto atualizado
+   */
+  async deleteProductImage(id) {
+    try {
+      const existingProduct = await this.productModel.getProductById(id);
+
+      if (!existingProduct) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      const product = await this.productModel.updateProduct(id, { imageUrl: null, images: null, image_key: null });
+      await removeProductImage(existingProduct.image_key);
+
+      return product;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao remover imagem do produto');
+    }
+  }
+
+  /**
+   * Busca os grupos de opções de um produto (tamanhos, ponto da carne, adicionais)
+   * @param {string} id - ID do produto
+   * @returns {Promise<Array>} Grupos com suas opções
+   */
+  async getProductOptions(id) {
+    try {
+      const existingProduct = await this.productModel.getProductById(id);
+
+      if (!existingProduct) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      return await this.productOptionModel.getOptionGroups([id]);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar opções do produto');
+    }
+  }
+
+  /**
+   * Substitui os grupos de opções de um produto
+   * @param {string} id - ID do produto
+   * @param {Array} groups - Grupos com suas opções
+   * @returns {Promise<Array>} Grupos gravados
+   */
+  async replaceProductOptions(id, groups) {
+    try {
+      const existingProduct = await this.productModel.getProductById(id);
+
+      if (!existingProduct) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      const { value, errors } = validateOptionGroups(groups);
+
+      if (errors.length > 0) {
+        throw new ValidationError('Grupos de opções inválidos', errors);
+      }
+
+      return await this.productOptionModel.replaceOptionGroups(id, value);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao salvar opções do produto');
+    }
+  }
+
+  /**
+   * Busca a composição de um combo, com a economia em relação aos itens avulsos
+   * @param {string} id - ID do produto do tipo combo
+   * @returns {Promise<Object>} Etapas, preço avulso e economia
+   */
+  async getCombo(id) {
+    try {
+      const product = await this.productModel.getProductById(id);
+
+      if (!product) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      const slots = await this.comboModel.getComboSlots([id]);
+
+      if (slots.length === 0) {
+        throw new NotFoundError('O produto não é um combo');
+      }
+
+      return this.describeCombo(product, slots);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar combo');
+    }
+  }
+
+  /**
+   * Define as etapas de um combo e os produtos permitidos em cada uma.
+   * Uma lista vazia transforma o combo de volta em um produto simples.
+   * @param {string} id - ID do produto do tipo combo
+   * @param {Array} slots - Etapas com os produtos permitidos e acréscimos
+   * @returns {Promise<Object|null>} Composição do combo (null quando removida)
+   */
+  async replaceComboSlots(id, slots) {
+    try {
+      const product = await this.productModel.getProductById(id);
+
+      if (!product) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      if (Array.isArray(slots) && slots.length === 0) {
+        await this.comboModel.replaceComboSlots(id, []);
+        return null;
+      }
+
+      const { value, errors } = validateComboSlots(slots);
+
+      if (errors.length === 0) {
+        errors.push(...await this.validateComboProducts(id, value));
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Etapas do combo inválidas', errors);
+      }
+
+      const saved = await this.comboModel.replaceComboSlots(id, value);
+
+      return this.describeCombo(product, saved);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao salvar combo');
+    }
+  }
+
+  /**
+   * Confere os produtos das etapas: precisam existir e não podem ser combos.
+   * O próprio combo também não pode ser opção de outro combo.
+   * @param {string} comboId - ID do combo
+   * @param {Array} slots - Etapas já validadas
+   * @returns {Promise<Array<{field: string, message: string}>>} Erros encontrados
+   */
+  async validateComboProducts(comboId, slots) {
+    const productIds = [...new Set(slots.flatMap(slot => slot.products.map(choice => choice.product_id)))];
+
+    const [products, nestedSlots, isComponent] = await Promise.all([
+      this.productModel.getProductsByIds(productIds),
+      this.comboModel.getComboSlots(productIds),
+      this.comboModel.isComboComponent(comboId)
+    ]);
+
+    const existing = new Set(products.map(product => product.id));
+    const combos = new Set(nestedSlots.map(slot => slot.combo_id));
+    const errors = [];
+
+    if (isComponent && slots.length > 0) {
+      errors.push({ field: 'slots', message: 'Este produto é opção de outro combo e não pode ter etapas' });
+    }
+
+    slots.forEach((slot, slotIndex) => {
+      slot.products.forEach((choice, choiceIndex) => {
+        const field = `slots[${slotIndex}].products[${choiceIndex}].product_id`;
+
+        if (choice.product_id === comboId || combos.has(choice.product_id)) {
+          errors.push({ field, message: 'Um combo não pode conter outro combo' });
+        } else if (!existing.has(choice.product_id)) {
+          errors.push({ field, message: `Produto ${choice.product_id} não encontrado` });
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Monta a composição do combo e calcula a economia. O preço avulso considera,
+   * em cada etapa, o produto padrão (o de menor acréscimo).
+   * @param {Object} product - Produto do tipo combo
+   * @param {Array} slots - Etapas com os produtos permitidos
+   * @returns {Object} Composição, preço avulso e economia
+   */
+  describeCombo(product, slots) {
+    const price = regularPrice(product);
+
+    const describedSlots = slots.map(slot => {
+      const choices = slot.products
+        .filter(choice => choice.product)
+        .map(choice => ({
+          product_id: choice.product.id,
+          name: choice.product.name,
+          available: choice.product.available,
+          upcharge: roundCurrency(choice.upcharge),
+          unitPrice: regularPrice(choice.product)
+        }));
+
+      const reference = choices.reduce(
+        (best, choice) => (!best || choice.upcharge < best.upcharge ? choice : best),
+        null
+      );
+
+      return {
+        id: slot.id,
+        name: slot.name,
+        quantity: slot.quantity,
+        display_order: slot.display_order,
+        default_product_id: reference ? reference.product_id : null,
+        separatePrice: reference ? roundCurrency(reference.unitPrice * slot.quantity) : 0,
+        products: choices
+      };
+    });
+
+    const separatePrice = roundCurrency(describedSlots.reduce((sum, slot) => sum + slot.separatePrice, 0));
+    const saving = roundCurrency(separatePrice - price);
+
+    return {
+      combo_id: product.id,
+      name: product.name,
+      price,
+      separatePrice,
+      saving,
+      savingPercent: separatePrice > 0 ? Math.round((saving / separatePrice) * 1000) / 10 : 0,
+      slots: describedSlots
+    };
+  }
+
+  /**
+   * Calcula CMV e margem de todos os produtos pela ficha técnica. Nos combos,
+   * o custo inclui os componentes padrão de cada etapa.
+   * @param {Object} options - Metas (targetMargin, targetCmv) e filtro belowTarget
+   * @returns {Promise<Object>} Metas aplicadas, resumo e custos por produto
+   */
+  async getProductCosts(options = {}) {
+    try {
+      const { targetMargin, targetCmv } = resolveTargets(options);
+
+      const [products, costs] = await Promise.all([
+        this.productModel.listProducts(),
+        this.productModel.getProductCosts()
+      ]);
+
+      const slots = await this.comboModel.getComboSlots(products.map(product => product.id));
+      const costOf = (productId) => (costs.get(productId) || { cost: 0, recipeItems: 0 });
+
+      const rows = products.map(product => {
+        const own = costOf(product.id);
+        const comboSlots = slots.filter(slot => slot.combo_id === product.id);
+
+        // Combos: custo próprio (embalagem, por exemplo) mais o componente padrão de cada etapa
+        const componentsCost = comboSlots.reduce((sum, slot) => {
+          const reference = slot.products
+            .filter(choice => choice.product)
+            .reduce((best, choice) => (!best || choice.upcharge < best.upcharge ? choice : best), null);
+          return reference ? sum + costOf(reference.product.id).cost * slot.quantity : sum;
+        }, 0);
+
+        const price = regularPrice(product);
+        const cost = own.cost + componentsCost;
+        const hasRecipe = own.recipeItems > 0 || componentsCost > 0;
+        const summary = summarizeCost(price, cost);
+
+        return {
+          product_id: product.id,
+          name: product.name,
+          category: product.category ? product.category.name : null,
+          available: product.available,
+          combo: comboSlots.length > 0,
+          hasRecipe,
+          price: summary.revenue,
+          cost: summary.cost,
+          margin: summary.margin,
+          marginPercent: summary.marginPercent,
+          cmvPercent: summary.cmvPercent,
+          belowTarget: hasRecipe && (summary.marginPercent === null || summary.marginPercent < targetMargin),
+          suggestedPrice: hasRecipe ? suggestPrice(cost, targetCmv) : null
+        };
+      });
+
+      const filtered = options.belowTarget ? rows.filter(row => row.belowTarget) : rows;
+
+      return {
+        targetMargin,
+        targetCmv,
+        summary: {
+          products: rows.length,
+          withoutRecipe: rows.filter(row => !row.hasRecipe).length,
+          belowTarget: rows.filter(row => row.belowTarget).length
+        },
+        // Piores margens primeiro; produtos sem ficha técnica ao final
+        products: filtered.sort((a, b) => (
+          (a.hasRecipe ? a.marginPercent : Infinity) - (b.hasRecipe ? b.marginPercent : Infinity)
+        ))
+      };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao calcular custos dos produtos');
+    }
+  }
+
+  /**
+   * Busca o histórico de preços de um produto
+   * @param {string} id - ID do produto
+   * @returns {Promise<Array>} Alterações de preço, das mais recentes às mais antigas
+   */
+  async getPriceHistory(id) {
+    try {
+      const existingProduct = await this.productModel.getProductById(id);
+
+      if (!existingProduct) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      return await this.productModel.getPriceHistory(id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar histórico de preços');
+    }
+  }
+
+  /**
+   * Busca o ID de uma categoria a partir do ID ou slug
+   * @param {string} idOrSlug - ID ou slug da categoria
+   * @returns {Promise<string>} ID da categoria
+   * @throws {NotFoundError} Categoria inexistente
+   */
+  async findCategoryId(idOrSlug) {
+    const category = await this.categoryModel.getCategory(String(idOrSlug));
+
+    if (!category) {
+      throw new NotFoundError('Categoria não encontrada');
+    }
+
+    return category.id;
+  }
+
+  /**
+   * Valida os dados do produto contra o schema e descarta campos não permitidos.
+   * A categoria pode ser informada pelo ID ou slug e precisa estar ativa.
    * @param {Object} productData - Dados do produto para validação
-   * @param {boolean} isUpdate - Se for atualização, alguns campos podem ser opcionais
-   * @throws {Error} Erro de validação
-   */
-  validateProductData(productData, isUpdate = false) {
-    // Campos obrigatórios para criação de produto
-    if (!isUpdate) {
-      if (!productData.name) throw new Error('Nome do produto é obrigatório');
-      if (!productData.description) throw new Error('Descrição do produto é obrigatória');
-      if (!productData.price || isNaN(parseFloat(productData.price))) throw new Error('Preço válido é obrigatório');
-      if (!productData.category) throw new Error('Categoria do produto é obrigatória');
-    }
-
-    // Validações específicas para campos, caso estejam presentes
-    if (productData.price !== undefined && isNaN(parseFloat(productData.price))) {
-      throw new Error('Preço deve ser um número válido');
-    }
-    
-    if (productData.discountPrice !== undefined && 
-        productData.discountPrice !== null && 
-        isNaN(parseFloat(productData.discountPrice))) {
-      throw new Error('Preço com desconto deve ser um número válido');
-    }
-    
-    // Verificar se o preço com desconto é menor que o preço normal
-    if (productData.price && productData.discountPrice && 
-        parseFloat(productData.discountPrice) >= parseFloat(productData.price)) {
-      throw new Error('Preço com desconto deve ser menor que o preço normal');
-    }
-    
-    // Validar que disponibilidade e destaque são booleanos, se fornecidos
-    if (productData.available !== undefined && typeof productData.available !== 'boolean') {
-      throw new Error('Disponibilidade deve ser um valor booleano');
-    }
-    
-    if (productData.featured !== undefined && typeof productData.featured !== 'boolean') {
-      throw new Error('Destaque deve ser um valor booleano');
+   * @param {Object|null} existingProduct - Produto armazenado, em atualizações parciais
+   * @returns {Promise<Object>} Dados do produto filtrados e convertidos
+   * @throws {ValidationError} Todos os erros de validação encontrados
+   */
+  async validateProductData(productData, existingProduct = null) {
+    const { value, errors } = validateProduct(productData || {}, existingProduct);
+
+    if (value.category_id !== undefined) {
+      const category = await this.categoryModel.getCategory(value.category_id);
+
+      if (category && category.active) {
+        value.category_id = category.id;
+      } else {
+        errors.push({ field: 'category_id', message: 'Categoria não encontrada ou inativa' });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Dados do produto inválidos', errors);
+    }
+
+    if (existingProduct && Object.keys(value).length === 0) {
+      throw new ValidationError('Nenhum campo válido informado para atualização');
+    }
+
+    return value;
+  }
+
+  /**
+   * Aplica uma operação em lote a vários produtos. Cada produto é processado
+   * individualmente e o resultado é informado item a item.
+   * @param {Array<string>} ids - IDs dos produtos
+   * @param {string} action - Operação (availability, featured, category, price, delete)
+   * @param {*} value - Valor da operação (booleano, categoria ou percentual de reajuste)
+   * @param {string|null} userId - Usuário responsável, registrado no histórico de preços
+   * @returns {Promise<Object>} Resumo e resultado por produto
+   */
+  async bulkUpdateProducts(ids, action, value, userId = null) {
+    try {
+      this.validateBulkOperation(ids, action, value);
+    } catch (error) {
+      throw toAppError(error, 'Erro na operação em lote');
+    }
+
+    const results = [];
+
+    // Processamento sequencial para não sobrecarregar o banco
+    for (const id of [...new Set(ids)]) {
+      try {
+        const product = await this.applyBulkAction(id, action, value, userId);
+        results.push({ id, success: true, product });
+      } catch (error) {
+        results.push({ id, success: false, error: { code: error.code, message: error.message } });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
+  }
+
+  /**
+   * Aplica a operação em lote a um único produto
+   * @param {string} id - ID do produto
+   * @param {string} action - Operação
+   * @param {*} value - Valor da operação
+   * @param {string|null} userId - Usuário responsável
+   * @returns {Promise<Object|null>} Produto atualizado (null quando excluído)
+   */
+  async applyBulkAction(id, action, value, userId = null) {
+    switch (action) {
+      case 'availability':
+        return await this.updateAvailabilityStatus(id, value);
+      case 'featured':
+        return await this.updateFeaturedStatus(id, value);
+      case 'category':
+        return await this.updateProduct(id, { category_id: value }, userId);
+      case 'price':
+        return await this.adjustProductPrice(id, parseFloat(value), userId);
+      case 'delete':
+        await this.deleteProduct(id);
+        return null;
+      default:
+        throw invalid('action', `Operação inválida: ${action}`);
+    }
+  }
+
+  /**
+   * Reajusta o preço (e o preço com desconto, se houver) de um produto em percentual
+   * @param {string} id - ID do produto
+   * @param {number} percentage - Percentual de reajuste (ex.: 10 ou -5)
+   * @param {string|null} userId - Usuário responsável, registrado no histórico de preços
+   * @returns {Promise<Object>} Produto atualizado
+   */
+  async adjustProductPrice(id, percentage, userId = null) {
+    try {
+      const existingProduct = await this.productModel.getProductById(id);
+
+      if (!existingProduct) {
+        throw new NotFoundError('Produto não encontrado');
+      }
+
+      const adjust = (price) => Math.round(parseFloat(price) * (1 + percentage / 100) * 100) / 100;
+      const changes = { price: adjust(existingProduct.price), updated_by: userId };
+
+      if (existingProduct.discountPrice !== null && existingProduct.discountPrice !== undefined) {
+        changes.discountPrice = adjust(existingProduct.discountPrice);
+      }
+
+      if (changes.price <= 0) {
+        throw invalid('price', 'O reajuste resultaria em um preço inválido');
+      }
+
+      return await this.productModel.updateProduct(id, changes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao reajustar preço');
+    }
+  }
+
+  /**
+   * Valida os parâmetros de uma operação em lote
+   * @param {Array<string>} ids - IDs dos produtos
+   * @param {string} action - Operação
+   * @param {*} value - Valor da operação
+   * @throws {ValidationError} Erro de validação
+   */
+  validateBulkOperation(ids, action, value) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw invalid('ids', 'Informe a lista de produtos');
+    }
+
+    if (ids.length > BULK_LIMIT) {
+      throw invalid('ids', `Máximo de ${BULK_LIMIT} produtos por operação`);
+    }
+
+    if (!BULK_ACTIONS.includes(action)) {
+      throw invalid('action', `Operação inválida. Valores aceitos: ${BULK_ACTIONS.join(', ')}`);
+    }
+
+    if (['availability', 'featured'].includes(action) && typeof value !== 'boolean') {
+      throw invalid('value', 'O valor deve ser booleano');
+    }
+
+    if (action === 'category' && (typeof value !== 'string' || !value.trim())) {
+      throw invalid('value', 'Informe o ID ou slug da nova categoria');
+    }
+
+    if (action === 'price' && (isNaN(parseFloat(value)) || parseFloat(value) <= -100)) {
+      throw invalid('value', 'Informe um percentual de reajuste válido');
     }
   }
 }
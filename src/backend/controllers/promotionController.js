@@ -0,0 +1,134 @@
+const PromotionModel = require('../models/promotionModel');
+const ProductModel = require('../models/productModel');
+const { validatePromotion } = require('../validators/promotionSchema');
+const { regularPrice, promotionPrice } = require('../utils/pricing');
+const { NotFoundError, ValidationError, toAppError } = require('../utils/errors');
+
+/**
+ * Controlador para gerenciar promoções agendadas
+ */
+class PromotionController {
+  constructor() {
+    this.promotionModel = new PromotionModel();
+    this.productModel = new ProductModel();
+  }
+
+  /**
+   * Busca as promoções
+   * @param {Object} options - Opções de busca (productId, includeExpired)
+   * @returns {Promise<Array>} Lista de promoções
+   */
+  async getAllPromotions(options) {
+    try {
+      return await this.promotionModel.getAllPromotions(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar promoções');
+    }
+  }
+
+  /**
+   * Busca uma promoção pelo ID
+   * @param {string} id - ID da promoção
+   * @returns {Promise<Object>} Dados da promoção
+   */
+  async getPromotion(id) {
+    try {
+      const promotion = await this.promotionModel.getPromotionById(id);
+
+      if (!promotion) {
+        throw new NotFoundError('Promoção não encontrada');
+      }
+
+      return promotion;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar promoção');
+    }
+  }
+
+  /**
+   * Cria uma nova promoção
+   * @param {Object} promotionData - Dados da promoção
+   * @param {string|null} userId - Usuário responsável
+   * @returns {Promise<Object>} Promoção criada
+   */
+  async createPromotion(promotionData, userId = null) {
+    try {
+      const promotion = await this.validatePromotionData(promotionData);
+
+      return await this.promotionModel.createPromotion({ ...promotion, created_by: userId });
+    } catch (error) {
+      throw toAppError(error, 'Erro ao criar promoção');
+    }
+  }
+
+  /**
+   * Atualiza uma promoção existente
+   * @param {string} id - ID da promoção
+   * @param {Object} promotionData - Novos dados da promoção
+   * @returns {Promise<Object>} Promoção atualizada
+   */
+  async updatePromotion(id, promotionData) {
+    try {
+      const existingPromotion = await this.getPromotion(id);
+      const changes = await this.validatePromotionData(promotionData, existingPromotion);
+
+      return await this.promotionModel.updatePromotion(id, changes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar promoção');
+    }
+  }
+
+  /**
+   * Exclui uma promoção
+   * @param {string} id - ID da promoção
+   * @returns {Promise<boolean>} Confirmação de exclusão
+   */
+  async deletePromotion(id) {
+    try {
+      await this.getPromotion(id);
+
+      return await this.promotionModel.deletePromotion(id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao excluir promoção');
+    }
+  }
+
+  /**
+   * Valida os dados da promoção. O preço promocional precisa ser menor que o
+   * preço regular do produto.
+   * @param {Object} promotionData - Dados da promoção para validação
+   * @param {Object|null} existingPromotion - Promoção armazenada, em atualizações
+   * @returns {Promise<Object>} Dados da promoção filtrados
+   * @throws {ValidationError} Todos os erros de validação encontrados
+   */
+  async validatePromotionData(promotionData, existingPromotion = null) {
+    const { value, errors } = validatePromotion(promotionData || {}, existingPromotion);
+    const merged = { ...(existingPromotion || {}), ...value };
+
+    if (merged.product_id && !errors.some(error => error.field === 'product_id')) {
+      const product = await this.productModel.getProductById(merged.product_id);
+
+      if (!product) {
+        errors.push({ field: 'product_id', message: 'Produto não encontrado' });
+      } else if (merged.price !== null && merged.price !== undefined &&
+                 promotionPrice(merged, regularPrice(product)) >= regularPrice(product)) {
+        errors.push({
+          field: 'price',
+          message: `O preço promocional deve ser menor que o preço atual (R$ ${regularPrice(product).toFixed(2)})`
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Dados da promoção inválidos', errors);
+    }
+
+    if (existingPromotion && Object.keys(value).length === 0) {
+      throw new ValidationError('Nenhum campo válido informado para atualização');
+    }
+
+    return value;
+  }
+}
+
+module.exports = PromotionController;
\ No newline at end of file
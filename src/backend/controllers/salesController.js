@@ -0,0 +1,373 @@
+const salesModel = require('../models/salesModel');
+const salesAnalyticsModel = require('../models/salesAnalyticsModel');
+const { SalesExportService, EXPORT_FORMATS } = require('../services/salesExportService');
+const { SALE_STATUSES } = require('../models/saleStatus');
+const { ORDER_TYPE, ORDER_TYPES } = require('../models/orderType');
+const { validateDeliveryAddress } = require('../validators/deliveryZoneSchema');
+const { loadFormatters } = require('../utils/formatters');
+const { resolveDateRange } = require('../utils/dateRange');
+const { normalizeCouponCodes } = require('../utils/discounts');
+const { NotFoundError, ValidationError, toAppError } = require('../utils/errors');
+
+// Campos da venda aceitos na criação
+const SALE_FIELDS = ['customer_id', 'payment_method', 'notes', 'order_type'];
+
+// Quantidade máxima de um produto em um item da venda
+const MAX_ITEM_QUANTITY = 999;
+
+// Períodos nomeados aceitos nas estatísticas
+const STATS_PERIODS = ['day', 'week', 'month', 'year'];
+
+// Cria um erro de validação para um único campo
+const invalid = (field, message) => new ValidationError(message, [{ field, message }]);
+
+/**
+ * Controlador para gerenciar operações relacionadas a vendas
+ */
+class SalesController {
+  constructor() {
+    this.salesModel = salesModel;
+    this.salesAnalyticsModel = salesAnalyticsModel;
+    this.salesExportService = new SalesExportService();
+  }
+
+  /**
+   * Busca todas as vendas com suporte a paginação e filtros
+   * @param {number} page - Página atual
+   * @param {number} limit - Limite de itens por página
+   * @param {Object} filters - Filtros (startDate, endDate, status, paymentMethod, customerId)
+   * @returns {Promise<Object>} Vendas e metadados de paginação
+   */
+  async getAllSales(page, limit, filters) {
+    try {
+      return await this.salesModel.getAllSales(page, limit, filters);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar vendas');
+    }
+  }
+
+  /**
+   * Busca uma venda pelo ID, com cliente e itens
+   * @param {string} id - ID da venda
+   * @returns {Promise<Object>} Dados da venda
+   */
+  async getSaleById(id) {
+    try {
+      const sale = await this.salesModel.getSaleById(id);
+
+      if (!sale) {
+        throw new NotFoundError('Venda não encontrada');
+      }
+
+      return sale;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar venda');
+    }
+  }
+
+  /**
+   * Cria uma nova venda com seus itens e os cupons informados
+   * @param {Object} saleData - Dados da venda (coupons: código ou lista de códigos;
+   * redeem_points: pontos de fidelidade do cliente trocados por desconto;
+   * order_type: counter, pickup ou delivery, este com delivery_address)
+   * @param {Array} items - Itens da venda
+   * @param {string|null} idempotencyKey - Chave que identifica requisições repetidas
+   * @returns {Promise<Object>} Venda criada
+   */
+  async createSale(saleData, items, idempotencyKey = null) {
+    try {
+      // Validar dados da venda
+      this.validateSaleData(saleData, items);
+
+      // Preços e total são calculados pelo modelo a partir dos produtos
+      const saleItems = items.map(item => ({
+        product_id: item.product_id,
+        quantity: Number(item.quantity),
+        price: item.price,
+        options: item.options || [],
+        components: item.components || []
+      }));
+
+      // Entregas: a taxa vem da área que atende o endereço
+      const deliveryAddress = saleData.order_type === ORDER_TYPE.DELIVERY
+        ? await this.formatDeliveryAddress(saleData.delivery_address)
+        : null;
+
+      return await this.salesModel.createSale(
+        this.pickSaleFields(saleData),
+        saleItems,
+        {
+          idempotencyKey,
+          couponCodes: saleData.coupons ? normalizeCouponCodes(saleData.coupons) : [],
+          redeemPoints: saleData.redeem_points || 0,
+          deliveryAddress
+        }
+      );
+    } catch (error) {
+      throw toAppError(error, 'Erro ao criar venda');
+    }
+  }
+
+  /**
+   * Atualiza o status de uma venda, validando a transição
+   * @param {string} id - ID da venda
+   * @param {string} status - Novo status
+   * @param {string|null} changedBy - ID do usuário que fez a alteração
+   * @param {string|null} notes - Observação sobre a alteração
+   * @returns {Promise<Object>} Venda atualizada
+   */
+  async updateSaleStatus(id, status, changedBy = null, notes = null) {
+    try {
+      if (!SALE_STATUSES.includes(status)) {
+        throw invalid('status', `Status inválido. Valores aceitos: ${SALE_STATUSES.join(', ')}`);
+      }
+
+      const existingSale = await this.salesModel.getSaleById(id);
+
+      if (!existingSale) {
+        throw new NotFoundError('Venda não encontrada');
+      }
+
+      return await this.salesModel.updateSaleStatus(id, status, changedBy, notes);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao atualizar status da venda');
+    }
+  }
+
+  /**
+   * Busca o histórico de status de uma venda
+   * @param {string} id - ID da venda
+   * @returns {Promise<Array>} Alterações de status em ordem cronológica
+   */
+  async getSaleStatusHistory(id) {
+    try {
+      return await this.salesModel.getSaleStatusHistory(id);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar histórico da venda');
+    }
+  }
+
+  /**
+   * Calcula o CMV e a margem bruta de uma venda, item a item
+   * @param {string} id - ID da venda
+   * @returns {Promise<Object>} Faturamento, custo e margem da venda e de cada item
+   */
+  async getSaleCosting(id) {
+    try {
+      const costing = await this.salesModel.getSaleCosting(id);
+
+      if (!costing) {
+        throw new NotFoundError('Venda não encontrada');
+      }
+
+      return costing;
+    } catch (error) {
+      throw toAppError(error, 'Erro ao calcular custo da venda');
+    }
+  }
+
+  /**
+   * Obtém estatísticas de vendas de um período, com comparação ao período anterior
+   * @param {Object} options - Período nomeado (day, week, month, year) ou intervalo from/to
+   * @returns {Promise<Object>} Estatísticas de vendas
+   */
+  async getSalesStats(options) {
+    try {
+      if (!options.from !== !options.to) {
+        throw invalid('from', 'Informe a data inicial e a data final');
+      }
+
+      if (!options.from && !STATS_PERIODS.includes(options.period)) {
+        throw invalid('period', `Período inválido. Valores aceitos: ${STATS_PERIODS.join(', ')}`);
+      }
+
+      return await this.salesModel.getSalesStats(options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao buscar estatísticas de vendas');
+    }
+  }
+
+  /**
+   * Gera o relatório de vendas de um intervalo de datas
+   * @param {string} startDate - Data inicial
+   * @param {string} endDate - Data final
+   * @returns {Promise<Object>} Relatório de vendas
+   */
+  async getSalesReport(startDate, endDate) {
+    try {
+      if (!startDate || !endDate) {
+        throw invalid('startDate', 'Data inicial e data final são obrigatórias');
+      }
+
+      if (new Date(startDate) > new Date(endDate)) {
+        throw invalid('startDate', 'Data inicial deve ser anterior à data final');
+      }
+
+      return await this.salesModel.getSalesReport(startDate, endDate);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao gerar relatório de vendas');
+    }
+  }
+
+  /**
+   * Valida os parâmetros de exportação do relatório de vendas
+   * @param {string} format - csv, xlsx ou pdf
+   * @param {string} startDate - Data inicial
+   * @param {string} endDate - Data final
+   * @returns {Object} Intervalo, tipo de conteúdo e nome do arquivo
+   */
+  prepareReportExport(format, startDate, endDate) {
+    try {
+      if (!EXPORT_FORMATS[format]) {
+        throw invalid('format', `Formato inválido. Valores aceitos: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+      }
+
+      if (!startDate || !endDate) {
+        throw invalid('startDate', 'Data inicial e data final são obrigatórias');
+      }
+
+      const range = resolveDateRange(startDate, endDate);
+      const { contentType, extension } = EXPORT_FORMATS[format];
+
+      return {
+        format,
+        range,
+        contentType,
+        filename: `fechamento-${startDate}-a-${endDate}.${extension}`
+      };
+    } catch (error) {
+      throw toAppError(error, 'Erro ao exportar relatório de vendas');
+    }
+  }
+
+  /**
+   * Escreve o relatório de vendas exportado em um stream
+   * @param {Object} exportInfo - Resultado de prepareReportExport
+   * @param {stream.Writable} output - Stream de saída
+   * @returns {Promise<void>}
+   */
+  async exportSalesReport(exportInfo, output) {
+    try {
+      await this.salesExportService.export(exportInfo.format, exportInfo.range, output);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao exportar relatório de vendas');
+    }
+  }
+
+  /**
+   * Gera o relatório de desempenho de produtos e categorias
+   * @param {string} startDate - Data inicial
+   * @param {string} endDate - Data final
+   * @param {Object} options - Tamanho dos rankings (limit) e critério (rankBy: revenue ou units)
+   * @returns {Promise<Object>} Desempenho por produto, categoria, rankings e mapas de calor
+   */
+  async getProductPerformance(startDate, endDate, options) {
+    try {
+      if (!startDate || !endDate) {
+        throw invalid('startDate', 'Data inicial e data final são obrigatórias');
+      }
+
+      if (options.rankBy && !['revenue', 'units'].includes(options.rankBy)) {
+        throw invalid('rankBy', 'Critério de ranking inválido. Valores aceitos: revenue, units');
+      }
+
+      const range = resolveDateRange(startDate, endDate);
+      return await this.salesAnalyticsModel.getProductPerformance(range, options);
+    } catch (error) {
+      throw toAppError(error, 'Erro ao gerar relatório de produtos');
+    }
+  }
+
+  /**
+   * Mantém apenas os campos da venda que o cliente pode definir
+   * (id, status, total e datas são controlados pelo servidor)
+   * @param {Object} saleData - Dados recebidos na requisição
+   * @returns {Object} Dados da venda filtrados
+   */
+  pickSaleFields(saleData) {
+    return SALE_FIELDS.reduce((fields, field) => {
+      if (saleData[field] !== undefined) fields[field] = saleData[field];
+      return fields;
+    }, {});
+  }
+
+  /**
+   * Valida o endereço de entrega e formata o CEP (00000-000)
+   * @param {Object} address - Endereço recebido
+   * @returns {Promise<Object>} Endereço pronto para gravar na venda
+   * @throws {ValidationError} Endereço incompleto ou CEP inválido
+   */
+  async formatDeliveryAddress(address) {
+    const { value, errors } = validateDeliveryAddress(address);
+
+    if (errors.length > 0) {
+      throw new ValidationError('Endereço de entrega inválido', errors);
+    }
+
+    const { formatCEP } = await loadFormatters();
+    return { ...value, zip_code: formatCEP(value.zip_code) };
+  }
+
+  /**
+   * Valida os dados da venda e de seus itens
+   * @param {Object} saleData - Dados da venda para validação
+   * @param {Array} items - Itens da venda para validação
+   * @throws {ValidationError} Erro de validação
+   */
+  validateSaleData(saleData, items) {
+    if (!saleData.payment_method) throw invalid('payment_method', 'Método de pagamento é obrigatório');
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw invalid('items', 'A venda deve ter pelo menos um item');
+    }
+
+    if (saleData.order_type !== undefined && !ORDER_TYPES.includes(saleData.order_type)) {
+      throw invalid('order_type', `Tipo de pedido inválido. Valores aceitos: ${ORDER_TYPES.join(', ')}`);
+    }
+
+    if (saleData.coupons !== undefined && saleData.coupons !== null &&
+        typeof saleData.coupons !== 'string' &&
+        (!Array.isArray(saleData.coupons) || saleData.coupons.some(code => typeof code !== 'string'))) {
+      throw invalid('coupons', 'Cupons devem ser um código ou uma lista de códigos');
+    }
+
+    if (saleData.redeem_points !== undefined && saleData.redeem_points !== null &&
+        (!Number.isInteger(saleData.redeem_points) || saleData.redeem_points < 0)) {
+      throw invalid('redeem_points', 'Os pontos a trocar devem ser um número inteiro positivo');
+    }
+
+    items.forEach((item, index) => {
+      if (!item.product_id) {
+        throw invalid(`items[${index}].product_id`, `Item ${index + 1}: produto é obrigatório`);
+      }
+
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw invalid(`items[${index}].quantity`, `Item ${index + 1}: quantidade deve ser um número inteiro positivo`);
+      }
+
+      if (quantity > MAX_ITEM_QUANTITY) {
+        throw invalid(`items[${index}].quantity`, `Item ${index + 1}: quantidade máxima é ${MAX_ITEM_QUANTITY}`);
+      }
+
+      if (item.options !== undefined &&
+          (!Array.isArray(item.options) || item.options.some(option => typeof option !== 'string'))) {
+        throw invalid(`items[${index}].options`, `Item ${index + 1}: opções devem ser uma lista de IDs`);
+      }
+
+      if (item.components !== undefined &&
+          (!Array.isArray(item.components) ||
+           item.components.some(component => !component || !component.slot_id || !component.product_id))) {
+        throw invalid(`items[${index}].components`, `Item ${index + 1}: componentes devem informar etapa e produto`);
+      }
+
+      // O preço é opcional: se enviado, é apenas conferido com o preço do produto
+      if (item.price !== undefined && item.price !== null &&
+          (isNaN(parseFloat(item.price)) || parseFloat(item.price) < 0)) {
+        throw invalid(`items[${index}].price`, `Item ${index + 1}: preço deve ser um número válido`);
+      }
+    });
+  }
+}
+
+module.exports = SalesController;
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { AppError, toAppError, UnauthorizedError } = require('../utils/errors');
+
+// Erros da biblioteca jsonwebtoken
+const JWT_ERRORS = ['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'];
+
+// Erros de leitura do corpo (express.json/body-parser), identificados por err.type
+const BODY_ERRORS = {
+  'entity.parse.failed': { code: 'INVALID_JSON', message: 'JSON inválido no corpo da requisição' },
+  'entity.too.large': { code: 'PAYLOAD_TOO_LARGE', message: 'Corpo da requisição excede o tamanho máximo' }
+};
+
+/**
+ * Converte erros de cliente do Express e do body-parser (status 4xx) em AppError,
+ * mantendo o status original e sem repetir a mensagem interna do parser
+ * @param {Error} err - Erro recebido
+ * @returns {AppError|null} Erro tipado; nulo se não for um erro de requisição
+ */
+const fromRequestError = (err) => {
+  const status = err.status || err.statusCode;
+  if (err instanceof AppError || !(status >= 400 && status < 500)) return null;
+
+  const known = BODY_ERRORS[err.type] || { code: 'BAD_REQUEST', message: 'Requisição inválida' };
+  return new AppError(known.message, { status, code: known.code, cause: err });
+};
+
+/**
+ * Middleware de erros da API. Responde sempre no formato:
+ * { error: { code, message, details?, requestId } }
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = JWT_ERRORS.includes(err.name)
+    ? new UnauthorizedError('Token inválido ou expirado')
+    : fromRequestError(err) || toAppError(err);
+
+  if (error.status >= 500) {
+    console.error(`[${req.id}] Erro em ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  // Em produção, erros internos não expõem detalhes
+  const message = error.status >= 500 && process.env.NODE_ENV === 'production'
+    ? 'Erro interno do servidor'
+    : error.message;
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message,
+      ...(error.details ? { details: error.details } : {}),
+      requestId: req.id
+    }
+  });
+};
+
+module.exports = errorHandler;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * Atribui um ID a cada requisição (reaproveitando o cabeçalho X-Request-Id,
+ * se enviado) para correlacionar respostas de erro e logs.
+ */
+const requestId = (req, res, next) => {
+  req.id = req.get('X-Request-Id') || randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
\ No newline at end of file
@@ -0,0 +1,50 @@
+const path = require('path');
+const multer = require('multer');
+const { AppError, ValidationError } = require('../utils/errors');
+
+/**
+ * Cria um middleware de upload de um único arquivo, mantido em memória
+ * (req.file.buffer). Arquivos de tipo não aceito ou acima do limite são
+ * recusados com erro de validação.
+ * @param {Object} options - field: campo do formulário; types: { extensão: [mimetypes] }; maxSize: bytes
+ * @returns {Function} Middleware Express
+ */
+const uploadFile = ({ field = 'file', types, maxSize }) => {
+  const extensions = Object.keys(types);
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, callback) => {
+      const extension = path.extname(file.originalname).slice(1).toLowerCase();
+
+      if (!types[extension] || !types[extension].includes(file.mimetype)) {
+        return callback(new ValidationError(`Tipo de arquivo não aceito. Formatos aceitos: ${extensions.join(', ')}`, [
+          { field, message: 'Tipo de arquivo não aceito' }
+        ]));
+      }
+
+      file.extension = extension;
+      callback(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? new AppError(`Arquivo maior que o limite de ${Math.round(maxSize / 1024 / 1024)} MB`, {
+          status: 413,
+          code: 'FILE_TOO_LARGE'
+        })
+        : new ValidationError(`Envio de arquivo inválido (${error.code})`, [{ field, message: error.message }]));
+    }
+
+    if (!error && !req.file) {
+      return next(new ValidationError('Nenhum arquivo enviado', [{ field, message: 'Arquivo obrigatório' }]));
+    }
+
+    next(error);
+  });
+};
+
+module.exports = { uploadFile };
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+const { CATALOG_EVENTS, publishCatalogEvent } = require('../services/catalogEvents');
+
+// Identifica valores no formato UUID (demais valores são tratados como slug)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class CategoryModel {
+  constructor() {
+    this.tableName = 'categories';
+  }
+
+  /**
+   * Converte o resultado da contagem embutida em product_count
+   * @param {Object} category Categoria retornada pelo Supabase
+   * @returns {Object} Categoria com product_count
+   */
+  withProductCount(category) {
+    const { products, ...data } = category;
+
+    return {
+      ...data,
+      product_count: products && products[0] ? products[0].count : 0
+    };
+  }
+
+  /**
+   * Busca todas as categorias na ordem de exibição, com a quantidade de produtos
+   * @param {Object} options Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de categorias
+   */
+  async getAllCategories(options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*, products(count)')
+        .order('display_order', { ascending: true })
+        .order('name', { ascending: true });
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar categorias');
+      }
+
+      return data.map(category => this.withProductCount(category));
+    } catch (error) {
+      console.error('Erro em getAllCategories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma categoria pelo ID ou pelo slug
+   * @param {string} idOrSlug ID ou slug da categoria
+   * @returns {Promise<Object|null>} Dados da categoria
+   */
+  async getCategory(idOrSlug) {
+    try {
+      const column = UUID_PATTERN.test(idOrSlug) ? 'id' : 'slug';
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*, products(count)')
+        .eq(column, idOrSlug)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar categoria');
+      }
+
+      return data ? this.withProductCount(data) : null;
+    } catch (error) {
+      console.error('Erro em getCategory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria uma nova categoria
+   * @param {Object} categoryData Dados da categoria
+   * @returns {Promise<Object>} Categoria criada
+   */
+  async createCategory(categoryData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([{ ...categoryData, created_at: new Date().toISOString() }])
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao criar categoria');
+      }
+
+      publishCatalogEvent(CATALOG_EVENTS.CATEGORIES_CHANGED, { categoryId: data[0].id, action: 'created' });
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em createCategory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza uma categoria existente
+   * @param {string} id ID da categoria
+   * @param {Object} categoryData Dados da categoria
+   * @returns {Promise<Object>} Categoria atualizada
+   */
+  async updateCategory(id, categoryData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ ...categoryData, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar categoria');
+      }
+
+      publishCatalogEvent(CATALOG_EVENTS.CATEGORIES_CHANGED, { categoryId: id, action: 'updated' });
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updateCategory:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exclui uma categoria
+   * @param {string} id ID da categoria
+   * @returns {Promise<boolean>} Status da operação
+   */
+  async deleteCategory(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao excluir categoria');
+      }
+
+      publishCatalogEvent(CATALOG_EVENTS.CATEGORIES_CHANGED, { categoryId: id, action: 'deleted' });
+
+      return true;
+    } catch (error) {
+      console.error('Erro em deleteCategory:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CategoryModel;
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+
+// Etapas com os produtos permitidos e seus preços atuais
+const COMBO_SLOT_SELECT = `
+  *,
+  products:combo_slot_products(
+    upcharge,
+    display_order,
+    product:product_id(id, name, price, discountPrice, available)
+  )
+`;
+
+class ComboModel {
+  constructor() {
+    this.tableName = 'combo_slots';
+  }
+
+  /**
+   * Busca as etapas de um ou mais combos, na ordem de exibição
+   * @param {Array<string>} comboIds IDs dos produtos do tipo combo
+   * @returns {Promise<Array>} Etapas com os produtos permitidos
+   */
+  async getComboSlots(comboIds) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(COMBO_SLOT_SELECT)
+        .in('combo_id', comboIds)
+        .order('display_order', { ascending: true });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar etapas do combo');
+      }
+
+      return data.map(slot => ({
+        ...slot,
+        products: [...slot.products].sort((a, b) => a.display_order - b.display_order)
+      }));
+    } catch (error) {
+      console.error('Erro em getComboSlots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica se um produto aparece como opção em alguma etapa de combo
+   * @param {string} productId ID do produto
+   * @returns {Promise<boolean>} true se o produto compõe algum combo
+   */
+  async isComboComponent(productId) {
+    try {
+      const { data, error } = await supabase
+        .from('combo_slot_products')
+        .select('slot_id')
+        .eq('product_id', productId)
+        .limit(1);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao verificar uso do produto em combos');
+      }
+
+      return data.length > 0;
+    } catch (error) {
+      console.error('Erro em isComboComponent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Substitui todas as etapas de um combo
+   * @param {string} comboId ID do produto do tipo combo
+   * @param {Array} slots Etapas com os produtos permitidos
+   * @returns {Promise<Array>} Etapas gravadas
+   */
+  async replaceComboSlots(comboId, slots) {
+    try {
+      const { error } = await supabase.rpc('replace_combo_slots', {
+        p_combo_id: comboId,
+        p_slots: slots
+      });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao salvar etapas do combo');
+      }
+
+      return await this.getComboSlots([comboId]);
+    } catch (error) {
+      console.error('Erro em replaceComboSlots:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ComboModel;
\ No newline at end of file
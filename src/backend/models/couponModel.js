@@ -0,0 +1,257 @@
+const { supabase } = require('../../supabaseClient');
+const { VOID_SALE_STATUSES } = require('./saleStatus');
+const { toAppError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/currency');
+
+// Quantidade de linhas buscadas por requisição no relatório de resgates
+const BATCH_SIZE = 1000;
+
+class CouponModel {
+  constructor() {
+    this.tableName = 'coupons';
+  }
+
+  /**
+   * Busca os cupons, dos mais recentes aos mais antigos
+   * @param {Object} options Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de cupons
+   */
+  async getAllCoupons(options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*')
+        .order('created_at', { ascending: false });
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar cupons');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getAllCoupons:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um cupom pelo ID
+   * @param {string} id ID do cupom
+   * @returns {Promise<Object|null>} Dados do cupom
+   */
+  async getCouponById(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar cupom');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getCouponById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um cupom pelo código
+   * @param {string} code Código do cupom, em maiúsculas
+   * @returns {Promise<Object|null>} Dados do cupom
+   */
+  async getCouponByCode(code) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('code', code)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar cupom');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getCouponByCode:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria um novo cupom
+   * @param {Object} couponData Dados do cupom
+   * @returns {Promise<Object>} Cupom criado
+   */
+  async createCoupon(couponData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([{ ...couponData, created_at: new Date().toISOString() }])
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao criar cupom');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em createCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza um cupom existente
+   * @param {string} id ID do cupom
+   * @param {Object} couponData Dados do cupom
+   * @returns {Promise<Object>} Cupom atualizado
+   */
+  async updateCoupon(id, couponData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ ...couponData, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar cupom');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updateCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exclui um cupom. Os descontos já concedidos permanecem nas vendas
+   * @param {string} id ID do cupom
+   * @returns {Promise<boolean>} Status da operação
+   */
+  async deleteCoupon(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao excluir cupom');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Erro em deleteCoupon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Relatório de resgates por cupom em um intervalo [from, to): quantos pedidos
+   * usaram cada cupom, quanto foi concedido em desconto e quanto foi faturado.
+   * Vendas canceladas e estornadas ficam de fora.
+   * @param {{from: Date, to: Date}} range Intervalo das vendas
+   * @returns {Promise<Object>} Totais e resgates por cupom
+   */
+  async getRedemptionReport({ from, to }) {
+    try {
+      const rows = [];
+
+      for (let offset = 0; ; offset += BATCH_SIZE) {
+        const { data, error } = await supabase
+          .from('sale_discounts')
+          .select(`
+            id,
+            coupon_id,
+            code,
+            type,
+            amount,
+            sales!inner(id, total, subtotal, customer_id, status, created_at)
+          `)
+          .neq('type', 'loyalty')
+          .gte('sales.created_at', from.toISOString())
+          .lt('sales.created_at', to.toISOString())
+          .not('sales.status', 'in', `(${VOID_SALE_STATUSES.join(',')})`)
+          .order('id', { ascending: true })
+          .range(offset, offset + BATCH_SIZE - 1);
+
+        if (error) {
+          throw toAppError(error, 'Erro ao gerar relatório de cupons');
+        }
+
+        rows.push(...data);
+
+        if (data.length < BATCH_SIZE) break;
+      }
+
+      const byCoupon = new Map();
+
+      rows.forEach(row => {
+        const key = row.coupon_id || row.code;
+
+        if (!byCoupon.has(key)) {
+          byCoupon.set(key, {
+            coupon_id: row.coupon_id,
+            code: row.code,
+            type: row.type,
+            sales: new Set(),
+            customers: new Set(),
+            discount: 0,
+            revenue: 0
+          });
+        }
+
+        const stats = byCoupon.get(key);
+        stats.discount += parseFloat(row.amount);
+
+        if (!stats.sales.has(row.sales.id)) {
+          stats.sales.add(row.sales.id);
+          stats.revenue += parseFloat(row.sales.total);
+          if (row.sales.customer_id) stats.customers.add(row.sales.customer_id);
+        }
+      });
+
+      const coupons = [...byCoupon.values()]
+        .map(({ sales, customers, ...stats }) => ({
+          ...stats,
+          redemptions: sales.size,
+          customers: customers.size,
+          discount: roundCurrency(stats.discount),
+          revenue: roundCurrency(stats.revenue),
+          averageTicket: sales.size > 0 ? roundCurrency(stats.revenue / sales.size) : 0,
+          averageDiscount: sales.size > 0 ? roundCurrency(stats.discount / sales.size) : 0
+        }))
+        .sort((a, b) => b.discount - a.discount);
+
+      return {
+        startDate: from.toISOString(),
+        endDate: to.toISOString(),
+        totals: {
+          redemptions: new Set(rows.map(row => row.sales.id)).size,
+          discount: roundCurrency(coupons.reduce((sum, coupon) => sum + coupon.discount, 0))
+        },
+        coupons
+      };
+    } catch (error) {
+      console.error('Erro em getRedemptionReport:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CouponModel;
\ No newline at end of file
@@ -0,0 +1,237 @@
+const { supabase } = require('../../supabaseClient');
+const { VOID_SALE_STATUSES } = require('./saleStatus');
+const { toAppError } = require('../utils/errors');
+const { roundCurrency } = require('../utils/currency');
+
+class CustomerModel {
+  constructor() {
+    this.tableName = 'customers';
+  }
+
+  /**
+   * Busca os clientes com suporte a paginação e busca por nome, telefone ou CPF
+   * @param {Object} options Opções de busca (page, limit, search)
+   * @returns {Promise<Object>} Clientes e dados de paginação
+   */
+  async getAllCustomers(options = {}) {
+    try {
+      const { page = 1, limit = 20, search = '' } = options;
+      const offset = (page - 1) * limit;
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*', { count: 'exact' });
+
+      if (search) {
+        const digits = search.replace(/\D/g, '');
+        const filters = [`name.ilike.%${search}%`];
+
+        if (digits) {
+          filters.push(`phone.like.%${digits}%`, `cpf.like.%${digits}%`);
+        }
+
+        query = query.or(filters.join(','));
+      }
+
+      const { data, error, count } = await query
+        .order('name', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar clientes');
+      }
+
+      return {
+        data,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Erro em getAllCustomers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um cliente pelo ID
+   * @param {string} id ID do cliente
+   * @returns {Promise<Object|null>} Dados do cliente
+   */
+  async getCustomerById(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar cliente');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getCustomerById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um cliente pelo telefone
+   * @param {string} phone Telefone normalizado (apenas dígitos)
+   * @returns {Promise<Object|null>} Dados do cliente
+   */
+  async getCustomerByPhone(phone) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('phone', phone)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar cliente');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getCustomerByPhone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria um novo cliente
+   * @param {Object} customerData Dados do cliente
+   * @returns {Promise<Object>} Cliente criado
+   */
+  async createCustomer(customerData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([{ ...customerData, created_at: new Date().toISOString() }])
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao criar cliente');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em createCustomer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza um cliente existente
+   * @param {string} id ID do cliente
+   * @param {Object} customerData Dados do cliente
+   * @returns {Promise<Object>} Cliente atualizado
+   */
+  async updateCustomer(id, customerData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ ...customerData, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar cliente');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updateCustomer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exclui um cliente (as vendas permanecem, sem o vínculo)
+   * @param {string} id ID do cliente
+   * @returns {Promise<boolean>} Status da operação
+   */
+  async deleteCustomer(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao excluir cliente');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Erro em deleteCustomer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calcula o valor total gasto (LTV), o número de pedidos e o ticket médio
+   * do cliente. Vendas canceladas e estornadas não entram na conta.
+   * @param {string} id ID do cliente
+   * @returns {Promise<Object>} Indicadores do cliente
+   */
+  async getCustomerStats(id) {
+    try {
+      const { data, error } = await supabase
+        .from('sales')
+        .select('total, created_at')
+        .eq('customer_id', id)
+        .not('status', 'in', `(${VOID_SALE_STATUSES.join(',')})`)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao calcular indicadores do cliente');
+      }
+
+      const lifetimeValue = data.reduce((sum, sale) => sum + (parseFloat(sale.total) || 0), 0);
+
+      return {
+        orders: data.length,
+        lifetimeValue: roundCurrency(lifetimeValue),
+        averageTicket: data.length > 0 ? roundCurrency(lifetimeValue / data.length) : 0,
+        firstOrderAt: data.length > 0 ? data[0].created_at : null,
+        lastOrderAt: data.length > 0 ? data[data.length - 1].created_at : null
+      };
+    } catch (error) {
+      console.error('Erro em getCustomerStats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca o extrato de pontos de fidelidade do cliente
+   * @param {string} id ID do cliente
+   * @returns {Promise<Array>} Movimentações, das mais recentes às mais antigas
+   */
+  async getLoyaltyTransactions(id) {
+    try {
+      const { data, error } = await supabase
+        .from('loyalty_transactions')
+        .select('*')
+        .eq('customer_id', id)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar extrato de pontos');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getLoyaltyTransactions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CustomerModel;
\ No newline at end of file
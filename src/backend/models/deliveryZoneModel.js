@@ -0,0 +1,136 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+
+class DeliveryZoneModel {
+  constructor() {
+    this.tableName = 'delivery_zones';
+  }
+
+  /**
+   * Busca as áreas de entrega, ordenadas pelo nome
+   * @param {Object} options Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de áreas
+   */
+  async getAllZones(options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*')
+        .order('name', { ascending: true });
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar áreas de entrega');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getAllZones:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma área de entrega pelo ID
+   * @param {string} id ID da área
+   * @returns {Promise<Object|null>} Dados da área
+   */
+  async getZoneById(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar área de entrega');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getZoneById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria uma nova área de entrega
+   * @param {Object} zoneData Dados da área
+   * @returns {Promise<Object>} Área criada
+   */
+  async createZone(zoneData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([{ ...zoneData, created_at: new Date().toISOString() }])
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao criar área de entrega');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em createZone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza uma área de entrega existente
+   * @param {string} id ID da área
+   * @param {Object} zoneData Dados da área
+   * @returns {Promise<Object>} Área atualizada
+   */
+  async updateZone(id, zoneData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ ...zoneData, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar área de entrega');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updateZone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exclui uma área de entrega (as vendas mantêm a taxa cobrada)
+   * @param {string} id ID da área
+   * @returns {Promise<boolean>} Status da operação
+   */
+  async deleteZone(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao excluir área de entrega');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Erro em deleteZone:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DeliveryZoneModel;
\ No newline at end of file
@@ -0,0 +1,304 @@
+const { supabase } = require('../../supabaseClient');
+const { ConflictError, toAppError } = require('../utils/errors');
+const { CATALOG_EVENTS, publishCatalogEvent } = require('../services/catalogEvents');
+
+class InventoryModel {
+  constructor() {
+    this.tableName = 'ingredients';
+  }
+
+  /**
+   * Busca todos os insumos em ordem alfabética
+   * @param {Object} options Opções de busca (includeInactive)
+   * @returns {Promise<Array>} Lista de insumos
+   */
+  async getAllIngredients(options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*')
+        .order('name', { ascending: true });
+
+      if (!includeInactive) {
+        query = query.eq('active', true);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar insumos');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getAllIngredients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um insumo pelo ID
+   * @param {string} id ID do insumo
+   * @returns {Promise<Object|null>} Dados do insumo
+   */
+  async getIngredientById(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar insumo');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getIngredientById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca vários insumos pelos IDs
+   * @param {Array<string>} ids IDs dos insumos
+   * @returns {Promise<Array>} Insumos encontrados
+   */
+  async getIngredientsByIds(ids) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .in('id', ids);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar insumos');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getIngredientsByIds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca os insumos ativos com saldo igual ou abaixo do estoque mínimo,
+   * com os produtos que dependem de cada um
+   * @returns {Promise<Array>} Insumos em falta, dos mais críticos aos menos
+   */
+  async getLowStockIngredients() {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*, recipes:product_recipes(product:products(id, name, available))')
+        .eq('active', true);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar insumos com estoque baixo');
+      }
+
+      // O PostgREST não compara duas colunas, então o filtro é feito aqui
+      return data
+        .filter(ingredient => parseFloat(ingredient.stock) <= parseFloat(ingredient.low_stock_threshold))
+        .map(({ recipes, ...ingredient }) => ({
+          ...ingredient,
+          out_of_stock: parseFloat(ingredient.stock) <= 0,
+          missing: Math.max(0, parseFloat(ingredient.low_stock_threshold) - parseFloat(ingredient.stock)),
+          products: recipes.map(recipe => recipe.product).filter(Boolean)
+        }))
+        .sort((a, b) => a.stock / (a.low_stock_threshold || 1) - b.stock / (b.low_stock_threshold || 1));
+    } catch (error) {
+      console.error('Erro em getLowStockIngredients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria um novo insumo
+   * @param {Object} ingredientData Dados do insumo
+   * @returns {Promise<Object>} Insumo criado
+   */
+  async createIngredient(ingredientData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([{ ...ingredientData, created_at: new Date().toISOString() }])
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao criar insumo');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em createIngredient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza um insumo existente (o saldo só muda por movimentações)
+   * @param {string} id ID do insumo
+   * @param {Object} ingredientData Dados do insumo
+   * @returns {Promise<Object>} Insumo atualizado
+   */
+  async updateIngredient(id, ingredientData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ ...ingredientData, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar insumo');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updateIngredient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exclui um insumo que não faz parte de nenhuma ficha técnica
+   * @param {string} id ID do insumo
+   * @returns {Promise<boolean>} Status da operação
+   */
+  async deleteIngredient(id) {
+    try {
+      const { error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id);
+
+      // Violação de chave estrangeira: o insumo ainda está em alguma ficha técnica
+      if (error && error.code === '23503') {
+        throw new ConflictError('O insumo faz parte de fichas técnicas. Remova-o das fichas ou desative-o');
+      }
+
+      if (error) {
+        throw toAppError(error, 'Erro ao excluir insumo');
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Erro em deleteIngredient:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra uma movimentação manual e atualiza o saldo do insumo
+   * @param {string} id ID do insumo
+   * @param {Object} movement Movimentação (quantity com sinal, reason, notes, createdBy)
+   * @returns {Promise<Object|null>} Insumo atualizado e produtos desativados
+   */
+  async adjustStock(id, movement) {
+    try {
+      const { data, error } = await supabase.rpc('adjust_ingredient_stock', {
+        p_ingredient_id: id,
+        p_quantity: movement.quantity,
+        p_reason: movement.reason,
+        p_notes: movement.notes || null,
+        p_created_by: movement.createdBy || null
+      });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao movimentar estoque');
+      }
+
+      if (data && data.disabled_products.length > 0) {
+        publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, {
+          productIds: data.disabled_products,
+          action: 'out_of_stock'
+        });
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em adjustStock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca as movimentações de um insumo, das mais recentes às mais antigas
+   * @param {string} id ID do insumo
+   * @param {number} limit Quantidade máxima de movimentações
+   * @returns {Promise<Array>} Movimentações
+   */
+  async getMovements(id, limit = 50) {
+    try {
+      const { data, error } = await supabase
+        .from('stock_movements')
+        .select('*')
+        .eq('ingredient_id', id)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar movimentações de estoque');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getMovements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca a ficha técnica de um produto
+   * @param {string} productId ID do produto
+   * @returns {Promise<Array>} Insumos e quantidades por unidade do produto
+   */
+  async getRecipe(productId) {
+    try {
+      const { data, error } = await supabase
+        .from('product_recipes')
+        .select('ingredient_id, quantity, ingredient:ingredients(id, name, unit, stock)')
+        .eq('product_id', productId);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar ficha técnica');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getRecipe:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Substitui a ficha técnica de um produto
+   * @param {string} productId ID do produto
+   * @param {Array} items Insumos e quantidades
+   * @returns {Promise<Array>} Ficha técnica gravada
+   */
+  async replaceRecipe(productId, items) {
+    try {
+      const { error } = await supabase.rpc('replace_product_recipe', {
+        p_product_id: productId,
+        p_items: items
+      });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao salvar ficha técnica');
+      }
+
+      return await this.getRecipe(productId);
+    } catch (error) {
+      console.error('Erro em replaceRecipe:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = InventoryModel;
\ No newline at end of file
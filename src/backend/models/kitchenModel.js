@@ -0,0 +1,129 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+
+// Colunas de um pedido na cozinha: cliente e itens com opções e componentes
+const KITCHEN_SELECT = `
+  id,
+  status,
+  order_type,
+  notes,
+  created_at,
+  customer:customer_id(name),
+  items:sale_items(
+    id,
+    quantity,
+    kitchen_status,
+    kitchen_updated_at,
+    product:product_id(name),
+    options:sale_item_options(name),
+    components:sale_item_components(name, quantity)
+  )
+`;
+
+class KitchenModel {
+  constructor() {
+    this.tableName = 'sale_items';
+  }
+
+  /**
+   * Busca os pedidos em aberto na cozinha, dos mais antigos aos mais novos
+   * @param {Array<string>} statuses Status de venda exibidos
+   * @returns {Promise<Array>} Pedidos com seus itens
+   */
+  async getOrders(statuses) {
+    try {
+      const { data, error } = await supabase
+        .from('sales')
+        .select(KITCHEN_SELECT)
+        .in('status', statuses)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar fila da cozinha');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getOrders:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um pedido com os dados exibidos na cozinha
+   * @param {string} saleId ID da venda
+   * @returns {Promise<Object|null>} Pedido com seus itens
+   */
+  async getOrder(saleId) {
+    try {
+      const { data, error } = await supabase
+        .from('sales')
+        .select(KITCHEN_SELECT)
+        .eq('id', saleId)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar pedido');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getOrder:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca um item de venda
+   * @param {string} itemId ID do item
+   * @returns {Promise<Object|null>} Item com o ID da venda e o status na cozinha
+   */
+  async getItem(itemId) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('id, sale_id, kitchen_status')
+        .eq('id', itemId)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar item do pedido');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getItem:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza o status de itens na cozinha. Apenas itens ainda no status
+   * esperado são alterados, evitando sobrescrever a ação de outra tela.
+   * @param {Array<string>} itemIds IDs dos itens
+   * @param {string} fromStatus Status atual esperado
+   * @param {string} toStatus Novo status
+   * @returns {Promise<Array>} Itens alterados
+   */
+  async updateItemsStatus(itemIds, fromStatus, toStatus) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ kitchen_status: toStatus, kitchen_updated_at: new Date().toISOString() })
+        .in('id', itemIds)
+        .eq('kitchen_status', fromStatus)
+        .select('id, sale_id, kitchen_status, kitchen_updated_at');
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar item do pedido');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em updateItemsStatus:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = KitchenModel;
\ No newline at end of file
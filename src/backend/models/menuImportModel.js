@@ -0,0 +1,156 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+const { CATALOG_EVENTS, publishCatalogEvent } = require('../services/catalogEvents');
+
+// Colunas da listagem (sem os itens lidos e com apenas o resumo da prévia)
+const IMPORT_LIST_SELECT = 'id, file_name, file_type, file_size, status, result, created_by, created_at, ' +
+  'applied_by, applied_at, summary:diff->summary';
+
+class MenuImportModel {
+  constructor() {
+    this.tableName = 'menu_imports';
+  }
+
+  /**
+   * Busca as importações de cardápio, das mais recentes às mais antigas
+   * @param {Object} options Opções de busca (page, limit, status)
+   * @returns {Promise<Object>} Importações e dados de paginação
+   */
+  async getImports(options = {}) {
+    try {
+      const { page = 1, limit = 20, status = null } = options;
+      const offset = (page - 1) * limit;
+
+      let query = supabase
+        .from(this.tableName)
+        .select(IMPORT_LIST_SELECT, { count: 'exact' });
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar importações de cardápio');
+      }
+
+      return {
+        data,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Erro em getImports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma importação de cardápio com os itens lidos e a prévia
+   * @param {string} id ID da importação
+   * @returns {Promise<Object|null>} Dados da importação
+   */
+  async getImportById(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar importação de cardápio');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getImportById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra uma importação de cardápio aguardando confirmação
+   * @param {Object} importData Dados da importação (arquivo, itens, avisos e prévia)
+   * @returns {Promise<Object>} Importação criada
+   */
+  async createImport(importData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([importData])
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao registrar importação de cardápio');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em createImport:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza uma importação de cardápio
+   * @param {string} id ID da importação
+   * @param {Object} changes Campos alterados (diff, status)
+   * @returns {Promise<Object>} Importação atualizada
+   */
+  async updateImport(id, changes) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update(changes)
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar importação de cardápio');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updateImport:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aplica a prévia de uma importação ao catálogo em uma única transação
+   * @param {string} id ID da importação
+   * @param {string|null} userId Usuário responsável, registrado no histórico de preços
+   * @param {boolean} deactivateMissing Deixa indisponíveis os produtos ausentes do cardápio
+   * @returns {Promise<Object>} Importação aplicada, com o resultado
+   */
+  async applyImport(id, userId, deactivateMissing) {
+    try {
+      const { data, error } = await supabase.rpc('apply_menu_import', {
+        p_import_id: id,
+        p_user_id: userId,
+        p_deactivate_missing: deactivateMissing
+      });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao aplicar importação de cardápio');
+      }
+
+      publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, { productIds: null, action: 'imported' });
+
+      return data;
+    } catch (error) {
+      console.error('Erro em applyImport:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MenuImportModel;
\ No newline at end of file
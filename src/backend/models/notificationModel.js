@@ -0,0 +1,217 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+
+class NotificationModel {
+  constructor() {
+    this.tableName = 'notification_queue';
+  }
+
+  /**
+   * Busca os modelos de mensagem por status
+   * @returns {Promise<Array>} Modelos
+   */
+  async getTemplates() {
+    try {
+      const { data, error } = await supabase
+        .from('notification_templates')
+        .select('*');
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar modelos de mensagem');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getTemplates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca o modelo de mensagem de um status
+   * @param {string} status Status da venda
+   * @returns {Promise<Object|null>} Modelo
+   */
+  async getTemplate(status) {
+    try {
+      const { data, error } = await supabase
+        .from('notification_templates')
+        .select('*')
+        .eq('status', status)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar modelo de mensagem');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getTemplate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria ou atualiza o modelo de mensagem de um status
+   * @param {string} status Status da venda
+   * @param {Object} templateData Dados do modelo (body, active)
+   * @returns {Promise<Object>} Modelo gravado
+   */
+  async saveTemplate(status, templateData) {
+    try {
+      const { data, error } = await supabase
+        .from('notification_templates')
+        .upsert({ ...templateData, status, updated_at: new Date().toISOString() })
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao salvar modelo de mensagem');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em saveTemplate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserva um lote de notificações prontas para envio
+   * @param {number} limit Tamanho do lote
+   * @returns {Promise<Array>} Notificações reservadas (tentativa já contada)
+   */
+  async claim(limit) {
+    try {
+      const { data, error } = await supabase.rpc('claim_notifications', { p_limit: limit });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao reservar notificações');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em claim:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza uma notificação
+   * @param {string} id ID da notificação
+   * @param {Object} changes Campos alterados (state, body, next_attempt_at, last_error, sent_at)
+   * @returns {Promise<Object>} Notificação atualizada
+   */
+  async updateNotification(id, changes) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update(changes)
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar notificação');
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updateNotification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registra uma tentativa de envio
+   * @param {Object} log Dados da tentativa (notification_id, attempt, success, response, error)
+   * @returns {Promise<void>}
+   */
+  async addLog(log) {
+    try {
+      const { error } = await supabase
+        .from('notification_logs')
+        .insert([log]);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao registrar envio da notificação');
+      }
+    } catch (error) {
+      console.error('Erro em addLog:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca as notificações, das mais recentes às mais antigas
+   * @param {Object} options Opções de busca (page, limit, state, saleId)
+   * @returns {Promise<Object>} Notificações e dados de paginação
+   */
+  async getNotifications(options = {}) {
+    try {
+      const { page = 1, limit = 20, state = null, saleId = null } = options;
+      const offset = (page - 1) * limit;
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*', { count: 'exact' });
+
+      if (state) {
+        query = query.eq('state', state);
+      }
+
+      if (saleId) {
+        query = query.eq('sale_id', saleId);
+      }
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar notificações');
+      }
+
+      return {
+        data,
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages: Math.ceil(count / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Erro em getNotifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma notificação com as tentativas de envio
+   * @param {string} id ID da notificação
+   * @returns {Promise<Object|null>} Notificação com logs
+   */
+  async getNotificationById(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*, logs:notification_logs(*)')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar notificação');
+      }
+
+      if (data) {
+        data.logs.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getNotificationById:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationModel;
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Tipos de pedido: balcão (consumo no local), retirada e delivery.
+ * Apenas pedidos de delivery têm endereço, área e taxa de entrega.
+ */
+const ORDER_TYPE = {
+  COUNTER: 'counter',
+  PICKUP: 'pickup',
+  DELIVERY: 'delivery'
+};
+
+const ORDER_TYPES = Object.values(ORDER_TYPE);
+
+// Rótulos exibidos em relatórios e mensagens
+const ORDER_TYPE_LABELS = {
+  [ORDER_TYPE.COUNTER]: 'Balcão',
+  [ORDER_TYPE.PICKUP]: 'Retirada',
+  [ORDER_TYPE.DELIVERY]: 'Delivery'
+};
+
+module.exports = { ORDER_TYPE, ORDER_TYPES, ORDER_TYPE_LABELS };
\ No newline at end of file
@@ -1,4 +1,9 @@
 const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+const { CATALOG_EVENTS, publishCatalogEvent } = require('../services/catalogEvents');
+
+// Colunas retornadas nas consultas de produtos, com a categoria embutida
+const PRODUCT_SELECT = '*, category:categories(id, name, slug)';
 
 class ProductModel {
   constructor() {
@@ -7,7 +12,7 @@ class ProductModel {
 
   /**
    * Busca todos os produtos com suporte a paginação e filtros
-   * @param {Object} options Opções de busca (page, limit, search, category, sortBy, order)
+   * @param {Object} options Opções de busca (page, limit, search, categoryId, sortBy, order)
    * @returns {Promise<Object>} Produtos e dados de paginação
    */
   async getAllProducts(options = {}) {
@@ -16,7 +21,7 @@ class ProductModel {
         page = 1,
         limit = 10,
         search = '',
-        category = null,
+        categoryId = null,
         sortBy = 'created_at',
         order = 'desc'
       } = options;
@@ -27,7 +32,7 @@ class ProductModel {
       // Inicia a consulta
       let query = supabase
         .from(this.tableName)
-        .select('*', { count: 'exact' });
+        .select(PRODUCT_SELECT, { count: 'exact' });
 
       // Aplica filtro de busca por nome se tiver termo de busca
       if (search) {
@@ -35,12 +40,13 @@ class ProductModel {
       }
 
       // Aplica filtro por categoria se for especificado
-      if (category) {
-        query = query.eq('category', category);
+      if (categoryId) {
+        query = query.eq('category_id', categoryId);
       }
 
-      // Aplica ordenação
-      query = query.order(sortBy, { ascending: order === 'asc' });
+      // Aplica ordenação (a categoria é ordenada pela referência)
+      const sortColumn = sortBy === 'category' ? 'category_id' : sortBy;
+      query = query.order(sortColumn, { ascending: order === 'asc' });
 
       // Aplica paginação
       query = query.range(offset, offset + limit - 1);
@@ -49,7 +55,7 @@ class ProductModel {
       const { data, error, count } = await query;
 
       if (error) {
-        throw new Error(`Erro ao buscar produtos: ${error.message}`);
+        throw toAppError(error, 'Erro ao buscar produtos');
       }
 
       // Calcula o número total de páginas
@@ -79,12 +85,12 @@ class ProductModel {
     try {
       const { data, error } = await supabase
         .from(this.tableName)
-        .select('*')
+        .select(PRODUCT_SELECT)
         .eq('id', id)
-        .single();
+        .maybeSingle();
 
       if (error) {
-        throw new Error(`Erro ao buscar produto: ${error.message}`);
+        throw toAppError(error, 'Erro ao buscar produto');
       }
 
       return data;
@@ -94,6 +100,98 @@ class ProductModel {
     }
   }
 
+  /**
+   * Busca os produtos disponíveis, sem paginação, ordenados pelo nome
+   * @returns {Promise<Array>} Lista de produtos disponíveis
+   */
+  async getAvailableProducts() {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(PRODUCT_SELECT)
+        .eq('available', true)
+        .order('name', { ascending: true });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar produtos disponíveis');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getAvailableProducts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca todos os produtos, sem paginação, ordenados pelo nome
+   * @returns {Promise<Array>} Lista de produtos
+   */
+  async listProducts() {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(PRODUCT_SELECT)
+        .order('name', { ascending: true });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar produtos');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em listProducts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca o custo atual de cada produto pela ficha técnica
+   * @returns {Promise<Map<string, {cost: number, recipeItems: number}>>} Custos por ID do produto
+   */
+  async getProductCosts() {
+    try {
+      const { data, error } = await supabase
+        .from('product_costs')
+        .select('*');
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar custos dos produtos');
+      }
+
+      return new Map(data.map(row => [row.product_id, {
+        cost: parseFloat(row.cost),
+        recipeItems: row.recipe_items
+      }]));
+    } catch (error) {
+      console.error('Erro em getProductCosts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca vários produtos pelos IDs
+   * @param {Array<string>} ids IDs dos produtos
+   * @returns {Promise<Array>} Produtos encontrados
+   */
+  async getProductsByIds(ids) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select(PRODUCT_SELECT)
+        .in('id', ids);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar produtos');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getProductsByIds:', error);
+      throw error;
+    }
+  }
+
   /**
    * Cria um novo produto
    * @param {Object} productData Dados do produto
@@ -110,12 +208,14 @@ class ProductModel {
       const { data, error } = await supabase
         .from(this.tableName)
         .insert([newProduct])
-        .select();
+        .select(PRODUCT_SELECT);
 
       if (error) {
-        throw new Error(`Erro ao criar produto: ${error.message}`);
+        throw toAppError(error, 'Erro ao criar produto');
       }
 
+      publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, { productIds: [data[0].id], action: 'created' });
+
       return data[0];
     } catch (error) {
       console.error('Erro em createProduct:', error);
@@ -141,12 +241,14 @@ class ProductModel {
         .from(this.tableName)
         .update(updatedProduct)
         .eq('id', id)
-        .select();
+        .select(PRODUCT_SELECT);
 
       if (error) {
-        throw new Error(`Erro ao atualizar produto: ${error.message}`);
+        throw toAppError(error, 'Erro ao atualizar produto');
       }
 
+      publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, { productIds: [id], action: 'updated' });
+
       return data[0];
     } catch (error) {
       console.error('Erro em updateProduct:', error);
@@ -167,9 +269,11 @@ class ProductModel {
         .eq('id', id);
 
       if (error) {
-        throw new Error(`Erro ao excluir produto: ${error.message}`);
+        throw toAppError(error, 'Erro ao excluir produto');
       }
 
+      publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, { productIds: [id], action: 'deleted' });
+
       return true;
     } catch (error) {
       console.error('Erro em deleteProduct:', error);
@@ -179,24 +283,24 @@ class ProductModel {
 
   /**
    * Busca produtos por categoria
-   * @param {string} category Categoria dos produtos
+   * @param {string} categoryId ID da categoria
    * @param {number} page Número da página
    * @param {number} limit Limite de itens por página
    * @returns {Promise<Object>} Produtos e dados de paginação
    */
-  async getProductsByCategory(category, page = 1, limit = 10) {
+  async getProductsByCategory(categoryId, page = 1, limit = 10) {
     try {
       const offset = (page - 1) * limit;
 
       const { data, error, count } = await supabase
         .from(this.tableName)
-        .select('*', { count: 'exact' })
-        .eq('category', category)
+        .select(PRODUCT_SELECT, { count: 'exact' })
+        .eq('category_id', categoryId)
         .order('created_at', { ascending: false })
         .range(offset, offset + limit - 1);
 
       if (error) {
-        throw new Error(`Erro ao buscar produtos por categoria: ${error.message}`);
+        throw toAppError(error, 'Erro ao buscar produtos por categoria');
       }
 
       const totalPages = Math.ceil(count / limit);
@@ -216,6 +320,30 @@ class ProductModel {
     }
   }
 
+  /**
+   * Busca o histórico de preços de um produto
+   * @param {string} id ID do produto
+   * @returns {Promise<Array>} Alterações de preço, das mais recentes às mais antigas
+   */
+  async getPriceHistory(id) {
+    try {
+      const { data, error } = await supabase
+        .from('product_price_history')
+        .select('*')
+        .eq('product_id', id)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar histórico de preços');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getPriceHistory:', error);
+      throw error;
+    }
+  }
+
   /**
    * Busca produtos em destaque
    * @param {number} limit Limite de produtos a retornar
@@ -225,14 +353,14 @@ class ProductModel {
     try {
       const { data, error } = await supabase
         .from(this.tableName)
-        .select('*')
+        .select(PRODUCT_SELECT)
         .eq('featured', true)
         .eq('available', true)
         .order('created_at', { ascending: false })
         .limit(limit);
 
       if (error) {
-        throw new Error(`Erro ao buscar produtos em destaque: ${error.message}`);
+        throw toAppError(error, 'Erro ao buscar produtos em destaque');
       }
 
       return data;
@@ -241,6 +369,36 @@ class ProductModel {
       throw error;
     }
   }
+
+  /**
+   * Atualiza o status de destaque de um produto
+   * @param {string} id ID do produto
+   * @param {boolean} featured Status de destaque
+   * @returns {Promise<Object>} Produto atualizado
+   */
+  async updateFeaturedStatus(id, featured) {
+    try {
+      return await this.updateProduct(id, { featured });
+    } catch (error) {
+      console.error('Erro em updateFeaturedStatus:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza o status de disponibilidade de um produto
+   * @param {string} id ID do produto
+   * @param {boolean} available Status de disponibilidade
+   * @returns {Promise<Object>} Produto atualizado
+   */
+  async updateAvailabilityStatus(id, available) {
+    try {
+      return await this.updateProduct(id, { available });
+    } catch (error) {
+      console.error('Erro em updateAvailabilityStatus:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = ProductModel;
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+
+class ProductOptionModel {
+  constructor() {
+    this.tableName = 'product_option_groups';
+  }
+
+  /**
+   * Busca os grupos de opções de um ou mais produtos, na ordem de exibição
+   * @param {Array<string>} productIds IDs dos produtos
+   * @returns {Promise<Array>} Grupos com suas opções
+   */
+  async getOptionGroups(productIds) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*, options:product_options(*)')
+        .in('product_id', productIds)
+        .order('display_order', { ascending: true });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar opções do produto');
+      }
+
+      return data.map(group => ({
+        ...group,
+        options: [...group.options].sort((a, b) => a.display_order - b.display_order)
+      }));
+    } catch (error) {
+      console.error('Erro em getOptionGroups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Substitui todos os grupos de opções de um produto
+   * @param {string} productId ID do produto
+   * @param {Array} groups Grupos com suas opções
+   * @returns {Promise<Array>} Grupos gravados
+   */
+  async replaceOptionGroups(productId, groups) {
+    try {
+      const { error } = await supabase.rpc('replace_product_options', {
+        p_product_id: productId,
+        p_groups: groups
+      });
+
+      if (error) {
+        throw toAppError(error, 'Erro ao salvar opções do produto');
+      }
+
+      return await this.getOptionGroups([productId]);
+    } catch (error) {
+      console.error('Erro em replaceOptionGroups:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ProductOptionModel;
\ No newline at end of file
@@ -0,0 +1,209 @@
+const { supabase } = require('../../supabaseClient');
+const { toAppError } = require('../utils/errors');
+const { CATALOG_EVENTS, publishCatalogEvent } = require('../services/catalogEvents');
+
+class PromotionModel {
+  constructor() {
+    this.tableName = 'promotions';
+  }
+
+  /**
+   * Busca as promoções, das mais recentes às mais antigas
+   * @param {Object} options Opções de busca (productId, includeExpired)
+   * @returns {Promise<Array>} Lista de promoções com o produto
+   */
+  async getAllPromotions(options = {}) {
+    try {
+      const { productId = null, includeExpired = false } = options;
+
+      let query = supabase
+        .from(this.tableName)
+        .select('*, product:products(id, name, price, discountPrice)')
+        .order('starts_at', { ascending: false });
+
+      if (productId) {
+        query = query.eq('product_id', productId);
+      }
+
+      if (!includeExpired) {
+        query = query.gt('ends_at', new Date().toISOString());
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar promoções');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getAllPromotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca as promoções ativas cujo período inclui o instante informado. Dias da
+   * semana e faixas de horário são avaliados depois, em utils/pricing
+   * @param {Array<string>} productIds IDs dos produtos
+   * @param {Date} at Instante da consulta
+   * @returns {Promise<Array>} Promoções candidatas
+   */
+  async getCurrentPromotions(productIds, at = new Date()) {
+    try {
+      if (productIds.length === 0) return [];
+
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*')
+        .in('product_id', productIds)
+        .eq('active', true)
+        .lte('starts_at', at.toISOString())
+        .gt('ends_at', at.toISOString());
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar promoções vigentes');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getCurrentPromotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca o próximo início de promoção ativa depois do instante informado
+   * @param {Date} at Instante da consulta
+   * @returns {Promise<Date|null>} Início da próxima promoção; nulo se não houver
+   */
+  async getNextPromotionStart(at = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('starts_at')
+        .eq('active', true)
+        .gt('starts_at', at.toISOString())
+        .order('starts_at', { ascending: true })
+        .limit(1);
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar próximas promoções');
+      }
+
+      return data.length > 0 ? new Date(data[0].starts_at) : null;
+    } catch (error) {
+      console.error('Erro em getNextPromotionStart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Busca uma promoção pelo ID
+   * @param {string} id ID da promoção
+   * @returns {Promise<Object|null>} Dados da promoção
+   */
+  async getPromotionById(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .select('*, product:products(id, name, price, discountPrice)')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao buscar promoção');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro em getPromotionById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria uma nova promoção
+   * @param {Object} promotionData Dados da promoção
+   * @returns {Promise<Object>} Promoção criada
+   */
+  async createPromotion(promotionData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .insert([{ ...promotionData, created_at: new Date().toISOString() }])
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao criar promoção');
+      }
+
+      publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, { productIds: [data[0].product_id], action: 'promotion' });
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em createPromotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Atualiza uma promoção existente
+   * @param {string} id ID da promoção
+   * @param {Object} promotionData Dados da promoção
+   * @returns {Promise<Object>} Promoção atualizada
+   */
+  async updatePromotion(id, promotionData) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .update({ ...promotionData, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        throw toAppError(error, 'Erro ao atualizar promoção');
+      }
+
+      if (data[0]) {
+        publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, { productIds: [data[0].product_id], action: 'promotion' });
+      }
+
+      return data[0];
+    } catch (error) {
+      console.error('Erro em updatePromotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exclui uma promoção
+   * @param {string} id ID da promoção
+   * @returns {Promise<boolean>} Status da operação
+   */
+  async deletePromotion(id) {
+    try {
+      const { data, error } = await supabase
+        .from(this.tableName)
+        .delete()
+        .eq('id', id)
+        .select('product_id');
+
+      if (error) {
+        throw toAppError(error, 'Erro ao excluir promoção');
+      }
+
+      publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, {
+        productIds: data.map(promotion => promotion.product_id),
+        action: 'promotion'
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Erro em deletePromotion:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PromotionModel;
\ No newline at end of file
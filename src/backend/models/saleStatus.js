@@ -0,0 +1,65 @@
+/**
+ * Ciclo de vida de uma venda.
+ *
+ * pending → preparing → ready → out_for_delivery → delivered
+ *
+ * Pedidos de balcão e retirada podem ir de "ready" direto para "delivered".
+ * "cancelled" e "refunded" são estados finais; uma venda entregue só pode
+ * ser estornada.
+ */
+const SALE_STATUS = {
+  PENDING: 'pending',
+  PREPARING: 'preparing',
+  READY: 'ready',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded'
+};
+
+const SALE_STATUSES = Object.values(SALE_STATUS);
+
+// Rótulos exibidos em relatórios e mensagens
+const SALE_STATUS_LABELS = {
+  [SALE_STATUS.PENDING]: 'Pendente',
+  [SALE_STATUS.PREPARING]: 'Em preparo',
+  [SALE_STATUS.READY]: 'Pronto',
+  [SALE_STATUS.OUT_FOR_DELIVERY]: 'Saiu para entrega',
+  [SALE_STATUS.DELIVERED]: 'Entregue',
+  [SALE_STATUS.CANCELLED]: 'Cancelado',
+  [SALE_STATUS.REFUNDED]: 'Estornado'
+};
+
+// Transições permitidas a partir de cada status
+const SALE_STATUS_TRANSITIONS = {
+  [SALE_STATUS.PENDING]: [SALE_STATUS.PREPARING, SALE_STATUS.CANCELLED],
+  [SALE_STATUS.PREPARING]: [SALE_STATUS.READY, SALE_STATUS.CANCELLED],
+  [SALE_STATUS.READY]: [SALE_STATUS.OUT_FOR_DELIVERY, SALE_STATUS.DELIVERED, SALE_STATUS.CANCELLED],
+  [SALE_STATUS.OUT_FOR_DELIVERY]: [SALE_STATUS.DELIVERED, SALE_STATUS.CANCELLED],
+  [SALE_STATUS.DELIVERED]: [SALE_STATUS.REFUNDED],
+  [SALE_STATUS.CANCELLED]: [],
+  [SALE_STATUS.REFUNDED]: []
+};
+
+// Status que não entram no faturamento
+const VOID_SALE_STATUSES = [SALE_STATUS.CANCELLED, SALE_STATUS.REFUNDED];
+
+/**
+ * Verifica se uma venda pode passar de um status para outro
+ * @param {string} from - Status atual
+ * @param {string} to - Novo status
+ * @returns {boolean} Se a transição é permitida
+ */
+const canTransition = (from, to) => {
+  const allowed = SALE_STATUS_TRANSITIONS[from] || [];
+  return allowed.includes(to);
+};
+
+module.exports = {
+  SALE_STATUS,
+  SALE_STATUSES,
+  SALE_STATUS_LABELS,
+  SALE_STATUS_TRANSITIONS,
+  VOID_SALE_STATUSES,
+  canTransition
+};
\ No newline at end of file
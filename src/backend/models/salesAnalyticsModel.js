@@ -0,0 +1,161 @@
+const { supabase } = require('../../utils/supabaseClient');
+const { TIMEZONE } = require('../utils/dateRange');
+const { roundCurrency } = require('../utils/currency');
+
+const WEEKDAY_LABELS = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+
+// Participação percentual com uma casa decimal
+const share = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 10 : 0);
+
+// Parâmetros das funções de agregação para um intervalo [from, to)
+const rangeParams = ({ from, to }) => ({
+  p_from: from.toISOString(),
+  p_to: to.toISOString()
+});
+
+const salesAnalyticsModel = {
+  // Vendas agregadas por produto, incluindo os que não venderam
+  getProductSales: async (range) => {
+    const { data, error } = await supabase.rpc('product_sales', rangeParams(range));
+
+    if (error) throw error;
+
+    return data.map(row => ({
+      product_id: row.product_id,
+      name: row.name,
+      category: row.category,
+      available: row.available,
+      units: Number(row.units),
+      comboUnits: Number(row.combo_units),
+      revenue: parseFloat(row.revenue) || 0
+    }));
+  },
+
+  // Vendas agregadas por categoria
+  getCategorySales: async (range) => {
+    const { data, error } = await supabase.rpc('category_sales', rangeParams(range));
+
+    if (error) throw error;
+
+    return data.map(row => ({
+      category_id: row.category_id,
+      category: row.category,
+      units: Number(row.units),
+      revenue: parseFloat(row.revenue) || 0
+    }));
+  },
+
+  // Pedidos e faturamento por dia da semana x hora, no fuso do restaurante
+  getSalesHeatmap: async (range) => {
+    const { data, error } = await supabase.rpc('sales_heatmap', {
+      ...rangeParams(range),
+      p_timezone: TIMEZONE
+    });
+
+    if (error) throw error;
+
+    const matrix = WEEKDAY_LABELS.map(() => (
+      Array.from({ length: 24 }, () => ({ orders: 0, units: 0, revenue: 0 }))
+    ));
+
+    data.forEach(row => {
+      matrix[row.weekday][row.hour] = {
+        orders: Number(row.orders),
+        units: Number(row.units),
+        revenue: roundCurrency(row.revenue || 0)
+      };
+    });
+
+    return matrix;
+  },
+
+  // Relatório de desempenho de produtos e categorias
+  getProductPerformance: async (range, options = {}) => {
+    const { limit = 10, rankBy = 'revenue' } = options;
+
+    const [products, categories, heatmapMatrix] = await Promise.all([
+      salesAnalyticsModel.getProductSales(range),
+      salesAnalyticsModel.getCategorySales(range),
+      salesAnalyticsModel.getSalesHeatmap(range)
+    ]);
+
+    // Cada venda cai em uma única célula do mapa de calor
+    const totals = heatmapMatrix.flat().reduce((acc, cell) => ({
+      orders: acc.orders + cell.orders,
+      units: acc.units + cell.units,
+      revenue: acc.revenue + cell.revenue
+    }), { orders: 0, units: 0, revenue: 0 });
+
+    const finalize = (stats) => ({
+      ...stats,
+      revenue: roundCurrency(stats.revenue),
+      revenueShare: share(stats.revenue, totals.revenue),
+      unitsShare: share(stats.units, totals.units)
+    });
+
+    const productList = products.map(stats => ({
+      ...finalize(stats),
+      totalUnits: stats.units + stats.comboUnits
+    }));
+    const categoryList = categories
+      .map(finalize)
+      .sort((a, b) => b.revenue - a.revenue);
+
+    // O ranking por unidades inclui as vendidas dentro de combos
+    const rankKey = rankBy === 'units' ? 'units' : 'revenue';
+    const sortKey = rankKey === 'units' ? 'totalUnits' : 'revenue';
+    const ranked = [...productList].sort((a, b) => b[sortKey] - a[sortKey]);
+
+    // Os menos vendidos consideram apenas produtos com vendas fora do top;
+    // produtos sem nenhuma venda no período são listados à parte
+    const sold = ranked.filter(product => product.totalUnits > 0);
+    const top = sold.slice(0, limit);
+    const bottom = sold.slice(top.length).slice(-limit).reverse();
+    const noSales = ranked.filter(product => product.totalUnits === 0);
+
+    const byHour = Array.from({ length: 24 }, (_, hour) => heatmapMatrix.reduce(
+      (acc, hours) => ({
+        hour,
+        orders: acc.orders + hours[hour].orders,
+        units: acc.units + hours[hour].units,
+        revenue: roundCurrency(acc.revenue + hours[hour].revenue)
+      }),
+      { hour, orders: 0, units: 0, revenue: 0 }
+    ));
+
+    const byWeekday = heatmapMatrix.map((hours, weekday) => hours.reduce(
+      (acc, cell) => ({
+        ...acc,
+        orders: acc.orders + cell.orders,
+        units: acc.units + cell.units,
+        revenue: roundCurrency(acc.revenue + cell.revenue)
+      }),
+      { weekday, label: WEEKDAY_LABELS[weekday], orders: 0, units: 0, revenue: 0 }
+    ));
+
+    return {
+      startDate: range.from.toISOString(),
+      endDate: range.to.toISOString(),
+      totals: {
+        orders: totals.orders,
+        units: totals.units,
+        revenue: roundCurrency(totals.revenue)
+      },
+      products: ranked,
+      categories: categoryList,
+      rankings: {
+        rankBy: rankKey,
+        top,
+        bottom,
+        noSales
+      },
+      heatmap: {
+        byHour,
+        byWeekday,
+        matrix: heatmapMatrix
+      }
+    };
+  }
+};
+
+module.exports = salesAnalyticsModel;
\ No newline at end of file
@@ -1,4 +1,28 @@
 const { supabase } = require('../../utils/supabaseClient');
+const { SALE_STATUS, VOID_SALE_STATUSES, canTransition } = require('./saleStatus');
+const { ORDER_TYPE } = require('./orderType');
+const { SALE_EVENTS, publishSaleEvent } = require('../services/saleEvents');
+const { CATALOG_EVENTS, publishCatalogEvent } = require('../services/catalogEvents');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { summarizeCost } = require('../utils/costing');
+const { applyPromotions } = require('../utils/pricing');
+const { assertCouponsApplicable, calculateDiscounts } = require('../utils/discounts');
+const { LOYALTY_POINTS_PER_REAL, redemptionValue, pointsForDiscount } = require('../utils/loyalty');
+const { resolveDeliveryZone } = require('../utils/delivery');
+const {
+  TIMEZONE,
+  resolveDateRange,
+  resolvePeriodRange,
+  previousRange
+} = require('../utils/dateRange');
+const { roundCurrency } = require('../utils/currency');
+
+// Produtos desativados por falta de insumos saem do cardápio
+const publishDisabledProducts = (productIds) => {
+  if (productIds.length > 0) {
+    publishCatalogEvent(CATALOG_EVENTS.PRODUCTS_CHANGED, { productIds, action: 'out_of_stock' });
+  }
+};
 
 const salesModel = {
   // Buscar todas as vendas com paginação e filtragem
@@ -26,6 +50,10 @@ const salesModel = {
       query = query.eq('customer_id', filters.customerId);
     }
     
+    if (filters.orderType) {
+      query = query.eq('order_type', filters.orderType);
+    }
+    
     const { data, error, count } = await query
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
@@ -50,112 +78,574 @@ const salesModel = {
         customer:customer_id(*),
         items:sale_items(
           *,
-          product:product_id(*)
-        )
+          product:product_id(*),
+          options:sale_item_options(*),
+          components:sale_item_components(*)
+        ),
+        discounts:sale_discounts(*)
       `)
       .eq('id', id)
-      .single();
+      .maybeSingle();
     
     if (error) throw error;
     return data;
   },
   
-  // Criar nova venda
-  createSale: async (saleData, items) => {
-    // Iniciar uma transação
-    const { data: sale, error: saleError } = await supabase
-      .from('sales')
-      .insert([saleData])
-      .select();
+  // Validar as opções escolhidas de um item contra as regras dos grupos do produto
+  priceItemOptions: (item, index, product, groups) => {
+    const field = `items[${index}].options`;
+    const invalid = (message) => new ValidationError(message, [{ field, message }]);
     
-    if (saleError) throw saleError;
+    const optionsById = new Map();
+    groups.forEach(group => {
+      group.options.forEach(option => optionsById.set(option.id, { ...option, group }));
+    });
     
-    // Adicionar os itens da venda
-    const saleItems = items.map(item => ({
-      sale_id: sale[0].id,
-      product_id: item.product_id,
-      quantity: item.quantity,
-      price: item.price,
-      subtotal: item.price * item.quantity
+    const chosen = [...new Set(item.options || [])].map(optionId => {
+      const option = optionsById.get(optionId);
+      
+      if (!option) {
+        throw invalid(`Opção ${optionId} não pertence ao produto "${product.name}"`);
+      }
+      
+      if (!option.available) {
+        throw new ConflictError(`Opção "${option.name}" de "${product.name}" está indisponível`);
+      }
+      
+      return option;
+    });
+    
+    groups.forEach(group => {
+      const count = chosen.filter(option => option.group_id === group.id).length;
+      const min = group.required ? Math.max(1, group.min_select) : group.min_select;
+      
+      if (count < min) {
+        throw invalid(`"${product.name}": escolha pelo menos ${min} opção(ões) em "${group.name}"`);
+      }
+      
+      if (count > group.max_select) {
+        throw invalid(`"${product.name}": escolha no máximo ${group.max_select} opção(ões) em "${group.name}"`);
+      }
+    });
+    
+    return chosen.map(option => ({
+      option_id: option.id,
+      group_name: option.group.name,
+      name: option.name,
+      price: roundCurrency(option.price_delta)
     }));
+  },
+  
+  // Validar os componentes escolhidos em cada etapa de um combo
+  priceItemComponents: (item, index, product, slots) => {
+    const field = `items[${index}].components`;
+    const invalid = (message) => new ValidationError(message, [{ field, message }]);
+    const components = item.components || [];
+    
+    if (slots.length === 0) {
+      if (components.length > 0) {
+        throw invalid(`"${product.name}" não é um combo`);
+      }
+      return [];
+    }
+    
+    return slots.map(slot => {
+      const selected = components.filter(component => component.slot_id === slot.id);
+      
+      if (selected.length !== 1) {
+        throw invalid(`"${product.name}": escolha um produto em "${slot.name}"`);
+      }
+      
+      const choice = slot.products.find(allowed => (
+        allowed.product && allowed.product.id === selected[0].product_id
+      ));
+      
+      if (!choice) {
+        throw invalid(`"${product.name}": produto não permitido em "${slot.name}"`);
+      }
+      
+      if (!choice.product.available) {
+        throw new ConflictError(`"${choice.product.name}" está indisponível para o combo "${product.name}"`);
+      }
+      
+      return {
+        slot_id: slot.id,
+        slot_name: slot.name,
+        product_id: choice.product.id,
+        name: choice.product.name,
+        quantity: slot.quantity,
+        upcharge: roundCurrency(choice.upcharge)
+      };
+    });
+  },
+  
+  // Calcular preços dos itens a partir da tabela de produtos, das opções e dos componentes escolhidos
+  priceSaleItems: async (items) => {
+    const productIds = [...new Set(items.map(item => item.product_id))];
+    const now = new Date();
+    
+    const [
+      { data: products, error },
+      { data: groups, error: groupsError },
+      { data: slots, error: slotsError },
+      { data: promotions, error: promotionsError }
+    ] = await Promise.all([
+      supabase
+        .from('products')
+        .select('id, name, price, discountPrice, available, category_id')
+        .in('id', productIds),
+      supabase
+        .from('product_option_groups')
+        .select('*, options:product_options(*)')
+        .in('product_id', productIds),
+      supabase
+        .from('combo_slots')
+        .select('*, products:combo_slot_products(upcharge, product:product_id(id, name, available))')
+        .in('combo_id', productIds),
+      supabase
+        .from('promotions')
+        .select('*')
+        .in('product_id', productIds)
+        .eq('active', true)
+        .lte('starts_at', now.toISOString())
+        .gt('ends_at', now.toISOString())
+    ]);
+    
+    if (error) throw error;
+    if (groupsError) throw groupsError;
+    if (slotsError) throw slotsError;
+    if (promotionsError) throw promotionsError;
+    
+    const productsById = new Map(products.map(product => [product.id, product]));
+    
+    return items.map((item, index) => {
+      const product = productsById.get(item.product_id);
+      
+      if (!product) {
+        throw new ValidationError(`Produto ${item.product_id} não encontrado`, [
+          { field: `items[${index}].product_id`, message: `Produto ${item.product_id} não encontrado` }
+        ]);
+      }
+      
+      if (!product.available) {
+        throw new ConflictError(`Produto "${product.name}" está indisponível`);
+      }
+      
+      // Preço com desconto e promoções vigentes no momento da venda
+      const basePrice = applyPromotions(product, promotions, now).effectivePrice;
+      
+      const options = salesModel.priceItemOptions(
+        item,
+        index,
+        product,
+        groups.filter(group => group.product_id === product.id)
+      );
+      
+      const components = salesModel.priceItemComponents(
+        item,
+        index,
+        product,
+        slots.filter(slot => slot.combo_id === product.id)
+      );
+      
+      const unitPrice = roundCurrency(
+        options.reduce((sum, option) => sum + option.price, basePrice) +
+        components.reduce((sum, component) => sum + component.upcharge, 0)
+      );
+      
+      // Preço enviado pelo cliente é apenas conferido, nunca utilizado
+      if (item.price !== undefined && item.price !== null &&
+          Math.abs(roundCurrency(item.price) - unitPrice) >= 0.01) {
+        throw new ConflictError(
+          `Preço informado para "${product.name}" (R$ ${roundCurrency(item.price).toFixed(2)}) difere do preço atual (R$ ${unitPrice.toFixed(2)})`
+        );
+      }
+      
+      return {
+        product_id: product.id,
+        category_id: product.category_id,
+        quantity: item.quantity,
+        price: unitPrice,
+        subtotal: roundCurrency(unitPrice * item.quantity),
+        options,
+        components
+      };
+    });
+  },
+  
+  // Buscar venda pela chave de idempotência
+  getSaleByIdempotencyKey: async (idempotencyKey) => {
+    const { data, error } = await supabase
+      .from('sales')
+      .select('id')
+      .eq('idempotency_key', idempotencyKey)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data ? await salesModel.getSaleById(data.id) : null;
+  },
+  
+  // Criar nova venda
+  createSale: async (saleData, items, options = {}) => {
+    const { idempotencyKey = null, couponCodes = [], redeemPoints = 0, deliveryAddress = null } = options;
+    
+    // Requisição repetida pelo PDV: devolve a venda original
+    if (idempotencyKey) {
+      const existingSale = await salesModel.getSaleByIdempotencyKey(idempotencyKey);
+      
+      if (existingSale) return existingSale;
+    }
+    
+    // Preços, descontos e total são sempre calculados no servidor
+    const pricedItems = await salesModel.priceSaleItems(items);
+    const subtotal = roundCurrency(pricedItems.reduce((sum, item) => sum + item.subtotal, 0));
+    
+    // Entregas: endereço fora das áreas atendidas ou abaixo do pedido mínimo é recusado
+    const deliveryZone = saleData.order_type === ORDER_TYPE.DELIVERY
+      ? await salesModel.getDeliveryZone(deliveryAddress, subtotal)
+      : null;
+    const deliveryFee = deliveryZone ? roundCurrency(deliveryZone.fee) : 0;
+    
+    const couponDiscounts = await salesModel.applyCoupons(couponCodes, pricedItems, {
+      subtotal,
+      deliveryFee,
+      customerId: saleData.customer_id || null
+    });
+    
+    // Pontos de fidelidade abatem o que restou dos produtos depois dos cupons
+    const couponTotal = couponDiscounts
+      .filter(discount => discount.type !== 'free_delivery')
+      .reduce((sum, discount) => sum + discount.amount, 0);
+    const loyaltyDiscount = await salesModel.applyLoyaltyPoints(redeemPoints, {
+      customerId: saleData.customer_id || null,
+      maxAmount: roundCurrency(subtotal - couponTotal)
+    });
     
-    const { error: itemsError } = await supabase
-      .from('sale_items')
-      .insert(saleItems);
+    const discounts = loyaltyDiscount ? [...couponDiscounts, loyaltyDiscount] : couponDiscounts;
+    const discountTotal = roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+    const total = roundCurrency(subtotal - discountTotal + deliveryFee);
     
-    if (itemsError) throw itemsError;
+    // Venda, itens, descontos, custo e baixa dos insumos são gravados em uma única transação (função create_sale)
+    const { data: result, error } = await supabase.rpc('create_sale', {
+      p_sale: {
+        ...saleData,
+        delivery_address: deliveryZone ? deliveryAddress : null,
+        delivery_zone_id: deliveryZone ? deliveryZone.id : null,
+        estimated_delivery_minutes: deliveryZone ? deliveryZone.estimated_minutes : null,
+        subtotal,
+        discount_total: discountTotal,
+        delivery_fee: deliveryFee,
+        total
+      },
+      p_items: pricedItems,
+      p_idempotency_key: idempotencyKey,
+      p_discounts: discounts
+    });
+    
+    if (error) throw error;
+    
+    publishDisabledProducts(result.disabled_products || []);
     
     // Buscar a venda completa
-    return await salesModel.getSaleById(sale[0].id);
+    const sale = await salesModel.getSaleById(result.id);
+    
+    // Outra requisição com a mesma chave pode ter gravado a venda primeiro
+    if (result.created) {
+      publishSaleEvent(SALE_EVENTS.CREATED, { sale });
+    }
+    
+    return sale;
+  },
+  
+  // Área de entrega que atende o endereço, conferindo o pedido mínimo
+  getDeliveryZone: async (address, subtotal) => {
+    const { data: zones, error } = await supabase
+      .from('delivery_zones')
+      .select('*')
+      .eq('active', true);
+    
+    if (error) throw error;
+    
+    return resolveDeliveryZone(zones, address || {}, subtotal);
+  },
+  
+  // Conferir os cupons informados e calcular o desconto de cada um
+  applyCoupons: async (couponCodes, pricedItems, { subtotal, deliveryFee, customerId }) => {
+    if (couponCodes.length === 0) return [];
+    
+    const { data: coupons, error } = await supabase
+      .from('coupons')
+      .select('*')
+      .in('code', couponCodes);
+    
+    if (error) throw error;
+    
+    // Usos anteriores, no total e pelo cliente (a função create_sale confere de novo)
+    const usage = new Map(await Promise.all(coupons.map(async coupon => {
+      const [total, customer] = await Promise.all([
+        supabase.rpc('coupon_usage', { p_coupon_id: coupon.id }),
+        customerId
+          ? supabase.rpc('coupon_usage', { p_coupon_id: coupon.id, p_customer_id: customerId })
+          : Promise.resolve({ data: 0, error: null })
+      ]);
+      
+      if (total.error) throw total.error;
+      if (customer.error) throw customer.error;
+      
+      return [coupon.id, { total: total.data, customer: customer.data }];
+    })));
+    
+    // Mantém a ordem em que os códigos foram informados
+    const ordered = couponCodes
+      .map(code => coupons.find(coupon => coupon.code === code))
+      .filter(Boolean);
+    
+    assertCouponsApplicable(ordered, couponCodes, { subtotal, customerId, usage });
+    
+    return calculateDiscounts(ordered, pricedItems, { subtotal, deliveryFee });
+  },
+  
+  // Converter pontos de fidelidade em desconto (a função create_sale debita o saldo)
+  applyLoyaltyPoints: async (points, { customerId, maxAmount }) => {
+    if (!points) return null;
+    
+    if (!customerId) {
+      throw new ValidationError('Informe o cliente para usar pontos de fidelidade', [
+        { field: 'redeem_points', message: 'Informe o cliente para usar pontos de fidelidade' }
+      ]);
+    }
+    
+    const { data: customer, error } = await supabase
+      .from('customers')
+      .select('id, points_balance')
+      .eq('id', customerId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    if (!customer) throw new NotFoundError('Cliente não encontrado');
+    
+    if (customer.points_balance < points) {
+      throw new ConflictError(`Saldo de pontos insuficiente (disponível: ${customer.points_balance})`);
+    }
+    
+    // Usa apenas os pontos necessários para zerar os produtos
+    const usedPoints = Math.min(points, pointsForDiscount(maxAmount));
+    if (usedPoints <= 0) return null;
+    
+    return {
+      coupon_id: null,
+      code: 'PONTOS',
+      type: 'loyalty',
+      description: `${usedPoints} pontos de fidelidade`,
+      amount: redemptionValue(usedPoints),
+      points: usedPoints
+    };
   },
   
-  // Atualizar status da venda
-  updateSaleStatus: async (id, status) => {
+  // Custo atual dos produtos pela ficha técnica, para itens vendidos antes do custeio
+  getCurrentProductCosts: async (productIds) => {
+    if (productIds.length === 0) return new Map();
+    
     const { data, error } = await supabase
+      .from('product_costs')
+      .select('product_id, cost')
+      .in('product_id', productIds);
+    
+    if (error) throw error;
+    return new Map(data.map(row => [row.product_id, parseFloat(row.cost)]));
+  },
+  
+  // Custo de cada item; itens sem custo registrado usam o custo atual (estimado)
+  costSaleItems: async (items) => {
+    const uncosted = items.filter(item => item.unit_cost === null || item.unit_cost === undefined);
+    const currentCosts = await salesModel.getCurrentProductCosts(
+      [...new Set(uncosted.map(item => item.product_id).filter(Boolean))]
+    );
+    
+    return items.map(item => {
+      const estimated = item.unit_cost === null || item.unit_cost === undefined;
+      const unitCost = estimated ? currentCosts.get(item.product_id) || 0 : parseFloat(item.unit_cost);
+      
+      return { cost: unitCost * item.quantity, estimated };
+    });
+  },
+  
+  // CMV e margem de uma venda, item a item
+  getSaleCosting: async (id) => {
+    const sale = await salesModel.getSaleById(id);
+    if (!sale) return null;
+    
+    const itemCosts = await salesModel.costSaleItems(sale.items);
+    
+    const items = sale.items.map((item, index) => ({
+      id: item.id,
+      product_id: item.product_id,
+      name: item.product ? item.product.name : 'Produto removido',
+      quantity: item.quantity,
+      estimated: itemCosts[index].estimated,
+      ...summarizeCost(parseFloat(item.subtotal), itemCosts[index].cost)
+    }));
+    
+    const cost = itemCosts.reduce((sum, item) => sum + item.cost, 0);
+    
+    return {
+      sale_id: sale.id,
+      status: sale.status,
+      estimated: items.some(item => item.estimated),
+      ...summarizeCost(parseFloat(sale.total), cost),
+      items
+    };
+  },
+  
+  // Atualizar status da venda respeitando o ciclo de vida
+  updateSaleStatus: async (id, status, changedBy = null, notes = null) => {
+    const { data: current, error: currentError } = await supabase
       .from('sales')
-      .update({ status })
+      .select('id, status, order_type')
       .eq('id', id)
-      .select();
+      .maybeSingle();
+    
+    if (currentError) throw currentError;
+    if (!current) throw new NotFoundError('Venda não encontrada');
+    
+    if (!canTransition(current.status, status)) {
+      throw new ConflictError(`Não é possível alterar o status de "${current.status}" para "${status}"`);
+    }
+    
+    if (status === SALE_STATUS.OUT_FOR_DELIVERY && current.order_type !== ORDER_TYPE.DELIVERY) {
+      throw new ConflictError('Apenas pedidos de delivery podem sair para entrega');
+    }
+    
+    // Atualização, histórico, estorno dos insumos e pontos de fidelidade
+    // são gravados juntos (função update_sale_status)
+    const { data, error } = await supabase.rpc('update_sale_status', {
+      p_sale_id: id,
+      p_from_status: current.status,
+      p_to_status: status,
+      p_changed_by: changedBy,
+      p_notes: notes,
+      p_points_per_real: LOYALTY_POINTS_PER_REAL
+    });
     
     if (error) throw error;
+    
+    if (!data || data.length === 0) {
+      throw new ConflictError('O status da venda foi alterado por outra operação. Tente novamente');
+    }
+    
+    publishSaleEvent(SALE_EVENTS.STATUS_CHANGED, {
+      sale: data[0],
+      from: current.status,
+      to: status,
+      changedBy
+    });
+    
     return data[0];
   },
   
-  // Obter estatísticas de vendas
-  getSalesStats: async (period = 'day') => {
-    let timeFilter;
-    
-    // Determinar o filtro de tempo baseado no período
-    switch (period) {
-      case 'day':
-        timeFilter = 'created_at::date = current_date';
-        break;
-      case 'week':
-        timeFilter = 'created_at::date > current_date - interval \'7 days\'';
-        break;
-      case 'month':
-        timeFilter = 'created_at::date > current_date - interval \'30 days\'';
-        break;
-      case 'year':
-        timeFilter = 'created_at::date > current_date - interval \'1 year\'';
-        break;
-      default:
-        timeFilter = 'created_at::date = current_date';
-    }
+  // Buscar histórico de status de uma venda, com o tempo gasto em cada etapa
+  getSaleStatusHistory: async (id) => {
+    const { data, error } = await supabase
+      .from('sale_status_history')
+      .select('*')
+      .eq('sale_id', id)
+      .order('created_at', { ascending: true });
     
-    // Consulta para vendas totais
-    const { data: totalSales, error: totalError } = await supabase
-      .from('sales')
-      .select('total')
-      .filter('status', 'neq', 'cancelled')
-      .filter(timeFilter)
-      .select();
+    if (error) throw error;
     
-    if (totalError) throw totalError;
+    return data.map((entry, index) => {
+      const next = data[index + 1];
+      const durationSeconds = next
+        ? Math.round((new Date(next.created_at) - new Date(entry.created_at)) / 1000)
+        : null;
+      
+      return { ...entry, duration_seconds: durationSeconds };
+    });
+  },
+  
+  // Obter agregados de vendas de um intervalo [from, to)
+  getSalesAggregates: async ({ from, to }) => {
+    const { data, error } = await supabase.rpc('sales_stats', {
+      p_from: from.toISOString(),
+      p_to: to.toISOString()
+    });
     
-    // Calcular a soma total
-    const total = totalSales.reduce((sum, sale) => sum + sale.total, 0);
+    if (error) throw error;
     
-    // Obter contagem de vendas
-    const { count, error: countError } = await supabase
-      .from('sales')
-      .select('*', { count: 'exact' })
-      .filter('status', 'neq', 'cancelled')
-      .filter(timeFilter);
+    const row = data[0] || {};
+    
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totalSales: roundCurrency(row.total_sales || 0),
+      count: Number(row.sale_count || 0),
+      average: roundCurrency(row.average || 0)
+    };
+  },
+  
+  // Obter estatísticas de vendas comparadas com o período anterior
+  getSalesStats: async (options = {}) => {
+    const { period = 'day', from = null, to = null } = options;
+    
+    // Intervalo explícito tem prioridade sobre o período nomeado
+    const range = from && to
+      ? resolveDateRange(from, to)
+      : resolvePeriodRange(period);
     
-    if (countError) throw countError;
+    const [current, previous] = await Promise.all([
+      salesModel.getSalesAggregates(range),
+      salesModel.getSalesAggregates(previousRange(range))
+    ]);
     
-    // Obter média de vendas por transação
-    const average = count > 0 ? total / count : 0;
+    // Variação percentual; nula quando não há base de comparação
+    const percentChange = (value, base) => (
+      base > 0 ? Math.round(((value - base) / base) * 1000) / 10 : null
+    );
     
     return {
-      period,
-      totalSales: total,
-      count,
-      average
+      period: from && to ? 'custom' : period,
+      timezone: TIMEZONE,
+      ...current,
+      previous,
+      change: {
+        totalSales: percentChange(current.totalSales, previous.totalSales),
+        count: percentChange(current.count, previous.count),
+        average: percentChange(current.average, previous.average)
+      }
     };
   },
   
+  // Percorrer as vendas de um intervalo [from, to) em lotes, para exportações grandes
+  iterateSalesReport: async function* ({ from, to }, batchSize = 500) {
+    for (let offset = 0; ; offset += batchSize) {
+      const { data, error } = await supabase
+        .from('sales')
+        .select(`
+          *,
+          customer:customer_id(*),
+          items:sale_items(
+            quantity,
+            price,
+            subtotal,
+            product:product_id(name, category:categories(name)),
+            options:sale_item_options(name),
+            components:sale_item_components(name, quantity)
+          )
+        `)
+        .gte('created_at', from.toISOString())
+        .lt('created_at', to.toISOString())
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(offset, offset + batchSize - 1);
+      
+      if (error) throw error;
+      
+      yield data;
+      
+      if (data.length < batchSize) break;
+    }
+  },
+  
   // Relatório de vendas por período
   getSalesReport: async (startDate, endDate) => {
     const { data, error } = await supabase
@@ -167,7 +657,9 @@ const salesModel = {
           quantity, 
           price, 
           subtotal,
-          product:product_id(name, category)
+          unit_cost,
+          product_id,
+          product:product_id(name, category:categories(name))
         )
       `)
       .gte('created_at', startDate)
@@ -191,12 +683,21 @@ const salesModel = {
       return acc;
     }, {});
     
+    // CMV e margem das vendas válidas (canceladas e estornadas ficam de fora)
+    const validSales = data.filter(sale => !VOID_SALE_STATUSES.includes(sale.status));
+    const itemCosts = await salesModel.costSaleItems(validSales.flatMap(sale => sale.items));
+    const cost = itemCosts.reduce((sum, item) => sum + item.cost, 0);
+    
     return {
       startDate,
       endDate,
       totalSales,
       totalRevenue,
       paymentMethods,
+      costing: {
+        ...summarizeCost(validSales.reduce((sum, sale) => sum + parseFloat(sale.total), 0), cost),
+        estimatedItems: itemCosts.filter(item => item.estimated).length
+      },
       sales: data
     };
   }
@@ -0,0 +1,31 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Eventos do catálogo publicados pelo servidor.
+ *
+ * Os modelos publicam toda alteração de produtos (inclusive os desativados
+ * por falta de estoque, os gravados pela importação de cardápio e os que
+ * tiveram promoções alteradas) e de categorias. O cardápio público assina estes eventos para se regenerar. Os
+ * ouvintes não devem lançar erros: a alteração já foi gravada.
+ */
+const CATALOG_EVENTS = {
+  PRODUCTS_CHANGED: 'catalog.products_changed',
+  CATEGORIES_CHANGED: 'catalog.categories_changed'
+};
+
+const catalogEvents = new EventEmitter();
+
+/**
+ * Publica um evento do catálogo sem interromper quem publicou
+ * @param {string} event - Nome do evento (CATALOG_EVENTS)
+ * @param {Object} payload - Dados do evento
+ */
+const publishCatalogEvent = (event, payload) => {
+  try {
+    catalogEvents.emit(event, payload);
+  } catch (error) {
+    console.error(`Erro ao publicar o evento ${event}:`, error);
+  }
+};
+
+module.exports = { CATALOG_EVENTS, catalogEvents, publishCatalogEvent };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { slugify } = require('../../utils/slugify');
+const { roundCurrency } = require('../../utils/currency');
+
+// Categoria dos itens lidos sem título de seção
+const DEFAULT_CATEGORY = 'Outros';
+
+/**
+ * Compara os itens de um cardápio com o catálogo. Produtos e categorias são
+ * identificados pelo slug do nome, ignorando acentos e maiúsculas.
+ * @param {Array<Object>} items - Itens válidos do cardápio (name, description, price, category)
+ * @param {Array<Object>} products - Produtos cadastrados
+ * @param {Array<Object>} categories - Categorias cadastradas (inclusive inativas)
+ * @returns {Object} Diferenças: new (produtos novos), changed (preço alterado),
+ * missing (cadastrados e ausentes do cardápio), unchanged, categories (categorias
+ * a criar) e summary com as quantidades
+ */
+const buildMenuDiff = (items, products, categories) => {
+  const productsByName = new Map(products.map(product => [slugify(product.name), product]));
+  const categoriesBySlug = new Map(categories.map(category => [category.slug, category]));
+  const matched = new Set();
+  const newCategories = new Map();
+
+  const diff = { new: [], changed: [], missing: [], unchanged: [], categories: [] };
+
+  items.forEach(item => {
+    const product = productsByName.get(slugify(item.name));
+
+    if (!product) {
+      const categoryName = item.category || DEFAULT_CATEGORY;
+      const slug = slugify(categoryName);
+      const category = categoriesBySlug.get(slug);
+
+      if (!category && !newCategories.has(slug)) {
+        newCategories.set(slug, { name: categoryName, slug });
+      }
+
+      diff.new.push({
+        name: item.name,
+        description: item.description,
+        price: item.price,
+        category: category ? { id: category.id, name: category.name, slug } : { id: null, name: categoryName, slug }
+      });
+      return;
+    }
+
+    matched.add(product.id);
+
+    if (roundCurrency(product.price) !== roundCurrency(item.price)) {
+      diff.changed.push({
+        product_id: product.id,
+        name: product.name,
+        old_price: roundCurrency(product.price),
+        new_price: roundCurrency(item.price)
+      });
+    } else {
+      diff.unchanged.push({ product_id: product.id, name: product.name });
+    }
+  });
+
+  diff.missing = products
+    .filter(product => !matched.has(product.id))
+    .map(product => ({
+      product_id: product.id,
+      name: product.name,
+      price: roundCurrency(product.price),
+      available: product.available
+    }));
+
+  diff.categories = [...newCategories.values()];
+  diff.summary = {
+    new: diff.new.length,
+    changed: diff.changed.length,
+    missing: diff.missing.length,
+    unchanged: diff.unchanged.length,
+    categories: diff.categories.length
+  };
+
+  return diff;
+};
+
+/**
+ * Resume o conteúdo de uma prévia para comparação (a ordem das chaves de um
+ * objeto não é preservada pelo jsonb)
+ * @param {Object} diff - Prévia gerada por buildMenuDiff
+ * @returns {string} Assinatura da prévia
+ */
+const diffSignature = (diff) => JSON.stringify([
+  diff.new.map(item => [item.name, item.price, item.category.id, item.category.slug]),
+  diff.changed.map(item => [item.product_id, item.old_price, item.new_price]),
+  diff.missing.map(item => [item.product_id, item.available]),
+  diff.categories.map(category => category.slug)
+]);
+
+module.exports = { DEFAULT_CATEGORY, buildMenuDiff, diffSignature };
\ No newline at end of file
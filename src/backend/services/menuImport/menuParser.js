@@ -0,0 +1,319 @@
+const pdfParse = require('pdf-parse');
+const ExcelJS = require('exceljs');
+const { validateMenuItems } = require('../../validators/menuImportSchema');
+const { slugify } = require('../../utils/slugify');
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * Leitura de cardápios enviados em PDF, CSV ou XLSX.
+ *
+ * Planilhas precisam de uma linha de cabeçalho com as colunas nome e preço
+ * (descrição e categoria são opcionais). No PDF o texto é lido linha a linha:
+ * linhas terminadas em preço são itens, as linhas seguintes são a descrição do
+ * item e títulos em maiúsculas (ou a primeira linha após outro título) abrem
+ * uma nova categoria. O resultado é sempre revisado na prévia da importação.
+ */
+
+// Tipos de arquivo aceitos (extensão → mimetypes)
+const MENU_FILE_TYPES = {
+  pdf: ['application/pdf'],
+  csv: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
+};
+
+// Tamanho máximo do arquivo enviado
+const MENU_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Nomes aceitos para as colunas das planilhas (comparados pelo slug)
+const COLUMN_ALIASES = {
+  name: ['nome', 'name', 'item', 'produto'],
+  description: ['descricao', 'description', 'detalhes', 'ingredientes'],
+  price: ['preco', 'price', 'valor'],
+  category: ['categoria', 'category', 'secao', 'grupo']
+};
+
+// Preço no fim da linha: "R$ 32,90", "32,90", "32.90" ou "R$ 5"
+const TRAILING_PRICE = /(?:R\$\s*(\d+(?:[.,]\d{1,2})?)|(\d+[.,]\d{2}))\s*$/i;
+
+// Títulos de categoria são linhas curtas
+const HEADING_MAX_LENGTH = 40;
+
+/**
+ * Converte um preço em formato brasileiro ("R$ 1.234,50") ou numérico
+ * @param {*} value - Preço lido
+ * @returns {number} Preço (NaN se inválido)
+ */
+const parsePrice = (value) => {
+  if (typeof value === 'number') return value;
+
+  const text = String(value === null || value === undefined ? '' : value).replace(/R\$|\s/gi, '');
+  if (text === '') return NaN;
+
+  return Number(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+};
+
+// Remove pontilhados antes do preço e numeração no início do item
+const cleanName = (text) => text
+  .replace(/[\s.·…_|-]+$/, '')
+  .replace(/^\d{1,3}\s*[-.)]\s+/, '')
+  .trim();
+
+// Títulos em maiúsculas viram nomes de categoria com apenas a inicial maiúscula
+const isUpperCase = (text) => /\p{Lu}/u.test(text) && text === text.toUpperCase();
+const headingName = (text) => {
+  const name = cleanName(text);
+  return isUpperCase(name) ? name.charAt(0) + name.slice(1).toLowerCase() : name;
+};
+
+const isPriceOnly = (text) => {
+  const match = text.match(TRAILING_PRICE);
+  return Boolean(match) && match.index === 0;
+};
+
+/**
+ * Extrai os itens do texto de um cardápio
+ * @param {string} text - Texto do cardápio, uma linha por linha do documento
+ * @returns {Array<Object>} Itens (line, name, description, price, category)
+ */
+const parseMenuText = (text) => {
+  const lines = text.split(/\r?\n/)
+    .map((content, index) => ({ line: index + 1, content: content.replace(/\s+/g, ' ').trim() }))
+    .filter(line => line.content)
+    // Um preço em linha própria pertence ao nome na linha anterior
+    .reduce((merged, line) => {
+      const previous = merged[merged.length - 1];
+
+      if (previous && isPriceOnly(line.content) && !TRAILING_PRICE.test(previous.content)) {
+        previous.content = `${previous.content} ${line.content}`;
+      } else {
+        merged.push(line);
+      }
+
+      return merged;
+    }, []);
+
+  const items = [];
+  let category = null;
+  let current = null;
+
+  lines.forEach(({ line, content }) => {
+    const match = content.match(TRAILING_PRICE);
+
+    if (match) {
+      const name = cleanName(content.slice(0, match.index));
+
+      if (name) {
+        current = { line, name, description: '', price: parsePrice(match[1] || match[2]), category };
+        items.push(current);
+      }
+      return;
+    }
+
+    if (content.length <= HEADING_MAX_LENGTH && (isUpperCase(content) || !current)) {
+      category = headingName(content);
+      current = null;
+      return;
+    }
+
+    if (current) {
+      current.description = current.description ? `${current.description} ${content}` : content;
+    }
+  });
+
+  return items;
+};
+
+/**
+ * Extrai os itens das linhas de uma planilha
+ * @param {Array<Array>} rows - Linhas da planilha (a primeira não vazia é o cabeçalho)
+ * @returns {Array<Object>} Itens (line, name, description, price, category)
+ * @throws {ValidationError} Planilha vazia ou sem as colunas obrigatórias
+ */
+const parseRows = (rows) => {
+  const cell = (row, index) => {
+    const value = row && index !== undefined ? row[index] : null;
+    return value === null || value === undefined ? '' : String(value).trim();
+  };
+
+  const headerIndex = rows.findIndex(row => row && row.some((value, index) => cell(row, index)));
+
+  if (headerIndex === -1) {
+    throw new ValidationError('O arquivo do cardápio está vazio');
+  }
+
+  const header = rows[headerIndex].map((value, index) => slugify(cell(rows[headerIndex], index)));
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = header.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  });
+
+  if (columns.name === undefined || columns.price === undefined) {
+    throw new ValidationError('A planilha precisa ter as colunas nome e preço', [
+      { field: 'file', message: `Colunas encontradas: ${header.filter(Boolean).join(', ') || 'nenhuma'}` }
+    ]);
+  }
+
+  return rows.slice(headerIndex + 1)
+    .map((row, index) => ({
+      line: headerIndex + index + 2,
+      name: cell(row, columns.name),
+      description: cell(row, columns.description),
+      price: row ? parsePrice(row[columns.price]) : NaN,
+      category: cell(row, columns.category) || null
+    }))
+    .filter(item => item.name);
+};
+
+/**
+ * Separa as linhas e colunas de um CSV (separador ";", "," ou tabulação,
+ * detectado pelo cabeçalho), respeitando campos entre aspas
+ * @param {string} text - Conteúdo do CSV
+ * @returns {Array<Array<string>>} Linhas
+ */
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const header = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t'].reduce(
+    (best, candidate) => (header.split(candidate).length > header.split(best).length ? candidate : best),
+    ','
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// CSVs exportados pelo Excel costumam vir em Windows-1252 em vez de UTF-8
+const decodeText = (buffer) => {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+};
+
+// Valor exibido de uma célula do ExcelJS (texto formatado, fórmula, hyperlink)
+const cellValue = (value) => {
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return value.result;
+    if (value.text !== undefined) return value.text;
+  }
+
+  return value;
+};
+
+/**
+ * Lê as linhas da primeira planilha de um arquivo XLSX
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {Promise<Array<Array>>} Linhas (índice = número da linha - 1)
+ */
+const readWorkbookRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ValidationError('Não foi possível ler a planilha do cardápio');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+
+  if (worksheet) {
+    worksheet.eachRow((row, rowNumber) => {
+      rows[rowNumber - 1] = Array.from(row.values).slice(1).map(cellValue);
+    });
+  }
+
+  return Array.from(rows);
+};
+
+/**
+ * Extrai o texto de um PDF
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {Promise<string>} Texto
+ * @throws {ValidationError} PDF ilegível ou sem texto (ex.: cardápio digitalizado)
+ */
+const readPdfText = async (buffer) => {
+  let text;
+
+  try {
+    ({ text } = await pdfParse(buffer));
+  } catch (error) {
+    throw new ValidationError('Não foi possível ler o PDF do cardápio');
+  }
+
+  if (!text.trim()) {
+    throw new ValidationError('O PDF não tem texto selecionável (cardápios digitalizados como imagem não são aceitos)');
+  }
+
+  return text;
+};
+
+/**
+ * Lê os itens de um arquivo de cardápio
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} type - pdf, csv ou xlsx
+ * @returns {Promise<{items: Array<Object>, warnings: Array<Object>}>} Itens válidos e avisos
+ */
+const parseMenuFile = async (buffer, type) => {
+  let items;
+
+  switch (type) {
+    case 'pdf':
+      items = parseMenuText(await readPdfText(buffer));
+      break;
+    case 'csv':
+      items = parseRows(parseCsv(decodeText(buffer)));
+      break;
+    case 'xlsx':
+      items = parseRows(await readWorkbookRows(buffer));
+      break;
+    default:
+      throw new ValidationError(`Formato de cardápio inválido: ${type}`);
+  }
+
+  if (items.length === 0) {
+    throw new ValidationError('Nenhum item com nome e preço foi encontrado no cardápio');
+  }
+
+  return validateMenuItems(items);
+};
+
+module.exports = { MENU_FILE_TYPES, MENU_MAX_FILE_SIZE, parseMenuFile, parseMenuText, parseRows, parseCsv, parsePrice };
\ No newline at end of file
@@ -0,0 +1,185 @@
+const NotificationModel = require('../../models/notificationModel');
+const salesModel = require('../../models/salesModel');
+const { SALE_EVENTS, saleEvents } = require('../saleEvents');
+const { EvolutionClient } = require('../whatsapp/evolutionClient');
+const { renderTemplate, templateValues } = require('./templates');
+const { normalizePhone } = require('../../utils/phone');
+const { loadFormatters } = require('../../utils/formatters');
+
+// Intervalo entre as leituras da fila
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS) || 15000;
+
+// Notificações reservadas por leitura
+const BATCH_SIZE = 10;
+
+// Espera antes de cada nova tentativa (a última se repete)
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+/**
+ * Envio padrão: WhatsApp pela Evolution API, com o DDI do Brasil
+ * @param {string} phone - Telefone normalizado (DDD + número)
+ * @param {string} text - Mensagem
+ * @returns {Promise<Object>} Resposta da Evolution API
+ */
+const sendWhatsApp = (client => (phone, text) => client.sendText(`55${phone}`, text))(new EvolutionClient());
+
+/**
+ * Notificações de status dos pedidos.
+ *
+ * As mensagens entram na fila pelo banco, na mesma transação da mudança de
+ * status (gatilho em sale_status_history). Um processador periódico monta o
+ * texto com o modelo, envia com novas tentativas e registra cada envio; os
+ * eventos de venda apenas antecipam a leitura da fila. A função de envio é
+ * configurável (send), para uso sem WhatsApp.
+ */
+class NotificationService {
+  /**
+   * @param {Object} options - send(phone, text), notificationModel, sales, events e pollIntervalMs
+   */
+  constructor({
+    send = sendWhatsApp,
+    notificationModel = new NotificationModel(),
+    sales = salesModel,
+    events = saleEvents,
+    pollIntervalMs = POLL_INTERVAL_MS
+  } = {}) {
+    this.send = send;
+    this.notificationModel = notificationModel;
+    this.salesModel = sales;
+    this.events = events;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timer = null;
+    this.processing = false;
+
+    this.onSaleEvent = () => this.processQueue();
+  }
+
+  /**
+   * Passa a ouvir os eventos de venda e a processar a fila
+   */
+  start() {
+    if (this.timer) return;
+
+    this.events.on(SALE_EVENTS.CREATED, this.onSaleEvent);
+    this.events.on(SALE_EVENTS.STATUS_CHANGED, this.onSaleEvent);
+
+    this.timer = setInterval(() => this.processQueue(), this.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Para de ouvir os eventos e de processar a fila
+   */
+  stop() {
+    this.events.off(SALE_EVENTS.CREATED, this.onSaleEvent);
+    this.events.off(SALE_EVENTS.STATUS_CHANGED, this.onSaleEvent);
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Monta o texto de uma notificação com o modelo do status e os dados atuais da venda
+   * @param {Object} notification - Notificação da fila (sale_id e status)
+   * @returns {Promise<string>} Mensagem
+   */
+  async renderBody(notification) {
+    const [template, sale, formatters] = await Promise.all([
+      this.notificationModel.getTemplate(notification.status),
+      this.salesModel.getSaleById(notification.sale_id),
+      loadFormatters()
+    ]);
+
+    if (!template) {
+      throw new Error(`Modelo de mensagem do status ${notification.status} não encontrado`);
+    }
+
+    return renderTemplate(template.body, templateValues(sale, notification.status, formatters));
+  }
+
+  /**
+   * Envia as notificações pendentes, um lote por vez, até esvaziar a fila
+   * @returns {Promise<number>} Quantidade de notificações processadas
+   */
+  async processQueue() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    let processed = 0;
+
+    try {
+      for (;;) {
+        const batch = await this.notificationModel.claim(BATCH_SIZE);
+
+        for (const notification of batch) {
+          await this.deliver(notification);
+        }
+
+        processed += batch.length;
+        if (batch.length < BATCH_SIZE) break;
+      }
+    } catch (error) {
+      console.error('Erro ao processar fila de notificações:', error);
+    } finally {
+      this.processing = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Envia uma notificação reservada e registra o resultado
+   * @param {Object} notification - Notificação (attempts já inclui esta tentativa)
+   */
+  async deliver(notification) {
+    try {
+      // O texto é montado no primeiro envio e reaproveitado nas novas tentativas
+      if (!notification.body) {
+        const body = await this.renderBody(notification);
+        await this.notificationModel.updateNotification(notification.id, { body });
+        notification = { ...notification, body };
+      }
+
+      const phone = normalizePhone(notification.recipient);
+      if (!phone) {
+        throw new Error(`Telefone inválido: ${notification.recipient}`);
+      }
+
+      const response = await this.send(phone, notification.body);
+
+      await this.notificationModel.addLog({
+        notification_id: notification.id,
+        attempt: notification.attempts,
+        success: true,
+        response: response === undefined ? null : response
+      });
+
+      await this.notificationModel.updateNotification(notification.id, {
+        state: 'sent',
+        sent_at: new Date().toISOString(),
+        locked_at: null,
+        last_error: null
+      });
+    } catch (error) {
+      const exhausted = notification.attempts >= notification.max_attempts;
+      const delay = RETRY_DELAYS_MINUTES[Math.min(notification.attempts, RETRY_DELAYS_MINUTES.length) - 1];
+
+      await this.notificationModel.addLog({
+        notification_id: notification.id,
+        attempt: notification.attempts,
+        success: false,
+        response: error.details || null,
+        error: error.message
+      });
+
+      await this.notificationModel.updateNotification(notification.id, {
+        state: exhausted ? 'failed' : 'pending',
+        next_attempt_at: new Date(Date.now() + delay * 60 * 1000).toISOString(),
+        locked_at: null,
+        last_error: error.message
+      });
+    }
+  }
+}
+
+module.exports = { NotificationService, RETRY_DELAYS_MINUTES };
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Modelos de mensagem das notificações de status.
+ *
+ * Os modelos são textos em pt-BR com variáveis entre chaves duplas, por
+ * exemplo "Seu pedido {{pedido}} saiu para entrega". Variáveis desconhecidas
+ * são recusadas ao salvar o modelo.
+ */
+const { SALE_STATUS_LABELS } = require('../../models/saleStatus');
+const { formatOrderNumber } = require('../../utils/orderNumber');
+
+// Variáveis disponíveis nos modelos
+const TEMPLATE_VARIABLES = {
+  cliente: 'Nome do cliente',
+  pedido: 'Número do pedido',
+  itens: 'Itens do pedido, um por linha',
+  total: 'Total do pedido',
+  status: 'Status do pedido',
+  previsao: 'Previsão de entrega em minutos (delivery)'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Lista as variáveis usadas em um modelo que não existem
+ * @param {string} body - Texto do modelo
+ * @returns {Array<string>} Variáveis desconhecidas
+ */
+const unknownVariables = (body) => [...new Set(
+  [...body.matchAll(VARIABLE_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !TEMPLATE_VARIABLES[name])
+)];
+
+/**
+ * Preenche as variáveis de um modelo
+ * @param {string} body - Texto do modelo
+ * @param {Object} values - Valores por variável
+ * @returns {string} Mensagem pronta
+ */
+const renderTemplate = (body, values) => body.replace(VARIABLE_PATTERN, (match, name) => (
+  values[name] !== undefined && values[name] !== null ? String(values[name]) : ''
+));
+
+/**
+ * Monta os valores das variáveis a partir de uma venda
+ * @param {Object} sale - Venda com cliente e itens
+ * @param {string} status - Status notificado
+ * @param {Object} formatters - Formatadores de src/utils/formatters.js
+ * @returns {Object} Valores por variável
+ */
+const templateValues = (sale, status, formatters) => ({
+  cliente: sale.customer ? sale.customer.name : '',
+  pedido: formatOrderNumber(sale.id),
+  itens: (sale.items || [])
+    .map(item => `${item.quantity}x ${item.product ? item.product.name : 'Produto removido'}`)
+    .join('\n'),
+  total: formatters.formatCurrency(parseFloat(sale.total) || 0),
+  status: SALE_STATUS_LABELS[status] || status,
+  previsao: sale.estimated_delivery_minutes || ''
+});
+
+module.exports = { TEMPLATE_VARIABLES, unknownVariables, renderTemplate, templateValues };
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { randomUUID } = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage/storage');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Imagens dos produtos.
+ *
+ * Cada envio gera as variantes abaixo em WebP, gravadas no armazenamento de
+ * arquivos com a mesma base de chave (products/<produto>/<uuid>-<variante>.webp).
+ * O produto guarda a base (image_key), as URLs das variantes (images) e, em
+ * imageUrl, a variante média.
+ */
+
+// Tipos de imagem aceitos no envio (extensão → mimetypes)
+const IMAGE_FILE_TYPES = {
+  jpg: ['image/jpeg'],
+  jpeg: ['image/jpeg'],
+  png: ['image/png'],
+  webp: ['image/webp']
+};
+
+// Tamanho máximo do arquivo enviado
+const IMAGE_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Variantes geradas: a miniatura é recortada no quadrado; as demais mantêm a proporção
+const IMAGE_VARIANTS = {
+  thumbnail: { size: 80, fit: 'cover' },
+  medium: { size: 400, fit: 'inside' },
+  large: { size: 1200, fit: 'inside' }
+};
+
+// Variante usada em imageUrl
+const DEFAULT_VARIANT = 'medium';
+
+const WEBP_QUALITY = 80;
+
+const variantKey = (imageKey, variant) => `${imageKey}-${variant}.webp`;
+
+/**
+ * Gera as variantes WebP de uma imagem
+ * @param {Buffer} buffer - Imagem enviada
+ * @returns {Promise<Object>} Conteúdo de cada variante
+ * @throws {ValidationError} Arquivo que não é uma imagem válida
+ */
+const resizeImage = async (buffer) => {
+  try {
+    await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ValidationError('O arquivo enviado não é uma imagem válida', [
+      { field: 'image', message: 'Imagem inválida ou corrompida' }
+    ]);
+  }
+
+  const variants = {};
+
+  // Uma variante por vez, para limitar o uso de memória
+  for (const [name, { size, fit }] of Object.entries(IMAGE_VARIANTS)) {
+    variants[name] = await sharp(buffer)
+      .rotate()
+      .resize({ width: size, height: size, fit, withoutEnlargement: fit === 'inside' })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer();
+  }
+
+  return variants;
+};
+
+/**
+ * Gera e grava as variantes da imagem de um produto
+ * @param {string} productId - ID do produto
+ * @param {Buffer} buffer - Imagem enviada
+ * @returns {Promise<{image_key: string, images: Object, imageUrl: string}>} Campos do produto
+ */
+const saveProductImage = async (productId, buffer) => {
+  const variants = await resizeImage(buffer);
+  const storage = getStorage();
+  const imageKey = `products/${productId}/${randomUUID()}`;
+
+  try {
+    await Promise.all(Object.entries(variants).map(([name, content]) => (
+      storage.save(variantKey(imageKey, name), content, { contentType: 'image/webp' })
+    )));
+  } catch (error) {
+    await removeProductImage(imageKey);
+    throw error;
+  }
+
+  const images = Object.fromEntries(Object.keys(variants).map(name => [
+    name,
+    storage.getUrl(variantKey(imageKey, name))
+  ]));
+
+  return { image_key: imageKey, images, imageUrl: images[DEFAULT_VARIANT] };
+};
+
+/**
+ * Remove as variantes de uma imagem. Falhas são apenas registradas: um
+ * arquivo órfão não deve impedir a alteração do produto.
+ * @param {string|null} imageKey - Base da chave das variantes
+ * @returns {Promise<void>}
+ */
+const removeProductImage = async (imageKey) => {
+  if (!imageKey) return;
+
+  const storage = getStorage();
+
+  await Promise.all(Object.keys(IMAGE_VARIANTS).map(name => (
+    storage.remove(variantKey(imageKey, name))
+      .catch(error => console.error(`Erro ao remover a imagem ${variantKey(imageKey, name)}:`, error))
+  )));
+};
+
+module.exports = {
+  IMAGE_FILE_TYPES,
+  IMAGE_MAX_FILE_SIZE,
+  IMAGE_VARIANTS,
+  saveProductImage,
+  removeProductImage
+};
\ No newline at end of file
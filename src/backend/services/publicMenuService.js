@@ -0,0 +1,442 @@
+const { once } = require('events');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const ProductModel = require('../models/productModel');
+const CategoryModel = require('../models/categoryModel');
+const PromotionModel = require('../models/promotionModel');
+const { CATALOG_EVENTS, catalogEvents } = require('./catalogEvents');
+const { applyPromotions } = require('../utils/pricing');
+const { loadFormatters } = require('../utils/formatters');
+const { ValidationError } = require('../utils/errors');
+
+// Nome exibido no cardápio
+const RESTAURANT_NAME = process.env.RESTAURANT_NAME || 'Hamburgueria Na Brasa';
+
+// Cor da marca no PDF e na página do cardápio
+const BRAND_COLOR = '#C0392B';
+
+// Produtos na seção "Destaque"
+const FEATURED_LIMIT = 8;
+
+// Alterações em sequência (ex.: operações em lote) geram uma única regeneração
+const REBUILD_DELAY_MS = 1000;
+
+// Validade do cardápio em cache, para alterações feitas fora da API
+const MENU_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Validade enquanto houver promoção com dias da semana ou faixa de horário
+const PROMOTION_WINDOW_MAX_AGE_MS = 60 * 1000;
+
+// Formatos do QR code
+const QR_CODE_FORMATS = { png: 'image/png', svg: 'image/svg+xml' };
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => String(text === null || text === undefined ? '' : text)
+  .replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * Converte um produto, já com as promoções aplicadas, no item do cardápio. O
+ * preço promocional (discountPrice) é o preço efetivo, quando menor que o
+ * preço normal.
+ * @param {Object} product - Produto de applyPromotions
+ * @returns {Object} Item (id, name, description, imageUrl, price, discountPrice, promotion)
+ */
+const toMenuItem = (product) => {
+  const price = parseFloat(product.price);
+
+  return {
+    id: product.id,
+    name: product.name,
+    description: product.description || '',
+    imageUrl: product.imageUrl || null,
+    price,
+    discountPrice: product.effectivePrice < price ? product.effectivePrice : null,
+    promotion: product.promotion ? product.promotion.name : null
+  };
+};
+
+/**
+ * Instante em que o cardápio deixa de valer: o próximo início ou fim de
+ * promoção. Dias da semana e faixas de horário são conferidos a cada minuto.
+ * @param {Array} promotions - Promoções cujo período inclui o instante atual
+ * @param {Date|null} nextStart - Início da próxima promoção
+ * @param {Date} now - Instante da geração
+ * @returns {Date} Validade do cardápio
+ */
+const menuExpiry = (promotions, nextStart, now) => {
+  const limits = [
+    now.getTime() + MENU_MAX_AGE_MS,
+    ...promotions.map(promotion => new Date(promotion.ends_at).getTime())
+  ];
+
+  if (nextStart) limits.push(nextStart.getTime());
+
+  if (promotions.some(promotion => (promotion.weekdays && promotion.weekdays.length > 0) || promotion.start_time)) {
+    limits.push(now.getTime() + PROMOTION_WINDOW_MAX_AGE_MS);
+  }
+
+  return new Date(Math.min(...limits));
+};
+
+/**
+ * Cardápio público gerado a partir do catálogo: JSON, página HTML, PDF para
+ * impressão e QR code para as mesas.
+ *
+ * Mostra os produtos disponíveis das categorias ativas, agrupados por
+ * categoria, e a seção "Destaque", com as promoções vigentes. O cardápio
+ * fica em cache e é regenerado (JSON e PDF) sempre que um evento do catálogo
+ * é publicado e quando uma promoção começa ou termina.
+ */
+class PublicMenuService {
+  /**
+   * @param {Object} options - productModel, categoryModel, promotionModel e events
+   */
+  constructor({
+    productModel = new ProductModel(),
+    categoryModel = new CategoryModel(),
+    promotionModel = new PromotionModel(),
+    events = catalogEvents
+  } = {}) {
+    this.productModel = productModel;
+    this.categoryModel = categoryModel;
+    this.promotionModel = promotionModel;
+    this.events = events;
+    this.menu = null;
+    this.pdf = null;
+    this.rebuildTimer = null;
+
+    this.onCatalogChanged = () => this.scheduleRebuild();
+  }
+
+  /**
+   * Passa a regenerar o cardápio a cada alteração do catálogo
+   */
+  start() {
+    this.events.on(CATALOG_EVENTS.PRODUCTS_CHANGED, this.onCatalogChanged);
+    this.events.on(CATALOG_EVENTS.CATEGORIES_CHANGED, this.onCatalogChanged);
+  }
+
+  /**
+   * Para de acompanhar as alterações do catálogo
+   */
+  stop() {
+    this.events.off(CATALOG_EVENTS.PRODUCTS_CHANGED, this.onCatalogChanged);
+    this.events.off(CATALOG_EVENTS.CATEGORIES_CHANGED, this.onCatalogChanged);
+    clearTimeout(this.rebuildTimer);
+  }
+
+  scheduleRebuild() {
+    clearTimeout(this.rebuildTimer);
+    this.rebuildTimer = setTimeout(() => this.rebuild(), REBUILD_DELAY_MS);
+    this.rebuildTimer.unref();
+  }
+
+  /**
+   * Descarta o cache e gera de novo o cardápio e, se já foi pedido, o PDF
+   * @returns {Promise<void>}
+   */
+  async rebuild() {
+    const pdfUrl = this.pdf ? this.pdf.url : undefined;
+    this.menu = null;
+
+    try {
+      await this.getMenu();
+      if (pdfUrl !== undefined) await this.getPdf(pdfUrl);
+    } catch (error) {
+      console.error('Erro ao regenerar o cardápio público:', error);
+    }
+  }
+
+  /**
+   * Retorna o cardápio em cache, gerando-o se necessário
+   * @returns {Promise<Object>} Cardápio (restaurant, generatedAt, expiresAt, featured, categories)
+   */
+  getMenu() {
+    if (!this.menu || Date.now() >= this.menu.expiresAt) {
+      const promise = this.buildMenu();
+      const cached = { promise, expiresAt: Date.now() + MENU_MAX_AGE_MS };
+      this.menu = cached;
+
+      // A validade depende das promoções; uma falha não fica em cache
+      promise.then(
+        menu => { cached.expiresAt = new Date(menu.expiresAt).getTime(); },
+        () => { if (this.menu === cached) this.menu = null; }
+      );
+    }
+
+    return this.menu.promise;
+  }
+
+  /**
+   * Gera o cardápio a partir do catálogo
+   * @returns {Promise<Object>} Cardápio
+   */
+  async buildMenu() {
+    const now = new Date();
+    const [products, featured, categories, nextStart] = await Promise.all([
+      this.productModel.getAvailableProducts(),
+      this.productModel.getFeaturedProducts(FEATURED_LIMIT),
+      this.categoryModel.getAllCategories(),
+      this.promotionModel.getNextPromotionStart(now)
+    ]);
+
+    const promotions = await this.promotionModel.getCurrentPromotions(
+      [...new Set([...products, ...featured].map(product => product.id))],
+      now
+    );
+
+    const activeCategories = new Set(categories.map(category => category.id));
+    const toItem = (product) => toMenuItem(applyPromotions(product, promotions, now));
+
+    return {
+      restaurant: RESTAURANT_NAME,
+      generatedAt: now.toISOString(),
+      expiresAt: menuExpiry(promotions, nextStart, now).toISOString(),
+      featured: featured
+        .filter(product => activeCategories.has(product.category_id))
+        .map(toItem),
+      categories: categories
+        .map(category => ({
+          id: category.id,
+          name: category.name,
+          slug: category.slug,
+          icon: category.icon || null,
+          products: products
+            .filter(product => product.category_id === category.id)
+            .map(toItem)
+        }))
+        .filter(category => category.products.length > 0)
+    };
+  }
+
+  /**
+   * Monta o endereço da página do cardápio (PUBLIC_MENU_URL ou a própria API)
+   * @param {string} origin - Origem da requisição (ex.: https://nabrasa.com.br)
+   * @param {*} table - Número da mesa (opcional)
+   * @returns {string} Endereço do cardápio
+   * @throws {ValidationError} Número de mesa inválido
+   */
+  menuUrl(origin, table = null) {
+    const url = new URL(process.env.PUBLIC_MENU_URL || `${origin}/api/menu/html`);
+
+    if (table !== null && table !== undefined && table !== '') {
+      url.searchParams.set('mesa', this.validateTable(table));
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Valida o número de uma mesa
+   * @param {*} table - Número informado
+   * @returns {number} Número da mesa
+   * @throws {ValidationError} Número inválido
+   */
+  validateTable(table) {
+    const number = Number(table);
+
+    if (!Number.isInteger(number) || number < 1 || number > 999) {
+      throw new ValidationError('Número da mesa inválido', [
+        { field: 'mesa', message: 'O número da mesa deve ser um inteiro de 1 a 999' }
+      ]);
+    }
+
+    return number;
+  }
+
+  /**
+   * Gera o QR code que aponta para o cardápio
+   * @param {string} url - Endereço do cardápio
+   * @param {string} format - png ou svg
+   * @returns {Promise<{contentType: string, content: Buffer|string}>} Imagem
+   * @throws {ValidationError} Formato inválido
+   */
+  async getQrCode(url, format = 'png') {
+    if (!QR_CODE_FORMATS[format]) {
+      throw new ValidationError(`Formato de QR code inválido. Valores aceitos: ${Object.keys(QR_CODE_FORMATS).join(', ')}`);
+    }
+
+    const content = format === 'svg'
+      ? await QRCode.toString(url, { type: 'svg', margin: 2 })
+      : await QRCode.toBuffer(url, { type: 'png', width: 512, margin: 2 });
+
+    return { contentType: QR_CODE_FORMATS[format], content };
+  }
+
+  /**
+   * Gera a página HTML do cardápio
+   * @param {*} table - Número da mesa, exibido no topo (opcional)
+   * @returns {Promise<string>} Página HTML
+   */
+  async getHtml(table = null) {
+    const tableNumber = table !== null && table !== undefined && table !== '' ? this.validateTable(table) : null;
+    const [menu, { formatCurrency, formatDateTime }] = await Promise.all([this.getMenu(), loadFormatters()]);
+
+    const renderItem = (item) => `
+      <li class="item">
+        ${item.imageUrl ? `<img src="${escapeHtml(item.imageUrl)}" alt="" loading="lazy">` : ''}
+        <div class="info">
+          <h3>${escapeHtml(item.name)}</h3>
+          ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
+        </div>
+        <div class="price">
+          ${item.discountPrice !== null
+            ? `<s>${formatCurrency(item.price)}</s><strong class="promo">${formatCurrency(item.discountPrice)}</strong>`
+            : `<strong>${formatCurrency(item.price)}</strong>`}
+        </div>
+      </li>`;
+
+    const renderSection = (title, items) => `
+    <section>
+      <h2>${escapeHtml(title)}</h2>
+      <ul>${items.map(renderItem).join('')}
+      </ul>
+    </section>`;
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Cardápio - ${escapeHtml(menu.restaurant)}</title>
+  <style>
+    body { margin: 0; font-family: system-ui, sans-serif; color: #222; background: #fafafa; }
+    header { background: ${BRAND_COLOR}; color: #fff; padding: 24px 16px; }
+    header h1 { margin: 0; font-size: 1.6rem; }
+    header p { margin: 4px 0 0; }
+    main { max-width: 720px; margin: 0 auto; padding: 8px 16px 32px; }
+    h2 { color: ${BRAND_COLOR}; border-bottom: 2px solid ${BRAND_COLOR}; padding-bottom: 4px; }
+    ul { list-style: none; margin: 0; padding: 0; }
+    .item { display: flex; gap: 12px; align-items: flex-start; padding: 10px 0; border-bottom: 1px solid #eee; }
+    .item img { width: 64px; height: 64px; object-fit: cover; border-radius: 8px; }
+    .info { flex: 1; }
+    .info h3 { margin: 0; font-size: 1rem; }
+    .info p { margin: 4px 0 0; color: #666; font-size: 0.875rem; }
+    .price { text-align: right; white-space: nowrap; }
+    .price s { display: block; color: #999; font-size: 0.8rem; }
+    .promo { color: ${BRAND_COLOR}; }
+    footer { text-align: center; color: #999; font-size: 0.75rem; padding: 16px; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(menu.restaurant)}</h1>
+    <p>Cardápio${tableNumber ? ` · Mesa ${tableNumber}` : ''}</p>
+  </header>
+  <main>${menu.featured.length > 0 ? renderSection('Destaque', menu.featured) : ''}${menu.categories
+    .map(category => renderSection(category.name, category.products)).join('')}
+  </main>
+  <footer>Atualizado em ${formatDateTime(menu.generatedAt)}</footer>
+</body>
+</html>`;
+  }
+
+  /**
+   * Retorna o PDF do cardápio em cache, gerando-o se necessário
+   * @param {string|null} menuUrl - Endereço do cardápio online, impresso com QR code
+   * @returns {Promise<Buffer>} PDF
+   */
+  getPdf(menuUrl = null) {
+    const menu = this.getMenu();
+
+    if (!this.pdf || this.pdf.menu !== menu || this.pdf.url !== menuUrl) {
+      const promise = menu.then(data => this.renderPdf(data, menuUrl));
+      this.pdf = { menu, url: menuUrl, promise };
+
+      promise.catch(() => {
+        if (this.pdf && this.pdf.promise === promise) this.pdf = null;
+      });
+    }
+
+    return this.pdf.promise;
+  }
+
+  /**
+   * Gera o PDF do cardápio para impressão
+   * @param {Object} menu - Cardápio
+   * @param {string|null} menuUrl - Endereço do cardápio online
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderPdf(menu, menuUrl) {
+    const { formatCurrency, formatDateTime } = await loadFormatters();
+    const qrCode = menuUrl ? await QRCode.toBuffer(menuUrl, { type: 'png', width: 240, margin: 1 }) : null;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Cardápio - ${menu.restaurant}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = once(doc, 'end');
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const priceWidth = 110;
+
+    // Cabeçalho com a marca e o QR code do cardápio online
+    doc.rect(0, 0, doc.page.width, 100).fill(BRAND_COLOR);
+    doc.fillColor('#FFFFFF').fontSize(26).text(menu.restaurant, left, 32, { width: width - 90 });
+    doc.fontSize(12).text('Cardápio', left, doc.y + 2);
+    if (qrCode) {
+      doc.image(qrCode, left + width - 80, 10, { width: 80 });
+    }
+    doc.y = 120;
+
+    const writeItem = (item) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 60) {
+        doc.addPage();
+      }
+
+      const top = doc.y;
+      doc.fontSize(12).fillColor('#000000').text(item.name, left, top, { width: width - priceWidth });
+      const nameBottom = doc.y;
+
+      const promotional = item.discountPrice !== null;
+      doc.fillColor(promotional ? BRAND_COLOR : '#000000')
+        .text(formatCurrency(promotional ? item.discountPrice : item.price), left, top, { width, align: 'right' });
+
+      if (promotional) {
+        doc.fontSize(8).fillColor('#888888')
+          .text(`de ${formatCurrency(item.price)}`, left, doc.y, { width, align: 'right', strike: true });
+      }
+
+      doc.y = Math.max(nameBottom, doc.y);
+
+      if (item.description) {
+        doc.fontSize(9).fillColor('#555555').text(item.description, left, doc.y, { width: width - priceWidth });
+      }
+
+      doc.moveDown(0.6);
+    };
+
+    const writeSection = (title, items) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 100) {
+        doc.addPage();
+      }
+
+      doc.fontSize(16).fillColor(BRAND_COLOR).text(title, left, doc.y);
+      doc.moveTo(left, doc.y + 2).lineTo(left + width, doc.y + 2).strokeColor(BRAND_COLOR).stroke();
+      doc.moveDown(0.6);
+
+      items.forEach(writeItem);
+      doc.moveDown(0.6);
+    };
+
+    if (menu.featured.length > 0) {
+      writeSection('Destaque', menu.featured);
+    }
+
+    menu.categories.forEach(category => writeSection(category.name, category.products));
+
+    doc.fontSize(8).fillColor('#999999').text(
+      `Atualizado em ${formatDateTime(menu.generatedAt)}${menuUrl ? ` · Cardápio online: ${menuUrl}` : ''}`,
+      left,
+      doc.y,
+      { width, align: 'center' }
+    );
+
+    doc.end();
+    await finished;
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = { PublicMenuService };
\ No newline at end of file
@@ -0,0 +1,35 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Eventos de vendas publicados pelo servidor.
+ *
+ * O modelo de vendas publica a criação de pedidos e as mudanças de status, e
+ * a cozinha publica o andamento de cada item. Telas em tempo real (KDS) e
+ * notificações assinam estes eventos. Os ouvintes não devem lançar erros: o
+ * pedido já foi gravado quando o evento é publicado.
+ */
+const SALE_EVENTS = {
+  CREATED: 'sale.created',
+  STATUS_CHANGED: 'sale.status_changed',
+  ITEM_STATUS_CHANGED: 'sale.item_status_changed'
+};
+
+const saleEvents = new EventEmitter();
+
+// Cada tela conectada registra seus próprios ouvintes
+saleEvents.setMaxListeners(0);
+
+/**
+ * Publica um evento de venda sem interromper quem publicou
+ * @param {string} event - Nome do evento (SALE_EVENTS)
+ * @param {Object} payload - Dados do evento
+ */
+const publishSaleEvent = (event, payload) => {
+  try {
+    saleEvents.emit(event, payload);
+  } catch (error) {
+    console.error(`Erro ao publicar o evento ${event}:`, error);
+  }
+};
+
+module.exports = { SALE_EVENTS, saleEvents, publishSaleEvent };
\ No newline at end of file
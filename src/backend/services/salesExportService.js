@@ -0,0 +1,263 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const salesModel = require('../models/salesModel');
+const { SALE_STATUS_LABELS, VOID_SALE_STATUSES } = require('../models/saleStatus');
+const { loadFormatters } = require('../utils/formatters');
+const { ValidationError } = require('../utils/errors');
+const { formatZonedDateTime } = require('../utils/dateRange');
+
+// Formatos de exportação suportados
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const COLUMNS = ['Data/Hora', 'Venda', 'Cliente', 'CPF/CNPJ', 'Pagamento', 'Status', 'Itens', 'Total'];
+
+/**
+ * Serviço de exportação do relatório de vendas (fechamento de caixa).
+ * As vendas são lidas em lotes e escritas diretamente no stream de saída,
+ * de modo que intervalos grandes não precisam ficar inteiros em memória.
+ */
+class SalesExportService {
+  constructor() {
+    this.salesModel = salesModel;
+  }
+
+  /**
+   * Exporta as vendas de um intervalo no formato solicitado
+   * @param {string} format - csv, xlsx ou pdf
+   * @param {{from: Date, to: Date}} range - Intervalo das vendas
+   * @param {stream.Writable} output - Stream de saída (ex.: resposta HTTP)
+   * @returns {Promise<void>}
+   */
+  async export(format, range, output) {
+    const formatters = await loadFormatters();
+
+    switch (format) {
+      case 'csv':
+        return this.writeCsv(range, output, formatters);
+      case 'xlsx':
+        return this.writeXlsx(range, output, formatters);
+      case 'pdf':
+        return this.writePdf(range, output, formatters);
+      default:
+        throw new ValidationError(`Formato de exportação inválido: ${format}`);
+    }
+  }
+
+  /**
+   * Monta a linha de uma venda com formatação brasileira
+   * @param {Object} sale - Venda com cliente e itens
+   * @param {Object} formatters - Formatadores de src/utils/formatters.js
+   * @returns {Object} Valores da linha
+   */
+  toRow(sale, formatters) {
+    const customer = sale.customer || {};
+    const document = (customer.cnpj || customer.cpf || '').replace(/\D/g, '');
+
+    return {
+      date: formatZonedDateTime(sale.created_at),
+      id: sale.id,
+      customer: customer.name || 'Consumidor final',
+      document: document.length === 14
+        ? formatters.formatCNPJ(document)
+        : formatters.formatCPF(document),
+      paymentMethod: sale.payment_method || '',
+      status: SALE_STATUS_LABELS[sale.status] || sale.status,
+      items: (sale.items || [])
+        .map(item => {
+          const name = `${item.quantity}x ${item.product ? item.product.name : 'Produto removido'}`;
+          const options = [
+            ...(item.components || []).map(component => `${component.quantity}x ${component.name}`),
+            ...(item.options || []).map(option => option.name)
+          ];
+          return options.length > 0 ? `${name} (${options.join(', ')})` : name;
+        })
+        .join(', '),
+      total: sale.total
+    };
+  }
+
+  /**
+   * Acumula os totais do fechamento; vendas canceladas/estornadas são apenas contadas
+   * @param {Object} summary - Totais acumulados
+   * @param {Object} sale - Venda
+   */
+  addToSummary(summary, sale) {
+    if (VOID_SALE_STATUSES.includes(sale.status)) {
+      summary.voidCount += 1;
+      return;
+    }
+
+    const method = sale.payment_method || 'não informado';
+
+    if (!summary.paymentMethods[method]) {
+      summary.paymentMethods[method] = { count: 0, total: 0 };
+    }
+
+    summary.paymentMethods[method].count += 1;
+    summary.paymentMethods[method].total += sale.total;
+    summary.count += 1;
+    summary.total += sale.total;
+  }
+
+  /**
+   * Percorre as vendas do intervalo chamando onSale para cada uma
+   * @param {{from: Date, to: Date}} range - Intervalo das vendas
+   * @param {Function} onSale - Função assíncrona chamada para cada venda
+   * @returns {Promise<Object>} Totais do fechamento
+   */
+  async eachSale(range, onSale) {
+    const summary = { count: 0, voidCount: 0, total: 0, paymentMethods: {} };
+
+    for await (const batch of this.salesModel.iterateSalesReport(range)) {
+      for (const sale of batch) {
+        this.addToSummary(summary, sale);
+        await onSale(sale);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Exporta em CSV (separador ";" e BOM UTF-8, compatível com o Excel em pt-BR)
+   */
+  async writeCsv(range, output, formatters) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const writeLine = async (values) => {
+      if (!output.write(`${values.map(escape).join(';')}\r\n`)) {
+        await once(output, 'drain');
+      }
+    };
+
+    output.write('\uFEFF');
+    await writeLine(COLUMNS);
+
+    const summary = await this.eachSale(range, async (sale) => {
+      const row = this.toRow(sale, formatters);
+      await writeLine([
+        row.date,
+        row.id,
+        row.customer,
+        row.document,
+        row.paymentMethod,
+        row.status,
+        row.items,
+        formatters.formatCurrency(row.total)
+      ]);
+    });
+
+    await writeLine([]);
+    await writeLine(['Forma de pagamento', 'Vendas', 'Total']);
+
+    for (const [method, totals] of Object.entries(summary.paymentMethods)) {
+      await writeLine([method, totals.count, formatters.formatCurrency(totals.total)]);
+    }
+
+    await writeLine(['Total geral', summary.count, formatters.formatCurrency(summary.total)]);
+    await writeLine(['Canceladas/estornadas', summary.voidCount, '']);
+
+    output.end();
+  }
+
+  /**
+   * Exporta em XLSX com uma aba de vendas e uma aba de fechamento
+   */
+  async writeXlsx(range, output, formatters) {
+    const currencyFormat = '"R$" #,##0.00';
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+
+    const salesSheet = workbook.addWorksheet('Vendas');
+    salesSheet.columns = COLUMNS.map(header => ({ header, width: header === 'Itens' ? 60 : 20 }));
+    salesSheet.getColumn(COLUMNS.length).numFmt = currencyFormat;
+
+    const summary = await this.eachSale(range, async (sale) => {
+      const row = this.toRow(sale, formatters);
+      salesSheet.addRow([
+        row.date,
+        row.id,
+        row.customer,
+        row.document,
+        row.paymentMethod,
+        row.status,
+        row.items,
+        row.total
+      ]).commit();
+    });
+
+    salesSheet.commit();
+
+    const summarySheet = workbook.addWorksheet('Fechamento');
+    summarySheet.columns = [
+      { header: 'Forma de pagamento', width: 30 },
+      { header: 'Vendas', width: 12 },
+      { header: 'Total', width: 20, style: { numFmt: currencyFormat } }
+    ];
+
+    Object.entries(summary.paymentMethods).forEach(([method, totals]) => {
+      summarySheet.addRow([method, totals.count, totals.total]).commit();
+    });
+
+    summarySheet.addRow(['Total geral', summary.count, summary.total]).commit();
+    summarySheet.addRow(['Canceladas/estornadas', summary.voidCount, null]).commit();
+    summarySheet.commit();
+
+    await workbook.commit();
+  }
+
+  /**
+   * Exporta em PDF, com as vendas seguidas do resumo do fechamento
+   */
+  async writePdf(range, output, formatters) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(output);
+
+    doc.fontSize(16).text('Fechamento de caixa - Hamburgueria Na Brasa');
+    doc.fontSize(10).text(
+      `Período: ${formatZonedDateTime(range.from)} a ${formatZonedDateTime(range.to)}`
+    );
+    doc.moveDown();
+
+    const summary = await this.eachSale(range, async (sale) => {
+      const row = this.toRow(sale, formatters);
+
+      doc.fontSize(9).text(
+        `${row.date}  |  ${row.customer}${row.document ? ` (${row.document})` : ''}  |  ` +
+        `${row.paymentMethod}  |  ${row.status}  |  ${formatters.formatCurrency(row.total)}`
+      );
+      doc.fontSize(8).fillColor('#555555').text(row.items, { indent: 12 });
+      doc.fillColor('#000000').moveDown(0.3);
+    });
+
+    doc.moveDown();
+    doc.fontSize(12).text('Totais por forma de pagamento');
+    doc.fontSize(10);
+
+    Object.entries(summary.paymentMethods).forEach(([method, totals]) => {
+      doc.text(`${method}: ${totals.count} venda(s) - ${formatters.formatCurrency(totals.total)}`);
+    });
+
+    doc.moveDown(0.5);
+    doc.fontSize(12).text(
+      `Total geral: ${summary.count} venda(s) - ${formatters.formatCurrency(summary.total)}`
+    );
+    doc.fontSize(10).text(`Canceladas/estornadas: ${summary.voidCount}`);
+
+    const finished = once(output, 'finish');
+    doc.end();
+    await finished;
+  }
+}
+
+module.exports = { SalesExportService, EXPORT_FORMATS };
\ No newline at end of file
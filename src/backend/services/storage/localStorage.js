@@ -0,0 +1,89 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+
+/**
+ * Implementação de StorageAdapter em disco local. As chaves são caminhos
+ * relativos à pasta raiz (STORAGE_LOCAL_DIR, padrão ./uploads); os arquivos
+ * públicos são servidos pelo próprio servidor em STORAGE_PUBLIC_URL.
+ */
+class LocalStorage {
+  /**
+   * @param {Object} options - root: pasta raiz dos arquivos; publicUrl: endereço base dos arquivos públicos
+   */
+  constructor({
+    root = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'),
+    publicUrl = process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}/uploads`
+  } = {}) {
+    this.root = path.resolve(root);
+    this.publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Converte uma chave no caminho do arquivo, sem permitir sair da pasta raiz
+   * @param {string} key - Chave do arquivo
+   * @returns {string} Caminho absoluto
+   * @throws {ValidationError} Chave fora da pasta raiz
+   */
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new ValidationError('Chave de arquivo inválida');
+    }
+
+    return file;
+  }
+
+  /**
+   * Grava um arquivo, substituindo o existente
+   * @param {string} key - Chave do arquivo
+   * @param {Buffer} data - Conteúdo
+   * @returns {Promise<{key: string, size: number}>} Arquivo gravado
+   */
+  async save(key, data) {
+    const file = this.resolve(key);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, data);
+
+    return { key, size: data.length };
+  }
+
+  /**
+   * Lê um arquivo
+   * @param {string} key - Chave do arquivo
+   * @returns {Promise<Buffer>} Conteúdo
+   * @throws {NotFoundError} Arquivo inexistente
+   */
+  async read(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError('Arquivo não encontrado');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove um arquivo; chaves inexistentes são ignoradas
+   * @param {string} key - Chave do arquivo
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Endereço público de um arquivo
+   * @param {string} key - Chave do arquivo
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+module.exports = { LocalStorage };
\ No newline at end of file
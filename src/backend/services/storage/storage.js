@@ -0,0 +1,60 @@
+const { randomUUID } = require('crypto');
+const { LocalStorage } = require('./localStorage');
+const { SupabaseStorage } = require('./supabaseStorage');
+const { AppError } = require('../../utils/errors');
+
+/**
+ * Armazenamento de arquivos enviados (cardápios originais, imagens).
+ *
+ * O restante do sistema depende apenas da interface StorageAdapter abaixo; a
+ * implementação é escolhida por STORAGE_DRIVER: disco local ("local", padrão,
+ * para desenvolvimento) ou Supabase Storage ("supabase", em produção).
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(string, Buffer, Object): Promise<{key: string, size: number}>} save - Grava um arquivo (chave, conteúdo, { contentType })
+ * @property {function(string): Promise<Buffer>} read - Lê um arquivo
+ * @property {function(string): Promise<void>} remove - Remove um arquivo
+ * @property {function(string): string} getUrl - Endereço público de um arquivo
+ */
+
+// Implementações disponíveis por STORAGE_DRIVER
+const DRIVERS = {
+  local: () => new LocalStorage(),
+  supabase: () => new SupabaseStorage()
+};
+
+let instance = null;
+
+/**
+ * Retorna o armazenamento configurado (uma instância por processo)
+ * @returns {StorageAdapter} Armazenamento
+ * @throws {AppError} STORAGE_DRIVER desconhecido
+ */
+const getStorage = () => {
+  if (!instance) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (!DRIVERS[driver]) {
+      throw new AppError(`Armazenamento desconhecido: ${driver}`, { code: 'STORAGE_NOT_CONFIGURED' });
+    }
+
+    instance = DRIVERS[driver]();
+  }
+
+  return instance;
+};
+
+/**
+ * Gera uma chave única para um arquivo novo
+ * @param {string} folder - Pasta lógica (ex.: "menus")
+ * @param {string} extension - Extensão sem ponto
+ * @returns {string} Chave (ex.: "menus/2026/10/<uuid>.pdf")
+ */
+const storageKey = (folder, extension) => {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+
+  return `${folder}/${now.getFullYear()}/${month}/${randomUUID()}.${extension}`;
+};
+
+module.exports = { getStorage, storageKey };
\ No newline at end of file
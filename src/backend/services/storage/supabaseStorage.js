@@ -0,0 +1,82 @@
+const { supabase } = require('../../../supabaseClient');
+const { NotFoundError, toAppError } = require('../../utils/errors');
+
+/**
+ * Implementação de StorageAdapter no Supabase Storage. Todos os arquivos
+ * ficam no bucket STORAGE_BUCKET (padrão "uploads"), que precisa ser público
+ * para que getUrl funcione.
+ */
+class SupabaseStorage {
+  /**
+   * @param {Object} options - bucket: nome do bucket
+   */
+  constructor({ bucket = process.env.STORAGE_BUCKET || 'uploads' } = {}) {
+    this.bucket = bucket;
+  }
+
+  /**
+   * Grava um arquivo, substituindo o existente
+   * @param {string} key - Chave do arquivo
+   * @param {Buffer} data - Conteúdo
+   * @param {Object} options - contentType
+   * @returns {Promise<{key: string, size: number}>} Arquivo gravado
+   */
+  async save(key, data, { contentType } = {}) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, data, { contentType, upsert: true });
+
+    if (error) {
+      throw toAppError(error, 'Erro ao gravar arquivo');
+    }
+
+    return { key, size: data.length };
+  }
+
+  /**
+   * Lê um arquivo
+   * @param {string} key - Chave do arquivo
+   * @returns {Promise<Buffer>} Conteúdo
+   * @throws {NotFoundError} Arquivo inexistente
+   */
+  async read(key) {
+    const { data, error } = await supabase.storage
+      .from(this.bucket)
+      .download(key);
+
+    if (error) {
+      if (String(error.statusCode) === '404' || /not found/i.test(error.message)) {
+        throw new NotFoundError('Arquivo não encontrado');
+      }
+      throw toAppError(error, 'Erro ao ler arquivo');
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  /**
+   * Remove um arquivo; chaves inexistentes são ignoradas
+   * @param {string} key - Chave do arquivo
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .remove([key]);
+
+    if (error) {
+      throw toAppError(error, 'Erro ao remover arquivo');
+    }
+  }
+
+  /**
+   * Endereço público de um arquivo
+   * @param {string} key - Chave do arquivo
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return supabase.storage.from(this.bucket).getPublicUrl(key).data.publicUrl;
+  }
+}
+
+module.exports = { SupabaseStorage };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { AppError } = require('../../utils/errors');
+
+/**
+ * Cliente de envio de mensagens do WhatsApp.
+ *
+ * O bot depende apenas da interface WhatsAppClient abaixo. A implementação
+ * padrão fala com a Evolution API por HTTP; em desenvolvimento e testes,
+ * EVOLUTION_API_URL pode apontar para um servidor local falso, ou outro
+ * objeto com o mesmo método pode ser passado ao bot.
+ *
+ * @typedef {Object} WhatsAppClient
+ * @property {function(string, string): Promise<Object>} sendText - Envia um texto (número, mensagem)
+ */
+
+// Tempo máximo de espera por uma resposta da Evolution API
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Implementação de WhatsAppClient para a Evolution API (v2)
+ */
+class EvolutionClient {
+  /**
+   * @param {Object} options - baseUrl, apiKey e instance (padrão: variáveis EVOLUTION_*)
+   */
+  constructor({
+    baseUrl = process.env.EVOLUTION_API_URL,
+    apiKey = process.env.EVOLUTION_API_KEY,
+    instance = process.env.EVOLUTION_INSTANCE
+  } = {}) {
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.instance = instance;
+  }
+
+  /**
+   * Envia uma mensagem de texto
+   * @param {string} number - Número com DDI e DDD, apenas dígitos (ex.: 5511987654321)
+   * @param {string} text - Mensagem
+   * @returns {Promise<Object>} Resposta da Evolution API
+   */
+  async sendText(number, text) {
+    return this.request(`/message/sendText/${encodeURIComponent(this.instance)}`, { number, text });
+  }
+
+  /**
+   * Faz uma requisição POST autenticada à Evolution API
+   * @param {string} path - Caminho do endpoint
+   * @param {Object} body - Corpo JSON
+   * @returns {Promise<Object>} Corpo da resposta
+   * @throws {AppError} Falha de comunicação ou resposta de erro
+   */
+  async request(path, body) {
+    if (!this.baseUrl || !this.instance) {
+      throw new AppError('Evolution API não configurada (EVOLUTION_API_URL e EVOLUTION_INSTANCE)', {
+        status: 503,
+        code: 'WHATSAPP_NOT_CONFIGURED'
+      });
+    }
+
+    let response;
+
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          apikey: this.apiKey || ''
+        },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw new AppError('Falha ao se comunicar com a Evolution API', {
+        status: 502,
+        code: 'WHATSAPP_ERROR',
+        cause: error
+      });
+    }
+
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      throw new AppError(`Evolution API respondeu com erro ${response.status}`, {
+        status: 502,
+        code: 'WHATSAPP_ERROR',
+        details: data
+      });
+    }
+
+    return data;
+  }
+}
+
+module.exports = { EvolutionClient };
\ No newline at end of file
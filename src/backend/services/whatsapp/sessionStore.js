@@ -0,0 +1,65 @@
+/**
+ * Conversas em andamento no WhatsApp, guardadas em memória por telefone.
+ *
+ * Conversas paradas por mais de WHATSAPP_SESSION_TTL_MINUTES são descartadas.
+ * Com mais de uma instância do servidor, troque por um armazenamento
+ * compartilhado com os mesmos métodos (get, set, delete).
+ */
+const SESSION_TTL_MINUTES = parseFloat(process.env.WHATSAPP_SESSION_TTL_MINUTES) || 30;
+
+class SessionStore {
+  /**
+   * @param {Object} options - ttlMinutes: tempo de inatividade até descartar a conversa
+   */
+  constructor({ ttlMinutes = SESSION_TTL_MINUTES } = {}) {
+    this.ttlMs = ttlMinutes * 60 * 1000;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Busca a conversa de um telefone
+   * @param {string} phone - Telefone normalizado
+   * @returns {Object|null} Estado da conversa; nulo se não houver ou tiver expirado
+   */
+  get(phone) {
+    const entry = this.sessions.get(phone);
+
+    if (!entry) return null;
+
+    if (Date.now() - entry.updatedAt > this.ttlMs) {
+      this.sessions.delete(phone);
+      return null;
+    }
+
+    return entry.session;
+  }
+
+  /**
+   * Grava a conversa de um telefone
+   * @param {string} phone - Telefone normalizado
+   * @param {Object} session - Estado da conversa
+   */
+  set(phone, session) {
+    this.sessions.set(phone, { session, updatedAt: Date.now() });
+    this.prune();
+  }
+
+  /**
+   * Encerra a conversa de um telefone
+   * @param {string} phone - Telefone normalizado
+   */
+  delete(phone) {
+    this.sessions.delete(phone);
+  }
+
+  // Descarta as conversas expiradas
+  prune() {
+    const now = Date.now();
+
+    this.sessions.forEach((entry, phone) => {
+      if (now - entry.updatedAt > this.ttlMs) this.sessions.delete(phone);
+    });
+  }
+}
+
+module.exports = { SessionStore };
\ No newline at end of file
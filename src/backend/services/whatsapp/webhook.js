@@ -0,0 +1,46 @@
+/**
+ * Leitura dos webhooks da Evolution API.
+ *
+ * Apenas mensagens de texto recebidas de conversas individuais (evento
+ * messages.upsert) interessam ao bot; mensagens enviadas pela própria
+ * instância, de grupos ou sem texto são ignoradas.
+ */
+const { normalizePhone } = require('../../utils/phone');
+
+const MESSAGE_EVENTS = ['messages.upsert', 'MESSAGES_UPSERT'];
+
+/**
+ * Extrai a mensagem de texto de um webhook
+ * @param {Object} payload - Corpo do webhook
+ * @returns {{id: string, number: string, phone: string, name: string|null, text: string}|null}
+ * Mensagem recebida (number com DDI, para responder; phone normalizado); nulo se não for de interesse
+ */
+const parseIncomingMessage = (payload) => {
+  if (!payload || !MESSAGE_EVENTS.includes(payload.event)) return null;
+
+  const data = Array.isArray(payload.data) ? payload.data[0] : payload.data;
+  if (!data || !data.key || data.key.fromMe) return null;
+
+  const jid = data.key.remoteJid || '';
+  if (!jid.endsWith('@s.whatsapp.net')) return null;
+
+  const message = data.message || {};
+  const text = message.conversation ||
+    (message.extendedTextMessage && message.extendedTextMessage.text) ||
+    '';
+
+  const number = jid.split('@')[0];
+  const phone = normalizePhone(number);
+
+  if (!text.trim() || !phone) return null;
+
+  return {
+    id: data.key.id,
+    number,
+    phone,
+    name: data.pushName || null,
+    text: text.trim()
+  };
+};
+
+module.exports = { parseIncomingMessage };
\ No newline at end of file
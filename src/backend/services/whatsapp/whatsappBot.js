@@ -0,0 +1,556 @@
+const ProductModel = require('../../models/productModel');
+const CategoryModel = require('../../models/categoryModel');
+const CustomerModel = require('../../models/customerModel');
+const ProductOptionModel = require('../../models/productOptionModel');
+const ComboModel = require('../../models/comboModel');
+const PromotionModel = require('../../models/promotionModel');
+const salesModel = require('../../models/salesModel');
+const DeliveryZoneController = require('../../controllers/deliveryZoneController');
+const { ORDER_TYPE } = require('../../models/orderType');
+const { EvolutionClient } = require('./evolutionClient');
+const { SessionStore } = require('./sessionStore');
+const { applyPromotions } = require('../../utils/pricing');
+const { normalizeCEP } = require('../../utils/delivery');
+const { loadFormatters } = require('../../utils/formatters');
+const { formatOrderNumber } = require('../../utils/orderNumber');
+const { toAppError } = require('../../utils/errors');
+
+// Etapas da conversa
+const STEPS = {
+  CATEGORY: 'category',
+  PRODUCT: 'product',
+  QUANTITY: 'quantity',
+  CART: 'cart',
+  ORDER_TYPE: 'order_type',
+  SAVED_ADDRESS: 'saved_address',
+  ZIP_CODE: 'zip_code',
+  STREET: 'street',
+  NEIGHBORHOOD: 'neighborhood',
+  CITY: 'city',
+  PAYMENT: 'payment',
+  CONFIRM: 'confirm'
+};
+
+// Formas de pagamento oferecidas no WhatsApp
+const PAYMENT_METHODS = [
+  { value: 'pix', label: 'Pix' },
+  { value: 'card', label: 'Cartão (na entrega/retirada)' },
+  { value: 'cash', label: 'Dinheiro' }
+];
+
+// Quantidade máxima de um produto por mensagem
+const MAX_QUANTITY = 20;
+
+// Palavras que encerram a conversa a qualquer momento
+const CANCEL_WORDS = ['cancelar', 'sair'];
+
+// Cidade usada nos endereços; sem ela, o bot pergunta ao cliente
+const STORE_CITY = process.env.STORE_CITY || null;
+
+// Lê a opção numérica escolhida pelo cliente (1, 2, 3...)
+const parseOption = (text) => {
+  const match = String(text).trim().match(/^(\d{1,3})\b/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Monta uma lista numerada
+const numbered = (lines) => lines.map((line, index) => `${index + 1} - ${line}`).join('\n');
+
+/**
+ * Bot de pedidos pelo WhatsApp: cardápio por categoria, carrinho, endereço,
+ * pagamento e criação do pedido. As mensagens chegam pelo webhook da
+ * Evolution API e as respostas saem pelo WhatsAppClient informado.
+ */
+class WhatsAppBot {
+  /**
+   * @param {Object} deps - Dependências (client, sessions e modelos); os padrões usam a Evolution API
+   */
+  constructor({
+    client = new EvolutionClient(),
+    sessions = new SessionStore(),
+    productModel = new ProductModel(),
+    categoryModel = new CategoryModel(),
+    customerModel = new CustomerModel(),
+    productOptionModel = new ProductOptionModel(),
+    comboModel = new ComboModel(),
+    promotionModel = new PromotionModel(),
+    sales = salesModel,
+    deliveryZoneController = new DeliveryZoneController()
+  } = {}) {
+    this.client = client;
+    this.sessions = sessions;
+    this.productModel = productModel;
+    this.categoryModel = categoryModel;
+    this.customerModel = customerModel;
+    this.productOptionModel = productOptionModel;
+    this.comboModel = comboModel;
+    this.promotionModel = promotionModel;
+    this.salesModel = sales;
+    this.deliveryZoneController = deliveryZoneController;
+    this.queues = new Map();
+  }
+
+  /**
+   * Processa uma mensagem recebida e envia a resposta. Mensagens do mesmo
+   * cliente são tratadas na ordem em que chegaram.
+   * @param {Object} message - Mensagem de parseIncomingMessage (id, number, phone, name, text)
+   * @returns {Promise<string>} Resposta enviada
+   */
+  async handleMessage(message) {
+    const previous = this.queues.get(message.phone) || Promise.resolve();
+    const current = previous
+      .catch(() => {})
+      .then(async () => {
+        const reply = await this.reply(message);
+        await this.client.sendText(message.number, reply);
+        return reply;
+      });
+
+    this.queues.set(message.phone, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.queues.get(message.phone) === current) {
+        this.queues.delete(message.phone);
+      }
+    }
+  }
+
+  /**
+   * Calcula a resposta de uma mensagem e avança a conversa
+   * @param {Object} message - Mensagem recebida
+   * @returns {Promise<string>} Resposta
+   */
+  async reply(message) {
+    const text = message.text.trim();
+    const session = this.sessions.get(message.phone);
+
+    if (CANCEL_WORDS.includes(text.toLowerCase())) {
+      this.sessions.delete(message.phone);
+      return 'Pedido cancelado. Quando quiser, é só mandar uma mensagem para começar de novo.';
+    }
+
+    if (!session || text.toLowerCase() === 'menu') {
+      const fresh = { step: STEPS.CATEGORY, cart: session ? session.cart : [] };
+      const greeting = message.name ? `Olá, ${message.name}! ` : 'Olá! ';
+      return greeting + await this.showCategories(message.phone, fresh);
+    }
+
+    try {
+      return await this.handleStep(message, session, text);
+    } catch (error) {
+      const appError = toAppError(error);
+
+      if (appError.status >= 500) {
+        console.error('Erro no bot do WhatsApp:', error);
+        return 'Desculpe, tivemos um problema para processar sua mensagem. Tente novamente em instantes.';
+      }
+
+      return appError.message;
+    }
+  }
+
+  /**
+   * Trata a resposta do cliente conforme a etapa da conversa
+   * @param {Object} message - Mensagem recebida
+   * @param {Object} session - Estado da conversa
+   * @param {string} text - Texto recebido
+   * @returns {Promise<string>} Resposta
+   */
+  async handleStep(message, session, text) {
+    const option = parseOption(text);
+
+    switch (session.step) {
+      case STEPS.CATEGORY:
+        return this.chooseCategory(message.phone, session, option);
+      case STEPS.PRODUCT:
+        return this.chooseProduct(message.phone, session, option);
+      case STEPS.QUANTITY:
+        return this.chooseQuantity(message.phone, session, option);
+      case STEPS.CART:
+        return this.chooseCartAction(message.phone, session, option);
+      case STEPS.ORDER_TYPE:
+        return this.chooseOrderType(message.phone, session, option);
+      case STEPS.SAVED_ADDRESS:
+        return this.chooseSavedAddress(message.phone, session, option);
+      case STEPS.ZIP_CODE:
+        return this.readZipCode(message.phone, session, text);
+      case STEPS.STREET:
+        return this.readStreet(message.phone, session, text);
+      case STEPS.NEIGHBORHOOD:
+        return this.readNeighborhood(message.phone, session, text);
+      case STEPS.CITY:
+        return this.quoteAddress(message.phone, { ...session, address: { ...session.address, city: text } });
+      case STEPS.PAYMENT:
+        return this.choosePayment(message.phone, session, option);
+      case STEPS.CONFIRM:
+        return this.confirmOrder(message, session, option);
+      default:
+        return this.showCategories(message.phone, { step: STEPS.CATEGORY, cart: [] });
+    }
+  }
+
+  // Grava a etapa e devolve a resposta
+  advance(phone, session, step, reply) {
+    this.sessions.set(phone, { ...session, step });
+    return reply;
+  }
+
+  // Lista as categorias com produtos
+  async showCategories(phone, session) {
+    const categories = (await this.categoryModel.getAllCategories())
+      .filter(category => category.product_count > 0)
+      .map(category => ({ id: category.id, name: category.name }));
+
+    const cartHint = session.cart.length > 0 ? '\n\nDigite 0 para ver o carrinho.' : '';
+
+    return this.advance(phone, { ...session, categories }, STEPS.CATEGORY,
+      `Escolha uma categoria do cardápio:\n${numbered(categories.map(category => category.name))}` +
+      `${cartHint}\n\nA qualquer momento, digite "cancelar" para desistir.`);
+  }
+
+  // Etapa: categoria escolhida (0 mostra o carrinho)
+  async chooseCategory(phone, session, option) {
+    if (option === 0 && session.cart.length > 0) {
+      return this.showCart(phone, session);
+    }
+
+    const category = option ? session.categories[option - 1] : null;
+    if (!category) {
+      return `Opção inválida. Responda com o número da categoria (1 a ${session.categories.length}).`;
+    }
+
+    const { data } = await this.productModel.getAllProducts({
+      categoryId: category.id,
+      limit: 50,
+      sortBy: 'name',
+      order: 'asc'
+    });
+
+    const products = await this.orderableProducts(data.filter(product => product.available));
+
+    if (products.length === 0) {
+      return 'Não há produtos disponíveis nesta categoria agora. Escolha outra categoria.';
+    }
+
+    const { formatCurrency } = await loadFormatters();
+
+    return this.advance(phone, { ...session, products }, STEPS.PRODUCT,
+      `*${category.name}*\n` +
+      `${numbered(products.map(product => `${product.name} - ${formatCurrency(product.price)}`))}\n\n` +
+      'Responda com o número do produto ou 0 para voltar às categorias.');
+  }
+
+  /**
+   * Produtos que podem ser pedidos pelo bot, com o preço das promoções vigentes.
+   * Combos e produtos com opções obrigatórias ficam de fora, porque a conversa
+   * não coleta componentes nem opções e a venda seria recusada na confirmação.
+   * @param {Array} products - Produtos disponíveis
+   * @returns {Promise<Array<{id: string, name: string, price: number}>>} Produtos e preços
+   */
+  async orderableProducts(products) {
+    const productIds = products.map(product => product.id);
+    const now = new Date();
+
+    if (productIds.length === 0) return [];
+
+    const [groups, slots, promotions] = await Promise.all([
+      this.productOptionModel.getOptionGroups(productIds),
+      this.comboModel.getComboSlots(productIds),
+      this.promotionModel.getCurrentPromotions(productIds, now)
+    ]);
+
+    const excluded = new Set([
+      ...groups.filter(group => group.required || group.min_select > 0).map(group => group.product_id),
+      ...slots.map(slot => slot.combo_id)
+    ]);
+
+    return products
+      .filter(product => !excluded.has(product.id))
+      .map(product => ({
+        id: product.id,
+        name: product.name,
+        price: applyPromotions(product, promotions, now).effectivePrice
+      }));
+  }
+
+  // Etapa: produto escolhido (0 volta às categorias)
+  async chooseProduct(phone, session, option) {
+    if (option === 0) {
+      return this.showCategories(phone, session);
+    }
+
+    const product = option ? session.products[option - 1] : null;
+    if (!product) {
+      return `Opção inválida. Responda com o número do produto (1 a ${session.products.length}).`;
+    }
+
+    return this.advance(phone, { ...session, pendingProduct: product }, STEPS.QUANTITY,
+      `Quantas unidades de *${product.name}*? (1 a ${MAX_QUANTITY})`);
+  }
+
+  // Etapa: quantidade do produto escolhido
+  async chooseQuantity(phone, session, option) {
+    if (!option || option > MAX_QUANTITY) {
+      return `Informe uma quantidade de 1 a ${MAX_QUANTITY}.`;
+    }
+
+    const product = session.pendingProduct;
+    const existing = session.cart.find(item => item.product_id === product.id);
+    const cart = existing
+      ? session.cart.map(item => (item === existing ? { ...item, quantity: item.quantity + option } : item))
+      : [...session.cart, { product_id: product.id, name: product.name, price: product.price, quantity: option }];
+
+    return this.showCart(phone, { ...session, cart, pendingProduct: null },
+      `${option}x ${product.name} adicionado ao carrinho.`);
+  }
+
+  // Mostra o carrinho e as próximas ações
+  async showCart(phone, session, header = null) {
+    const { formatCurrency } = await loadFormatters();
+    const subtotal = session.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    const lines = session.cart.map(item => `${item.quantity}x ${item.name} - ${formatCurrency(item.price * item.quantity)}`);
+
+    return this.advance(phone, session, STEPS.CART,
+      `${header ? `${header}\n\n` : ''}*Seu carrinho*\n${lines.join('\n')}\n` +
+      `Subtotal: ${formatCurrency(subtotal)}\n\n` +
+      `${numbered(['Continuar comprando', 'Finalizar pedido', 'Esvaziar carrinho'])}`);
+  }
+
+  // Etapa: continuar comprando, finalizar ou esvaziar o carrinho
+  async chooseCartAction(phone, session, option) {
+    switch (option) {
+      case 1:
+        return this.showCategories(phone, session);
+      case 2:
+        return this.advance(phone, session, STEPS.ORDER_TYPE,
+          `Como você quer receber o pedido?\n${numbered(['Entrega (delivery)', 'Retirada no balcão'])}`);
+      case 3:
+        return this.showCategories(phone, { ...session, cart: [] });
+      default:
+        return 'Opção inválida. Responda com 1, 2 ou 3.';
+    }
+  }
+
+  // Etapa: entrega ou retirada
+  async chooseOrderType(phone, session, option) {
+    if (option === 2) {
+      return this.showPayment(phone, {
+        ...session,
+        orderType: ORDER_TYPE.PICKUP,
+        address: null,
+        delivery: null
+      });
+    }
+
+    if (option !== 1) {
+      return 'Opção inválida. Responda com 1 para entrega ou 2 para retirada.';
+    }
+
+    const customer = await this.customerModel.getCustomerByPhone(phone);
+    const savedAddresses = customer && Array.isArray(customer.addresses) ? customer.addresses : [];
+    const next = { ...session, orderType: ORDER_TYPE.DELIVERY, savedAddresses };
+
+    if (savedAddresses.length === 0) {
+      return this.advance(phone, { ...next, address: {} }, STEPS.ZIP_CODE,
+        'Qual é o CEP do endereço de entrega?');
+    }
+
+    const labels = savedAddresses.map(address => `${address.street}, ${address.number} - ${address.neighborhood}`);
+
+    return this.advance(phone, next, STEPS.SAVED_ADDRESS,
+      `Onde entregamos?\n${numbered([...labels, 'Outro endereço'])}`);
+  }
+
+  // Etapa: endereço salvo do cliente ou um novo
+  async chooseSavedAddress(phone, session, option) {
+    if (option === session.savedAddresses.length + 1) {
+      return this.advance(phone, { ...session, address: {} }, STEPS.ZIP_CODE,
+        'Qual é o CEP do endereço de entrega?');
+    }
+
+    const address = option ? session.savedAddresses[option - 1] : null;
+    if (!address) {
+      return `Opção inválida. Responda com um número de 1 a ${session.savedAddresses.length + 1}.`;
+    }
+
+    return this.quoteAddress(phone, { ...session, address: { ...address }, newAddress: false });
+  }
+
+  // Etapa: CEP do novo endereço
+  async readZipCode(phone, session, text) {
+    const zipCode = normalizeCEP(text);
+
+    if (!zipCode) {
+      return 'CEP inválido. Informe os 8 dígitos do CEP (ex.: 01310-100).';
+    }
+
+    return this.advance(phone, { ...session, address: { zip_code: zipCode } }, STEPS.STREET,
+      'Informe a rua e o número, separados por vírgula (ex.: Rua das Flores, 120, apto 12).');
+  }
+
+  // Etapa: rua, número e complemento
+  async readStreet(phone, session, text) {
+    const [street, number, ...complement] = text.split(',').map(part => part.trim());
+
+    if (!street || !number) {
+      return 'Não entendi. Envie a rua e o número separados por vírgula (ex.: Rua das Flores, 120).';
+    }
+
+    const address = {
+      ...session.address,
+      street,
+      number,
+      complement: complement.length > 0 ? complement.join(', ') : null
+    };
+
+    return this.advance(phone, { ...session, address }, STEPS.NEIGHBORHOOD, 'Qual é o bairro?');
+  }
+
+  // Etapa: bairro (a cidade vem de STORE_CITY ou é perguntada)
+  async readNeighborhood(phone, session, text) {
+    const address = { ...session.address, neighborhood: text };
+
+    if (!STORE_CITY) {
+      return this.advance(phone, { ...session, address }, STEPS.CITY, 'Qual é a cidade?');
+    }
+
+    return this.quoteAddress(phone, { ...session, address: { ...address, city: STORE_CITY } });
+  }
+
+  // Confere se o endereço é atendido e informa taxa e tempo de entrega
+  async quoteAddress(phone, session) {
+    let quote;
+
+    try {
+      quote = await this.deliveryZoneController.quoteDelivery(session.address);
+    } catch (error) {
+      const appError = toAppError(error);
+      if (appError.status >= 500) throw error;
+
+      return this.advance(phone, { ...session, address: {} }, STEPS.ZIP_CODE,
+        `${appError.message}. Informe outro CEP ou digite "cancelar".`);
+    }
+
+    const { formatCurrency } = await loadFormatters();
+
+    return this.showPayment(phone, {
+      ...session,
+      address: quote.address,
+      newAddress: session.newAddress !== false,
+      delivery: { fee: quote.fee, estimatedMinutes: quote.estimatedMinutes }
+    }, `Entregamos em ${quote.zone.name}: taxa de ${formatCurrency(quote.fee)}, ` +
+      `em cerca de ${quote.estimatedMinutes} minutos.`);
+  }
+
+  // Pergunta a forma de pagamento
+  async showPayment(phone, session, header = null) {
+    return this.advance(phone, session, STEPS.PAYMENT,
+      `${header ? `${header}\n\n` : ''}Qual a forma de pagamento?\n` +
+      `${numbered(PAYMENT_METHODS.map(method => method.label))}`);
+  }
+
+  // Etapa: forma de pagamento; mostra o resumo para confirmação
+  async choosePayment(phone, session, option) {
+    const method = option ? PAYMENT_METHODS[option - 1] : null;
+
+    if (!method) {
+      return `Opção inválida. Responda com um número de 1 a ${PAYMENT_METHODS.length}.`;
+    }
+
+    // Preços atualizados, caso uma promoção tenha começado ou terminado durante a conversa
+    const products = await this.productModel.getProductsByIds(session.cart.map(item => item.product_id));
+    const prices = new Map((await this.orderableProducts(products)).map(product => [product.id, product.price]));
+    const cart = session.cart.map(item => (
+      prices.has(item.product_id) ? { ...item, price: prices.get(item.product_id) } : item
+    ));
+
+    const { formatCurrency } = await loadFormatters();
+    const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const fee = session.delivery ? session.delivery.fee : 0;
+
+    const destination = session.orderType === ORDER_TYPE.DELIVERY
+      ? `Entrega em: ${session.address.street}, ${session.address.number} - ${session.address.neighborhood}`
+      : 'Retirada no balcão';
+
+    return this.advance(phone, { ...session, cart, paymentMethod: method.value }, STEPS.CONFIRM,
+      '*Resumo do pedido*\n' +
+      `${cart.map(item => `${item.quantity}x ${item.name}`).join('\n')}\n` +
+      `${destination}\n` +
+      `Pagamento: ${method.label}\n` +
+      `Total estimado: ${formatCurrency(subtotal + fee)}\n\n` +
+      `${numbered(['Confirmar pedido', 'Cancelar'])}`);
+  }
+
+  // Etapa: confirmação; cria o pedido
+  async confirmOrder(message, session, option) {
+    if (option === 2) {
+      this.sessions.delete(message.phone);
+      return 'Pedido cancelado. Quando quiser, é só mandar uma mensagem para começar de novo.';
+    }
+
+    if (option !== 1) {
+      return 'Responda com 1 para confirmar ou 2 para cancelar.';
+    }
+
+    const customer = await this.findOrCreateCustomer(message, session);
+
+    const sale = await this.salesModel.createSale(
+      {
+        customer_id: customer.id,
+        payment_method: session.paymentMethod,
+        order_type: session.orderType,
+        notes: 'Pedido via WhatsApp'
+      },
+      session.cart.map(item => ({ product_id: item.product_id, quantity: item.quantity })),
+      {
+        // Reenvios do mesmo webhook não duplicam o pedido
+        idempotencyKey: `whatsapp:${message.id}`,
+        deliveryAddress: session.orderType === ORDER_TYPE.DELIVERY ? session.address : null
+      }
+    );
+
+    this.sessions.delete(message.phone);
+
+    const { formatCurrency } = await loadFormatters();
+    const eta = sale.estimated_delivery_minutes
+      ? `\nPrevisão de entrega: cerca de ${sale.estimated_delivery_minutes} minutos.`
+      : '';
+
+    return `Pedido confirmado! Número: *${formatOrderNumber(sale.id)}*\n` +
+      `Total: ${formatCurrency(sale.total)}${eta}\n\nObrigado pela preferência!`;
+  }
+
+  /**
+   * Busca o cliente pelo telefone ou o cadastra, guardando o novo endereço
+   * @param {Object} message - Mensagem recebida (phone e name)
+   * @param {Object} session - Estado da conversa
+   * @returns {Promise<Object>} Cliente
+   */
+  async findOrCreateCustomer(message, session) {
+    const existing = await this.customerModel.getCustomerByPhone(message.phone);
+    const newAddresses = session.orderType === ORDER_TYPE.DELIVERY && session.newAddress
+      ? [{ ...session.address, zip_code: normalizeCEP(session.address.zip_code) }]
+      : [];
+
+    if (!existing) {
+      return this.customerModel.createCustomer({
+        name: (message.name || 'Cliente WhatsApp').slice(0, 100),
+        phone: message.phone,
+        addresses: newAddresses
+      });
+    }
+
+    if (newAddresses.length > 0) {
+      return this.customerModel.updateCustomer(existing.id, {
+        addresses: [...(existing.addresses || []), ...newAddresses]
+      });
+    }
+
+    return existing;
+  }
+}
+
+module.exports = { WhatsAppBot, STEPS, PAYMENT_METHODS };
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Cálculos de custo da mercadoria vendida (CMV) e margem bruta.
+ *
+ * CMV % = custo / preço; margem % = 1 - CMV %. As metas padrão podem ser
+ * ajustadas pelas variáveis de ambiente e sobrescritas em cada consulta.
+ */
+const { ValidationError } = require('./errors');
+const { roundCurrency } = require('./currency');
+
+const TARGET_MARGIN_PERCENT = parseFloat(process.env.TARGET_MARGIN_PERCENT) || 65;
+const TARGET_CMV_PERCENT = parseFloat(process.env.TARGET_CMV_PERCENT) || 30;
+
+// Percentual com uma casa decimal; nulo quando não há base
+const percentOf = (value, base) => (base > 0 ? Math.round((value / base) * 1000) / 10 : null);
+
+/**
+ * Resume faturamento, custo e margem de um produto, venda ou período
+ * @param {number} revenue - Faturamento (ou preço de venda)
+ * @param {number} cost - Custo da mercadoria vendida
+ * @returns {{revenue: number, cost: number, margin: number, marginPercent: number|null, cmvPercent: number|null}}
+ */
+const summarizeCost = (revenue, cost) => ({
+  revenue: roundCurrency(revenue),
+  cost: roundCurrency(cost),
+  margin: roundCurrency(revenue - cost),
+  marginPercent: percentOf(revenue - cost, revenue),
+  cmvPercent: percentOf(cost, revenue)
+});
+
+/**
+ * Preço que atinge o CMV desejado, arredondado para cima em centavos
+ * @param {number} cost - Custo unitário
+ * @param {number} targetCmvPercent - CMV desejado (ex.: 30)
+ * @returns {number|null} Preço sugerido; nulo sem custo cadastrado
+ */
+const suggestPrice = (cost, targetCmvPercent = TARGET_CMV_PERCENT) => (
+  cost > 0 ? Math.ceil((cost / (targetCmvPercent / 100)) * 100) / 100 : null
+);
+
+/**
+ * Lê e valida as metas informadas na consulta
+ * @param {Object} query - targetMargin e targetCmv (percentuais)
+ * @returns {{targetMargin: number, targetCmv: number}} Metas a aplicar
+ * @throws {ValidationError} Percentual fora do intervalo (0, 100)
+ */
+const resolveTargets = ({ targetMargin, targetCmv } = {}) => {
+  const parse = (field, label, raw, fallback) => {
+    if (raw === undefined || raw === null || raw === '') return fallback;
+
+    const value = parseFloat(raw);
+    if (isNaN(value) || value <= 0 || value >= 100) {
+      const message = `O campo ${label} deve ser um percentual entre 0 e 100`;
+      throw new ValidationError(message, [{ field, message }]);
+    }
+
+    return value;
+  };
+
+  return {
+    targetMargin: parse('targetMargin', 'margem desejada', targetMargin, TARGET_MARGIN_PERCENT),
+    targetCmv: parse('targetCmv', 'CMV desejado', targetCmv, TARGET_CMV_PERCENT)
+  };
+};
+
+module.exports = {
+  TARGET_MARGIN_PERCENT,
+  TARGET_CMV_PERCENT,
+  summarizeCost,
+  suggestPrice,
+  resolveTargets
+};
\ No newline at end of file
@@ -0,0 +1,8 @@
+/**
+ * Arredonda um valor monetário para centavos
+ * @param {number|string} value - Valor (aceita strings numéricas do banco)
+ * @returns {number} Valor com duas casas decimais
+ */
+const roundCurrency = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+module.exports = { roundCurrency };
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Utilitários de intervalos de datas no fuso horário do restaurante.
+ *
+ * Os intervalos são sempre semiabertos: [from, to).
+ */
+const { ValidationError } = require('./errors');
+
+const TIMEZONE = process.env.RESTAURANT_TIMEZONE || 'America/Sao_Paulo';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  weekday: 'short'
+});
+
+const dateTimeFormatter = new Intl.DateTimeFormat('pt-BR', {
+  timeZone: TIMEZONE,
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Decompõe uma data nos componentes do fuso horário do restaurante
+ * @param {Date|string} date - Data a ser decomposta
+ * @returns {Object} year, month, day, hour, minute, second e weekday (0 = domingo)
+ */
+const getZonedParts = (date) => {
+  const parts = partsFormatter.formatToParts(new Date(date)).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Formata data e hora (DD/MM/YYYY HH:MM) no fuso do restaurante, independente do fuso do servidor
+ * @param {Date|string} date - Data a ser formatada
+ * @returns {string} Data e hora formatada
+ */
+const formatZonedDateTime = (date) => {
+  if (!date) return '';
+
+  return dateTimeFormatter.format(new Date(date));
+};
+
+/**
+ * Converte uma data/hora local do restaurante para o instante UTC correspondente
+ * @param {number} year - Ano
+ * @param {number} month - Mês (1-12)
+ * @param {number} day - Dia
+ * @param {number} hour - Hora
+ * @param {number} minute - Minuto
+ * @returns {Date} Instante correspondente
+ */
+const zonedTimeToUtc = (year, month, day, hour = 0, minute = 0) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const parts = getZonedParts(new Date(asUtc));
+  const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - asUtc;
+
+  return new Date(asUtc - offset);
+};
+
+/**
+ * Retorna o início do dia (00:00 no fuso do restaurante) de uma data
+ * @param {Date|string} date - Data qualquer ou string YYYY-MM-DD
+ * @returns {Date} Início do dia
+ */
+const startOfZonedDay = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    const [year, month, day] = date.split('-').map(Number);
+    return zonedTimeToUtc(year, month, day);
+  }
+
+  const parts = getZonedParts(date);
+  return zonedTimeToUtc(parts.year, parts.month, parts.day);
+};
+
+/**
+ * Soma dias de calendário a uma data, preservando o horário local
+ * @param {Date} date - Data base
+ * @param {number} days - Quantidade de dias (pode ser negativa)
+ * @returns {Date} Nova data
+ */
+const addZonedDays = (date, days) => {
+  const parts = getZonedParts(date);
+  return zonedTimeToUtc(parts.year, parts.month, parts.day + days, parts.hour, parts.minute);
+};
+
+/**
+ * Converte um par from/to recebido na API em um intervalo [from, to).
+ * Datas no formato YYYY-MM-DD representam dias inteiros e "to" é inclusivo.
+ * @param {string} from - Data ou data/hora inicial
+ * @param {string} to - Data ou data/hora final
+ * @returns {{from: Date, to: Date}} Intervalo resolvido
+ * @throws {ValidationError} Datas inválidas ou fora de ordem
+ */
+const resolveDateRange = (from, to) => {
+  const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  const start = isDateOnly(from) ? startOfZonedDay(from) : new Date(from);
+  const end = isDateOnly(to) ? addZonedDays(startOfZonedDay(to), 1) : new Date(to);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    throw new ValidationError('Datas inválidas. Use o formato YYYY-MM-DD ou ISO 8601');
+  }
+
+  if (start >= end) {
+    throw new ValidationError('Data inicial deve ser anterior à data final');
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Converte um período nomeado em intervalo, terminando no fim do dia atual
+ * @param {string} period - day, week (7 dias), month (30 dias) ou year (365 dias)
+ * @param {Date} now - Data de referência
+ * @returns {{from: Date, to: Date}} Intervalo resolvido
+ */
+const resolvePeriodRange = (period, now = new Date()) => {
+  const days = { day: 1, week: 7, month: 30, year: 365 }[period] || 1;
+  const to = addZonedDays(startOfZonedDay(now), 1);
+
+  return { from: addZonedDays(to, -days), to };
+};
+
+/**
+ * Retorna o período anterior de mesma duração
+ * @param {{from: Date, to: Date}} range - Intervalo atual
+ * @returns {{from: Date, to: Date}} Intervalo anterior
+ */
+const previousRange = ({ from, to }) => {
+  const length = to.getTime() - from.getTime();
+
+  // Intervalos de dias inteiros recuam em dias de calendário
+  if (length % DAY_MS === 0) {
+    return { from: addZonedDays(from, -(length / DAY_MS)), to: from };
+  }
+
+  return { from: new Date(from.getTime() - length), to: from };
+};
+
+module.exports = {
+  TIMEZONE,
+  getZonedParts,
+  formatZonedDateTime,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  addZonedDays,
+  resolveDateRange,
+  resolvePeriodRange,
+  previousRange
+};
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Cobertura das áreas de entrega.
+ *
+ * Uma área cobre prefixos de CEP (ex.: "01310", "0131") e/ou bairros. O
+ * prefixo mais longo que casar com o CEP vence; sem prefixo compatível, vale
+ * a área que lista o bairro do endereço.
+ */
+const { ValidationError } = require('./errors');
+
+/**
+ * Normaliza um CEP para 8 dígitos
+ * @param {string} cep - CEP em qualquer formato (ex.: "01310-100")
+ * @returns {string|null} CEP com 8 dígitos; nulo se inválido
+ */
+const normalizeCEP = (cep) => {
+  if (typeof cep !== 'string' && typeof cep !== 'number') return null;
+
+  const digits = String(cep).replace(/\D/g, '');
+  return digits.length === 8 ? digits : null;
+};
+
+/**
+ * Normaliza o nome de um bairro para comparação (sem acentos, caixa ou espaços extras)
+ * @param {string} name - Nome do bairro
+ * @returns {string} Nome normalizado
+ */
+const normalizeNeighborhood = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Encontra a área de entrega que cobre um endereço
+ * @param {Array} zones - Áreas ativas (cep_prefixes, neighborhoods)
+ * @param {{zip_code: string, neighborhood: string}} address - Endereço de entrega
+ * @returns {Object|null} Área encontrada; nulo se o endereço estiver fora da cobertura
+ */
+const findDeliveryZone = (zones, address) => {
+  const cep = normalizeCEP(address.zip_code) || '';
+  const neighborhood = normalizeNeighborhood(address.neighborhood);
+
+  let best = null;
+  let bestLength = 0;
+
+  zones.forEach(zone => {
+    (zone.cep_prefixes || []).forEach(prefix => {
+      if (cep && cep.startsWith(prefix) && prefix.length > bestLength) {
+        best = zone;
+        bestLength = prefix.length;
+      }
+    });
+  });
+
+  if (best || !neighborhood) return best;
+
+  return zones.find(zone => (zone.neighborhoods || [])
+    .some(name => normalizeNeighborhood(name) === neighborhood)) || null;
+};
+
+/**
+ * Encontra a área de entrega do endereço e confere o pedido mínimo
+ * @param {Array} zones - Áreas ativas
+ * @param {Object} address - Endereço de entrega
+ * @param {number|null} subtotal - Valor dos produtos; nulo para apenas consultar a área
+ * @returns {Object} Área que atende o endereço
+ * @throws {ValidationError} Endereço fora da cobertura ou pedido abaixo do mínimo
+ */
+const resolveDeliveryZone = (zones, address, subtotal = null) => {
+  const zone = findDeliveryZone(zones, address);
+
+  if (!zone) {
+    const message = 'O endereço informado está fora da área de entrega';
+    throw new ValidationError(message, [{ field: 'delivery_address', message }]);
+  }
+
+  const minOrderValue = parseFloat(zone.min_order_value) || 0;
+  if (subtotal !== null && subtotal < minOrderValue) {
+    const message = `O pedido mínimo para entrega em ${zone.name} é de R$ ${minOrderValue.toFixed(2)}`;
+    throw new ValidationError(message, [{ field: 'items', message }]);
+  }
+
+  return zone;
+};
+
+module.exports = { normalizeCEP, normalizeNeighborhood, findDeliveryZone, resolveDeliveryZone };
\ No newline at end of file
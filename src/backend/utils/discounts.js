@@ -0,0 +1,191 @@
+/**
+ * Motor de descontos por cupom.
+ *
+ * Cada cupom é conferido (vigência, pedido mínimo, limites de uso e política
+ * de acúmulo) e o desconto é calculado sobre os itens elegíveis: todos os
+ * itens do pedido ou apenas os produtos/categorias do escopo do cupom. O
+ * desconto total nunca ultrapassa o valor do pedido.
+ */
+const { ConflictError, ValidationError } = require('./errors');
+const { roundCurrency } = require('./currency');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_delivery', 'buy_x_get_y'];
+
+// Erro de validação associado ao campo coupons
+const invalidCoupon = (message) => new ValidationError(message, [{ field: 'coupons', message }]);
+
+/**
+ * Normaliza os códigos recebidos: sem espaços, em maiúsculas e sem repetições
+ * @param {Array<string>|string} codes - Código ou lista de códigos
+ * @returns {Array<string>} Códigos normalizados
+ */
+const normalizeCouponCodes = (codes) => {
+  const list = Array.isArray(codes) ? codes : [codes];
+
+  return [...new Set(list
+    .filter(code => typeof code === 'string' && code.trim())
+    .map(code => code.trim().toUpperCase()))];
+};
+
+/**
+ * Verifica se um item está no escopo do cupom
+ * @param {Object} coupon - Cupom com product_ids e category_ids opcionais
+ * @param {Object} item - Item com product_id e category_id
+ * @returns {boolean} Se o item é elegível
+ */
+const isEligible = (coupon, item) => {
+  const products = coupon.product_ids || [];
+  const categories = coupon.category_ids || [];
+
+  if (products.length === 0 && categories.length === 0) return true;
+
+  return products.includes(item.product_id) || categories.includes(item.category_id);
+};
+
+/**
+ * Confere se os cupons podem ser usados no pedido
+ * @param {Array} coupons - Cupons encontrados, na ordem dos códigos
+ * @param {Array<string>} codes - Códigos informados
+ * @param {Object} context - subtotal, customerId, now e usage (Map de cupom para {total, customer})
+ * @throws {ValidationError|ConflictError} Cupom inexistente, fora da vigência, esgotado ou sem cliente identificado
+ */
+const assertCouponsApplicable = (coupons, codes, { subtotal, customerId = null, now = new Date(), usage = new Map() }) => {
+  codes.forEach(code => {
+    if (!coupons.some(coupon => coupon.code.toUpperCase() === code)) {
+      throw invalidCoupon(`Cupom ${code} não encontrado`);
+    }
+  });
+
+  if (coupons.length > 1 && coupons.some(coupon => !coupon.stackable)) {
+    const exclusive = coupons.find(coupon => !coupon.stackable);
+    throw invalidCoupon(`O cupom ${exclusive.code} não pode ser combinado com outros cupons`);
+  }
+
+  coupons.forEach(coupon => {
+    if (!coupon.active || now < new Date(coupon.starts_at) ||
+        (coupon.ends_at && now >= new Date(coupon.ends_at))) {
+      throw invalidCoupon(`O cupom ${coupon.code} não está vigente`);
+    }
+
+    if (subtotal < parseFloat(coupon.min_order_value)) {
+      throw invalidCoupon(
+        `O cupom ${coupon.code} exige pedido mínimo de R$ ${parseFloat(coupon.min_order_value).toFixed(2)}`
+      );
+    }
+
+    const used = usage.get(coupon.id) || { total: 0, customer: 0 };
+
+    if (coupon.usage_limit && used.total >= coupon.usage_limit) {
+      throw new ConflictError(`O cupom ${coupon.code} atingiu o limite de usos`);
+    }
+
+    // O limite por cliente só pode ser conferido com o cliente identificado
+    if (coupon.usage_limit_per_customer && !customerId) {
+      throw invalidCoupon(`O cupom ${coupon.code} exige a identificação do cliente`);
+    }
+
+    if (coupon.usage_limit_per_customer && used.customer >= coupon.usage_limit_per_customer) {
+      throw new ConflictError(`O cupom ${coupon.code} já foi usado o máximo de vezes por este cliente`);
+    }
+  });
+};
+
+/**
+ * Desconto do "leve X, pague Y": a cada buy + get unidades elegíveis, as get
+ * unidades mais baratas saem de graça
+ * @param {Object} coupon - Cupom com buy_quantity e get_quantity
+ * @param {Array} items - Itens elegíveis
+ * @returns {number} Valor do desconto
+ */
+const buyXGetYDiscount = (coupon, items) => {
+  const units = items.reduce((sum, item) => sum + item.quantity, 0);
+  const groups = Math.floor(units / (coupon.buy_quantity + coupon.get_quantity));
+
+  // Consome as quantidades dos itens mais baratos, sem expandir unidade por unidade
+  let free = groups * coupon.get_quantity;
+
+  return items
+    .map(item => ({ price: parseFloat(item.price), quantity: item.quantity }))
+    .sort((a, b) => a.price - b.price)
+    .reduce((sum, item) => {
+      const taken = Math.min(free, item.quantity);
+      free -= taken;
+      return sum + taken * item.price;
+    }, 0);
+};
+
+/**
+ * Calcula o desconto de cada cupom
+ * @param {Array} coupons - Cupons já conferidos
+ * @param {Array} items - Itens precificados (product_id, category_id, quantity, price, subtotal)
+ * @param {Object} context - subtotal e deliveryFee do pedido
+ * @returns {Array<{coupon_id, code, type, description, amount}>} Descontos aplicados
+ * @throws {ValidationError} Cupom sem itens elegíveis ou sem taxa de entrega a isentar
+ */
+const calculateDiscounts = (coupons, items, { subtotal, deliveryFee = 0 }) => {
+  let remaining = subtotal;
+  let remainingDelivery = deliveryFee;
+
+  return coupons.map(coupon => {
+    const eligibleItems = items.filter(item => isEligible(coupon, item));
+    const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + parseFloat(item.subtotal), 0);
+    let amount = 0;
+    let description;
+
+    if (coupon.type !== 'free_delivery' && eligibleItems.length === 0) {
+      throw invalidCoupon(`O cupom ${coupon.code} não se aplica aos itens do pedido`);
+    }
+
+    switch (coupon.type) {
+      case 'percentage':
+        amount = eligibleSubtotal * parseFloat(coupon.value) / 100;
+        if (coupon.max_discount) amount = Math.min(amount, parseFloat(coupon.max_discount));
+        description = `${parseFloat(coupon.value)}% de desconto`;
+        break;
+      case 'fixed':
+        amount = Math.min(parseFloat(coupon.value), eligibleSubtotal);
+        description = `R$ ${parseFloat(coupon.value).toFixed(2)} de desconto`;
+        break;
+      case 'free_delivery':
+        if (remainingDelivery <= 0) {
+          throw invalidCoupon(`O cupom ${coupon.code} se aplica apenas a pedidos com taxa de entrega`);
+        }
+        amount = remainingDelivery;
+        remainingDelivery = 0;
+        description = 'Entrega grátis';
+        break;
+      case 'buy_x_get_y':
+        amount = buyXGetYDiscount(coupon, eligibleItems);
+        if (amount <= 0) {
+          throw invalidCoupon(
+            `O cupom ${coupon.code} exige ${coupon.buy_quantity + coupon.get_quantity} itens elegíveis`
+          );
+        }
+        description = `Leve ${coupon.buy_quantity + coupon.get_quantity}, pague ${coupon.buy_quantity}`;
+        break;
+      default:
+        throw invalidCoupon(`Tipo de cupom inválido: ${coupon.type}`);
+    }
+
+    // Descontos sobre os itens nunca ultrapassam o que resta do pedido
+    if (coupon.type !== 'free_delivery') {
+      amount = Math.min(amount, remaining);
+      remaining -= amount;
+    }
+
+    return {
+      coupon_id: coupon.id,
+      code: coupon.code,
+      type: coupon.type,
+      description,
+      amount: roundCurrency(amount)
+    };
+  });
+};
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCouponCodes,
+  assertCouponsApplicable,
+  calculateDiscounts
+};
\ No newline at end of file
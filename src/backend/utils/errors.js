@@ -0,0 +1,94 @@
+/**
+ * Erros tipados da API. O middleware errorHandler converte cada tipo no
+ * status HTTP correspondente.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Mensagem para o cliente
+   * @param {Object} options - status HTTP, code, details e cause
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Dados inválidos (422). details traz os erros por campo: [{ field, message }]
+ */
+class ValidationError extends AppError {
+  constructor(message, details = null) {
+    super(message, { status: 422, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Recurso não encontrado') {
+    super(message, { status: 404, code: 'NOT_FOUND' });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, details = null) {
+    super(message, { status: 409, code: 'CONFLICT', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Autenticação necessária') {
+    super(message, { status: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Acesso negado') {
+    super(message, { status: 403, code: 'FORBIDDEN' });
+  }
+}
+
+// Códigos de erro do PostgreSQL/PostgREST com tradução direta
+const DATABASE_ERRORS = {
+  PGRST116: (message) => new NotFoundError(message),
+  23505: (message) => new ConflictError(message),
+  23503: (message) => new ConflictError(message),
+  23514: (message) => new ValidationError(message),
+  '22P02': (message) => new ValidationError(message),
+  // raise exception em funções do banco: regra de negócio violada
+  P0001: (message) => new ConflictError(message)
+};
+
+/**
+ * Converte qualquer erro em AppError, preservando erros já tipados
+ * @param {Error} error - Erro original
+ * @param {string} context - Descrição da operação (ex.: "Erro ao buscar produto")
+ * @returns {AppError} Erro tipado
+ */
+const toAppError = (error, context) => {
+  if (error instanceof AppError) return error;
+
+  const message = context ? `${context}: ${error.message}` : error.message;
+  const fromDatabase = error && DATABASE_ERRORS[error.code];
+
+  if (fromDatabase) {
+    const typedError = fromDatabase(message);
+    typedError.cause = error;
+    return typedError;
+  }
+
+  return new AppError(message, { cause: error });
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  UnauthorizedError,
+  ForbiddenError,
+  toAppError
+};
\ No newline at end of file
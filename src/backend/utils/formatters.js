@@ -0,0 +1,21 @@
+/**
+ * Acesso aos formatadores de src/utils/formatters.js no servidor.
+ *
+ * O arquivo original é um módulo ES compartilhado com o frontend (Next.js),
+ * por isso é carregado com import dinâmico e mantido em cache.
+ */
+let formattersPromise = null;
+
+/**
+ * Carrega os formatadores brasileiros (formatCurrency, formatDateTime, formatCPF...)
+ * @returns {Promise<Object>} Módulo de formatadores
+ */
+const loadFormatters = () => {
+  if (!formattersPromise) {
+    formattersPromise = import('../../utils/formatters.js');
+  }
+
+  return formattersPromise;
+};
+
+module.exports = { loadFormatters };
\ No newline at end of file
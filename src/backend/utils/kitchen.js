@@ -0,0 +1,88 @@
+/**
+ * Regras da fila da cozinha (KDS).
+ *
+ * Cada item passa por pending → preparing → done. O tempo decorrido de um
+ * pedido conta a partir da criação, e o pedido fica atrasado quando passa do
+ * tempo de preparo desejado (KITCHEN_TARGET_PREP_MINUTES, ajustável por consulta).
+ */
+const { ValidationError } = require('./errors');
+
+const KITCHEN_TARGET_PREP_MINUTES = parseFloat(process.env.KITCHEN_TARGET_PREP_MINUTES) || 15;
+
+const ITEM_KITCHEN_STATUS = {
+  PENDING: 'pending',
+  PREPARING: 'preparing',
+  DONE: 'done'
+};
+
+const ITEM_KITCHEN_STATUSES = Object.values(ITEM_KITCHEN_STATUS);
+
+/**
+ * Próximo status de um item na cozinha
+ * @param {string} status - Status atual do item
+ * @returns {string|null} Próximo status; nulo se o item já estiver pronto
+ */
+const nextItemStatus = (status) => {
+  const index = ITEM_KITCHEN_STATUSES.indexOf(status);
+  return index >= 0 && index < ITEM_KITCHEN_STATUSES.length - 1 ? ITEM_KITCHEN_STATUSES[index + 1] : null;
+};
+
+/**
+ * Lê e valida o tempo de preparo desejado informado na consulta
+ * @param {*} value - Minutos informados
+ * @returns {number} Minutos a aplicar
+ * @throws {ValidationError} Valor inválido
+ */
+const resolveTargetMinutes = (value) => {
+  if (value === undefined || value === null || value === '') return KITCHEN_TARGET_PREP_MINUTES;
+
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 240) {
+    const message = 'O tempo de preparo desejado deve ser um número entre 1 e 240 minutos';
+    throw new ValidationError(message, [{ field: 'targetMinutes', message }]);
+  }
+
+  return minutes;
+};
+
+/**
+ * Monta o ticket de cozinha de um pedido
+ * @param {Object} sale - Venda com cliente e itens (opções e componentes)
+ * @param {Object} options - now (Date) e targetMinutes
+ * @returns {Object} Ticket com tempo decorrido e indicação de atraso
+ */
+const toKitchenTicket = (sale, { now = new Date(), targetMinutes = KITCHEN_TARGET_PREP_MINUTES } = {}) => {
+  const elapsedSeconds = Math.max(Math.round((now - new Date(sale.created_at)) / 1000), 0);
+
+  return {
+    id: sale.id,
+    status: sale.status,
+    order_type: sale.order_type,
+    customer: sale.customer ? sale.customer.name : null,
+    notes: sale.notes || null,
+    created_at: sale.created_at,
+    elapsedSeconds,
+    targetMinutes,
+    late: elapsedSeconds > targetMinutes * 60,
+    items: (sale.items || []).map(item => ({
+      id: item.id,
+      quantity: item.quantity,
+      name: item.product ? item.product.name : 'Produto removido',
+      options: (item.options || []).map(option => option.name),
+      components: (item.components || []).map(component => ({
+        name: component.name,
+        quantity: component.quantity
+      })),
+      kitchen_status: item.kitchen_status
+    }))
+  };
+};
+
+module.exports = {
+  KITCHEN_TARGET_PREP_MINUTES,
+  ITEM_KITCHEN_STATUS,
+  ITEM_KITCHEN_STATUSES,
+  nextItemStatus,
+  resolveTargetMinutes,
+  toKitchenTicket
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Regras do programa de fidelidade.
+ *
+ * O cliente ganha LOYALTY_POINTS_PER_REAL pontos por real gasto em vendas
+ * entregues, e cada ponto vale LOYALTY_POINT_VALUE reais de desconto no
+ * fechamento do pedido.
+ */
+const { roundCurrency } = require('./currency');
+
+const LOYALTY_POINTS_PER_REAL = parseFloat(process.env.LOYALTY_POINTS_PER_REAL) || 1;
+const LOYALTY_POINT_VALUE = parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.05;
+
+/**
+ * Valor em reais de uma quantidade de pontos
+ * @param {number} points - Pontos trocados
+ * @returns {number} Desconto correspondente
+ */
+const redemptionValue = (points) => roundCurrency(points * LOYALTY_POINT_VALUE);
+
+/**
+ * Maior quantidade de pontos que cabe em um valor, sem ultrapassá-lo
+ * @param {number} amount - Valor máximo do desconto
+ * @returns {number} Pontos inteiros
+ */
+const pointsForDiscount = (amount) => Math.max(Math.floor(amount / LOYALTY_POINT_VALUE + 1e-9), 0);
+
+module.exports = {
+  LOYALTY_POINTS_PER_REAL,
+  LOYALTY_POINT_VALUE,
+  redemptionValue,
+  pointsForDiscount
+};
\ No newline at end of file
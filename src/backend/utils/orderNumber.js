@@ -0,0 +1,8 @@
+/**
+ * Número curto do pedido, exibido ao cliente (8 primeiros caracteres do ID, em maiúsculas)
+ * @param {string} saleId - ID da venda
+ * @returns {string} Número do pedido (ex.: "3F2A9C1B")
+ */
+const formatOrderNumber = (saleId) => String(saleId).slice(0, 8).toUpperCase();
+
+module.exports = { formatOrderNumber };
\ No newline at end of file
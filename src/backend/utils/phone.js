@@ -0,0 +1,31 @@
+/**
+ * Normalização de telefones brasileiros.
+ *
+ * Os telefones são gravados apenas com dígitos (DDD + número), o formato que
+ * formatPhone em src/utils/formatters.js converte para exibição. O código do
+ * país (55) é descartado quando informado.
+ */
+
+/**
+ * Normaliza um telefone para DDD + número, apenas dígitos
+ * @param {string} phone - Telefone em qualquer formato (ex.: "+55 (11) 98765-4321")
+ * @returns {string|null} Telefone com 10 ou 11 dígitos; nulo se inválido
+ */
+const normalizePhone = (phone) => {
+  if (typeof phone !== 'string' && typeof phone !== 'number') return null;
+
+  let digits = String(phone).replace(/\D/g, '');
+
+  if (digits.length > 11 && digits.startsWith('55')) {
+    digits = digits.slice(2);
+  }
+
+  // Prefixo de operadora/longa distância (ex.: 0XX11...)
+  if (digits.length > 11 && digits.startsWith('0')) {
+    digits = digits.replace(/^0+/, '');
+  }
+
+  return /^[1-9]{2}\d{8,9}$/.test(digits) ? digits : null;
+};
+
+module.exports = { normalizePhone };
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Resolução do preço efetivo de um produto.
+ *
+ * O preço regular é o preço com desconto, quando definido, ou o preço normal.
+ * Promoções vigentes no momento da consulta podem reduzi-lo; havendo mais de
+ * uma, vale a de menor preço. Dias da semana e faixas de horário são
+ * avaliados no fuso horário do restaurante.
+ */
+const { getZonedParts } = require('./dateRange');
+const { roundCurrency } = require('./currency');
+
+/**
+ * Preço regular de um produto, sem promoções
+ * @param {Object} product - Produto com price e discountPrice
+ * @returns {number} Preço regular
+ */
+const regularPrice = (product) => roundCurrency(
+  product.discountPrice !== null && product.discountPrice !== undefined
+    ? product.discountPrice
+    : product.price
+);
+
+// Converte "HH:MM" ou "HH:MM:SS" em minutos desde a meia-noite
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Verifica se a promoção vale no instante informado. Uma faixa de horário que
+ * atravessa a meia-noite pertence ao dia da semana em que começou.
+ * @param {Object} promotion - Promoção (starts_at, ends_at, weekdays, start_time, end_time, active)
+ * @param {Date} at - Instante da consulta
+ * @returns {boolean} Se a promoção está vigente
+ */
+const isPromotionActive = (promotion, at = new Date()) => {
+  if (!promotion.active) return false;
+  if (at < new Date(promotion.starts_at) || at >= new Date(promotion.ends_at)) return false;
+
+  const { weekday, hour, minute } = getZonedParts(at);
+  const weekdays = promotion.weekdays && promotion.weekdays.length > 0 ? promotion.weekdays : null;
+
+  if (!promotion.start_time || !promotion.end_time) {
+    return !weekdays || weekdays.includes(weekday);
+  }
+
+  const now = hour * 60 + minute;
+  const start = toMinutes(promotion.start_time);
+  const end = toMinutes(promotion.end_time);
+
+  if (start <= end) {
+    return now >= start && now < end && (!weekdays || weekdays.includes(weekday));
+  }
+
+  // Faixa que atravessa a meia-noite (ex.: 18:00-02:00)
+  if (now >= start) return !weekdays || weekdays.includes(weekday);
+  if (now < end) return !weekdays || weekdays.includes((weekday + 6) % 7);
+
+  return false;
+};
+
+/**
+ * Preço de um produto durante a promoção
+ * @param {Object} promotion - Promoção com price ou discount_percent
+ * @param {number} basePrice - Preço regular do produto
+ * @returns {number} Preço promocional
+ */
+const promotionPrice = (promotion, basePrice) => (
+  promotion.price !== null && promotion.price !== undefined
+    ? roundCurrency(promotion.price)
+    : roundCurrency(basePrice * (1 - parseFloat(promotion.discount_percent) / 100))
+);
+
+/**
+ * Acrescenta ao produto o preço efetivo e a promoção aplicada
+ * @param {Object} product - Produto
+ * @param {Array} promotions - Promoções do produto (vigentes ou não)
+ * @param {Date} at - Instante da consulta
+ * @returns {Object} Produto com regularPrice, effectivePrice e promotion
+ */
+const applyPromotions = (product, promotions = [], at = new Date()) => {
+  const basePrice = regularPrice(product);
+
+  const best = promotions
+    .filter(promotion => promotion.product_id === product.id && isPromotionActive(promotion, at))
+    .map(promotion => ({ promotion, price: promotionPrice(promotion, basePrice) }))
+    .filter(candidate => candidate.price < basePrice)
+    .reduce((lowest, candidate) => (!lowest || candidate.price < lowest.price ? candidate : lowest), null);
+
+  return {
+    ...product,
+    regularPrice: basePrice,
+    effectivePrice: best ? best.price : basePrice,
+    promotion: best
+      ? { id: best.promotion.id, name: best.promotion.name, ends_at: best.promotion.ends_at }
+      : null
+  };
+};
+
+module.exports = {
+  regularPrice,
+  isPromotionActive,
+  promotionPrice,
+  applyPromotions
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+/**
+ * Gera um slug a partir de um texto (ex.: "Hambúrgueres Artesanais" → "hamburgueres-artesanais")
+ * @param {string} text - Texto de origem
+ * @returns {string} Slug
+ */
+const slugify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = { slugify };
\ No newline at end of file
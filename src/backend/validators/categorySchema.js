@@ -0,0 +1,36 @@
+const { validateSchema } = require('./schema');
+const { slugify } = require('../utils/slugify');
+
+// Campos de categoria que podem ser enviados pelo cliente
+const categorySchema = {
+  name: { type: 'string', label: 'nome', required: true, maxLength: 60 },
+  slug: { type: 'string', label: 'slug', maxLength: 60 },
+  icon: { type: 'string', label: 'ícone', nullable: true, maxLength: 60 },
+  display_order: { type: 'number', label: 'ordem de exibição', integer: true, min: 0 },
+  active: { type: 'boolean', label: 'ativa' }
+};
+
+/**
+ * Valida e filtra os dados de uma categoria. O slug é normalizado e, na
+ * criação, gerado a partir do nome quando não informado.
+ * @param {Object} data - Payload recebido
+ * @param {boolean} isUpdate - Se for atualização, os campos são opcionais
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateCategory = (data, isUpdate = false) => {
+  const { value, errors } = validateSchema(categorySchema, data, { partial: isUpdate });
+
+  if (value.slug !== undefined) {
+    value.slug = slugify(value.slug);
+  } else if (!isUpdate && value.name) {
+    value.slug = slugify(value.name);
+  }
+
+  if (value.slug === '') {
+    errors.push({ field: 'slug', message: 'O campo slug deve conter letras ou números' });
+  }
+
+  return { value, errors };
+};
+
+module.exports = { categorySchema, validateCategory };
\ No newline at end of file
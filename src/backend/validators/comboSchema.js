@@ -0,0 +1,62 @@
+const { validateSchema } = require('./schema');
+
+// Campos de uma etapa do combo (ex.: "Acompanhamento")
+const comboSlotSchema = {
+  name: { type: 'string', label: 'nome da etapa', required: true, maxLength: 60 },
+  quantity: { type: 'number', label: 'quantidade', integer: true, min: 1, max: 20 },
+  display_order: { type: 'number', label: 'ordem de exibição', integer: true, min: 0 }
+};
+
+// Produto permitido em uma etapa, com o acréscimo cobrado ao escolhê-lo
+const comboChoiceSchema = {
+  product_id: { type: 'string', label: 'produto', required: true, maxLength: 60 },
+  upcharge: { type: 'number', label: 'acréscimo', min: 0, max: 1000 },
+  display_order: { type: 'number', label: 'ordem de exibição', integer: true, min: 0 }
+};
+
+/**
+ * Valida a lista completa de etapas de um combo
+ * @param {Array} slots - Etapas recebidas, cada uma com a lista "products"
+ * @returns {{value: Array, errors: Array<{field: string, message: string}>}} Etapas filtradas e erros
+ */
+const validateComboSlots = (slots) => {
+  if (!Array.isArray(slots) || slots.length === 0) {
+    return { value: [], errors: [{ field: 'slots', message: 'Informe as etapas do combo' }] };
+  }
+
+  const errors = [];
+
+  const value = slots.map((slot, slotIndex) => {
+    const prefix = `slots[${slotIndex}]`;
+    const result = validateSchema(comboSlotSchema, slot || {});
+    errors.push(...result.errors.map(error => ({ ...error, field: `${prefix}.${error.field}` })));
+
+    const choices = Array.isArray(slot && slot.products) ? slot.products : [];
+
+    if (choices.length === 0) {
+      errors.push({ field: `${prefix}.products`, message: 'A etapa deve ter pelo menos um produto' });
+    }
+
+    const productIds = choices.map(choice => choice && choice.product_id);
+    if (new Set(productIds).size !== productIds.length) {
+      errors.push({ field: `${prefix}.products`, message: 'Um produto não pode se repetir na mesma etapa' });
+    }
+
+    return {
+      ...result.value,
+      quantity: result.value.quantity !== undefined ? result.value.quantity : 1,
+      products: choices.map((choice, choiceIndex) => {
+        const choiceResult = validateSchema(comboChoiceSchema, choice || {});
+        errors.push(...choiceResult.errors.map(error => ({
+          ...error,
+          field: `${prefix}.products[${choiceIndex}].${error.field}`
+        })));
+        return choiceResult.value;
+      })
+    };
+  });
+
+  return { value, errors };
+};
+
+module.exports = { comboSlotSchema, comboChoiceSchema, validateComboSlots };
\ No newline at end of file
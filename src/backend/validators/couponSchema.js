@@ -0,0 +1,97 @@
+const { validateSchema } = require('./schema');
+const { COUPON_TYPES } = require('../utils/discounts');
+
+// Campos de cupom que podem ser enviados pelo cliente
+const couponSchema = {
+  code: { type: 'string', label: 'código', required: true, minLength: 3, maxLength: 30 },
+  name: { type: 'string', label: 'nome', required: true, maxLength: 100 },
+  type: { type: 'string', label: 'tipo', required: true, enum: COUPON_TYPES },
+  value: { type: 'number', label: 'valor', nullable: true, min: 0.01, max: 10000 },
+  max_discount: { type: 'number', label: 'desconto máximo', nullable: true, min: 0.01, max: 10000 },
+  buy_quantity: { type: 'number', label: 'quantidade comprada', nullable: true, integer: true, min: 1, max: 50 },
+  get_quantity: { type: 'number', label: 'quantidade grátis', nullable: true, integer: true, min: 1, max: 50 },
+  min_order_value: { type: 'number', label: 'pedido mínimo', min: 0, max: 100000 },
+  starts_at: { type: 'string', label: 'início' },
+  ends_at: { type: 'string', label: 'término', nullable: true },
+  usage_limit: { type: 'number', label: 'limite de usos', nullable: true, integer: true, min: 1 },
+  usage_limit_per_customer: {
+    type: 'number', label: 'limite de usos por cliente', nullable: true, integer: true, min: 1
+  },
+  stackable: { type: 'boolean', label: 'acumulável' },
+  active: { type: 'boolean', label: 'ativo' }
+};
+
+// Valida uma lista opcional de IDs (escopo de produtos ou categorias)
+const validateIdList = (field, label, list, errors) => {
+  if (list === null) return null;
+
+  if (!Array.isArray(list) || list.some(id => typeof id !== 'string' || !id.trim())) {
+    errors.push({ field, message: `O campo ${label} deve ser uma lista de IDs` });
+    return undefined;
+  }
+
+  return list.length > 0 ? [...new Set(list)] : null;
+};
+
+/**
+ * Valida e filtra os dados de um cupom. O código é gravado em maiúsculas e as
+ * regras de cada tipo consideram, em atualizações, os valores armazenados.
+ * @param {Object} data - Payload recebido
+ * @param {Object|null} existingCoupon - Cupom armazenado (em atualizações)
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateCoupon = (data, existingCoupon = null) => {
+  const { value, errors } = validateSchema(couponSchema, data, { partial: Boolean(existingCoupon) });
+
+  if (value.code !== undefined) {
+    value.code = value.code.toUpperCase();
+
+    if (!/^[A-Z0-9_-]+$/.test(value.code)) {
+      errors.push({ field: 'code', message: 'O campo código deve conter apenas letras, números, - e _' });
+    }
+  }
+
+  ['starts_at', 'ends_at'].forEach(field => {
+    if (value[field]) {
+      const date = new Date(value[field]);
+
+      if (isNaN(date.getTime())) {
+        errors.push({ field, message: `O campo ${couponSchema[field].label} deve ser uma data válida` });
+      } else {
+        value[field] = date.toISOString();
+      }
+    }
+  });
+
+  if (data.product_ids !== undefined) {
+    const productIds = validateIdList('product_ids', 'produtos', data.product_ids, errors);
+    if (productIds !== undefined) value.product_ids = productIds;
+  }
+
+  if (data.category_ids !== undefined) {
+    const categoryIds = validateIdList('category_ids', 'categorias', data.category_ids, errors);
+    if (categoryIds !== undefined) value.category_ids = categoryIds;
+  }
+
+  const merged = { ...(existingCoupon || {}), ...value };
+
+  if (['percentage', 'fixed'].includes(merged.type) && !merged.value) {
+    errors.push({ field: 'value', message: 'Informe o valor do desconto' });
+  }
+
+  if (merged.type === 'percentage' && merged.value >= 100) {
+    errors.push({ field: 'value', message: 'O percentual de desconto deve ser menor que 100' });
+  }
+
+  if (merged.type === 'buy_x_get_y' && (!merged.buy_quantity || !merged.get_quantity)) {
+    errors.push({ field: 'buy_quantity', message: 'Informe as quantidades comprada e grátis' });
+  }
+
+  if (merged.starts_at && merged.ends_at && new Date(merged.ends_at) <= new Date(merged.starts_at)) {
+    errors.push({ field: 'ends_at', message: 'O término deve ser posterior ao início' });
+  }
+
+  return { value, errors };
+};
+
+module.exports = { couponSchema, validateCoupon };
\ No newline at end of file
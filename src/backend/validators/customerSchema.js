@@ -0,0 +1,117 @@
+const { validateSchema } = require('./schema');
+const { normalizePhone } = require('../utils/phone');
+
+// Campos de cliente que podem ser enviados pelo cliente da API
+const customerSchema = {
+  name: { type: 'string', label: 'nome', required: true, minLength: 2, maxLength: 100 },
+  phone: { type: 'string', label: 'telefone', required: true },
+  cpf: { type: 'string', label: 'CPF', nullable: true },
+  email: { type: 'string', label: 'e-mail', nullable: true, maxLength: 120 },
+  notes: { type: 'string', label: 'observações', nullable: true, maxLength: 500 }
+};
+
+// Campos de um endereço de entrega
+const addressSchema = {
+  label: { type: 'string', label: 'identificação', maxLength: 40 },
+  street: { type: 'string', label: 'logradouro', required: true, maxLength: 120 },
+  number: { type: 'string', label: 'número', required: true, maxLength: 20 },
+  complement: { type: 'string', label: 'complemento', nullable: true, maxLength: 60 },
+  neighborhood: { type: 'string', label: 'bairro', required: true, maxLength: 60 },
+  city: { type: 'string', label: 'cidade', required: true, maxLength: 60 },
+  state: { type: 'string', label: 'UF', maxLength: 2 },
+  zip_code: { type: 'string', label: 'CEP', nullable: true },
+  reference: { type: 'string', label: 'ponto de referência', nullable: true, maxLength: 120 }
+};
+
+/**
+ * Confere os dígitos verificadores de um CPF
+ * @param {string} cpf - CPF com 11 dígitos
+ * @returns {boolean} Se o CPF é válido
+ */
+const isValidCPF = (cpf) => {
+  if (!/^\d{11}$/.test(cpf) || /^(\d)\1{10}$/.test(cpf)) return false;
+
+  const checkDigit = (length) => {
+    const sum = [...cpf.slice(0, length)]
+      .reduce((acc, digit, index) => acc + Number(digit) * (length + 1 - index), 0);
+    const rest = (sum * 10) % 11;
+    return rest === 10 ? 0 : rest;
+  };
+
+  return checkDigit(9) === Number(cpf[9]) && checkDigit(10) === Number(cpf[10]);
+};
+
+/**
+ * Valida a lista de endereços do cliente
+ * @param {Array} addresses - Endereços recebidos
+ * @param {Array} errors - Lista onde os erros são acumulados
+ * @returns {Array} Endereços filtrados
+ */
+const validateAddresses = (addresses, errors) => {
+  if (!Array.isArray(addresses)) {
+    errors.push({ field: 'addresses', message: 'O campo endereços deve ser uma lista' });
+    return [];
+  }
+
+  return addresses.map((address, index) => {
+    const result = validateSchema(addressSchema, address || {});
+    errors.push(...result.errors.map(error => ({ ...error, field: `addresses[${index}].${error.field}` })));
+
+    if (result.value.state) {
+      result.value.state = result.value.state.toUpperCase();
+    }
+
+    if (result.value.zip_code) {
+      result.value.zip_code = result.value.zip_code.replace(/\D/g, '');
+
+      if (result.value.zip_code.length !== 8) {
+        errors.push({ field: `addresses[${index}].zip_code`, message: 'O campo CEP deve ter 8 dígitos' });
+      }
+    }
+
+    return result.value;
+  });
+};
+
+/**
+ * Valida e filtra os dados de um cliente. Telefone e CPF são gravados apenas
+ * com dígitos e o e-mail em minúsculas.
+ * @param {Object} data - Payload recebido
+ * @param {boolean} isUpdate - Se for atualização, os campos são opcionais
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateCustomer = (data, isUpdate = false) => {
+  const { value, errors } = validateSchema(customerSchema, data, { partial: isUpdate });
+
+  if (value.phone !== undefined) {
+    value.phone = normalizePhone(value.phone);
+
+    if (!value.phone) {
+      errors.push({ field: 'phone', message: 'O campo telefone deve ter DDD e 8 ou 9 dígitos' });
+    }
+  }
+
+  if (value.cpf) {
+    value.cpf = value.cpf.replace(/\D/g, '');
+
+    if (!isValidCPF(value.cpf)) {
+      errors.push({ field: 'cpf', message: 'O campo CPF é inválido' });
+    }
+  }
+
+  if (value.email) {
+    value.email = value.email.toLowerCase();
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.email)) {
+      errors.push({ field: 'email', message: 'O campo e-mail deve ser um endereço válido' });
+    }
+  }
+
+  if (data.addresses !== undefined) {
+    value.addresses = data.addresses === null ? [] : validateAddresses(data.addresses, errors);
+  }
+
+  return { value, errors };
+};
+
+module.exports = { customerSchema, addressSchema, isValidCPF, validateCustomer };
\ No newline at end of file
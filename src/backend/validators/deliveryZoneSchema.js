@@ -0,0 +1,88 @@
+const { validateSchema } = require('./schema');
+const { addressSchema } = require('./customerSchema');
+const { normalizeCEP } = require('../utils/delivery');
+
+// Campos de área de entrega que podem ser enviados pelo cliente
+const deliveryZoneSchema = {
+  name: { type: 'string', label: 'nome', required: true, maxLength: 60 },
+  fee: { type: 'number', label: 'taxa de entrega', required: true, min: 0, max: 1000 },
+  min_order_value: { type: 'number', label: 'pedido mínimo', min: 0, max: 100000 },
+  estimated_minutes: {
+    type: 'number', label: 'tempo estimado', required: true, integer: true, min: 1, max: 600
+  },
+  active: { type: 'boolean', label: 'ativa' }
+};
+
+// Valida uma lista de textos, removendo vazios e repetidos
+const validateTextList = (field, label, list, errors) => {
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string')) {
+    errors.push({ field, message: `O campo ${label} deve ser uma lista de textos` });
+    return [];
+  }
+
+  return [...new Set(list.map(item => item.trim()).filter(Boolean))];
+};
+
+/**
+ * Valida e filtra os dados de uma área de entrega. Os prefixos de CEP são
+ * gravados apenas com dígitos e a área precisa cobrir ao menos um prefixo ou bairro.
+ * @param {Object} data - Payload recebido
+ * @param {Object|null} existingZone - Área armazenada (em atualizações)
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateDeliveryZone = (data, existingZone = null) => {
+  const { value, errors } = validateSchema(deliveryZoneSchema, data, { partial: Boolean(existingZone) });
+
+  if (data.cep_prefixes !== undefined) {
+    value.cep_prefixes = validateTextList('cep_prefixes', 'prefixos de CEP', data.cep_prefixes || [], errors)
+      .map(prefix => prefix.replace(/\D/g, ''));
+
+    if (value.cep_prefixes.some(prefix => prefix.length < 1 || prefix.length > 8)) {
+      errors.push({ field: 'cep_prefixes', message: 'Cada prefixo de CEP deve ter de 1 a 8 dígitos' });
+    }
+  }
+
+  if (data.neighborhoods !== undefined) {
+    value.neighborhoods = validateTextList('neighborhoods', 'bairros', data.neighborhoods || [], errors);
+  }
+
+  const merged = { ...(existingZone || {}), ...value };
+  if ((merged.cep_prefixes || []).length === 0 && (merged.neighborhoods || []).length === 0) {
+    errors.push({ field: 'cep_prefixes', message: 'Informe ao menos um prefixo de CEP ou bairro atendido' });
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Valida o endereço de entrega de um pedido. O CEP é obrigatório e devolvido
+ * com 8 dígitos, para ser formatado antes de gravar.
+ * @param {Object} address - Endereço recebido
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Endereço filtrado e erros
+ */
+const validateDeliveryAddress = (address) => {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return {
+      value: {},
+      errors: [{ field: 'delivery_address', message: 'Informe o endereço de entrega' }]
+    };
+  }
+
+  const { value, errors } = validateSchema(addressSchema, address);
+  const prefixed = errors.map(error => ({ ...error, field: `delivery_address.${error.field}` }));
+
+  const cep = normalizeCEP(value.zip_code);
+  if (!cep) {
+    prefixed.push({ field: 'delivery_address.zip_code', message: 'O campo CEP deve ter 8 dígitos' });
+  } else {
+    value.zip_code = cep;
+  }
+
+  if (value.state) {
+    value.state = value.state.toUpperCase();
+  }
+
+  return { value, errors: prefixed };
+};
+
+module.exports = { deliveryZoneSchema, validateDeliveryZone, validateDeliveryAddress };
\ No newline at end of file
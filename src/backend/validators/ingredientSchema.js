@@ -0,0 +1,108 @@
+const { validateSchema } = require('./schema');
+
+// Unidades de medida aceitas para os insumos
+const INGREDIENT_UNITS = ['g', 'kg', 'ml', 'l', 'un'];
+
+// Motivos de movimentação manual (vendas e cancelamentos são registrados automaticamente)
+const MOVEMENT_REASONS = ['purchase', 'adjustment', 'loss'];
+
+// Campos de insumo que podem ser enviados pelo cliente. O saldo só é informado
+// na criação; depois disso, muda apenas por movimentações
+const ingredientSchema = {
+  name: { type: 'string', label: 'nome', required: true, maxLength: 100 },
+  unit: { type: 'string', label: 'unidade', required: true, enum: INGREDIENT_UNITS },
+  stock: { type: 'number', label: 'estoque inicial', min: 0 },
+  low_stock_threshold: { type: 'number', label: 'estoque mínimo', min: 0 },
+  unit_cost: { type: 'number', label: 'custo unitário', min: 0, max: 100000 },
+  active: { type: 'boolean', label: 'ativo' }
+};
+
+// Movimentação manual: entradas e perdas em quantidade positiva, ajustes com sinal
+const movementSchema = {
+  quantity: { type: 'number', label: 'quantidade', required: true },
+  reason: { type: 'string', label: 'motivo', required: true, enum: MOVEMENT_REASONS },
+  notes: { type: 'string', label: 'observações', nullable: true, maxLength: 500 }
+};
+
+// Item da ficha técnica: quantidade do insumo por unidade do produto
+const recipeItemSchema = {
+  ingredient_id: { type: 'string', label: 'insumo', required: true, maxLength: 60 },
+  quantity: { type: 'number', label: 'quantidade', required: true, min: 0.001 }
+};
+
+/**
+ * Valida e filtra os dados de um insumo
+ * @param {Object} data - Payload recebido
+ * @param {boolean} isUpdate - Se for atualização, os campos são opcionais e o saldo é ignorado
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateIngredient = (data, isUpdate = false) => {
+  const { value, errors } = validateSchema(ingredientSchema, data, { partial: isUpdate });
+
+  if (isUpdate && value.stock !== undefined) {
+    delete value.stock;
+    errors.push({ field: 'stock', message: 'O saldo só pode ser alterado por movimentações de estoque' });
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Valida uma movimentação manual e converte a quantidade para o sinal do saldo
+ * @param {Object} data - Payload recebido
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Movimentação e erros
+ */
+const validateMovement = (data) => {
+  const { value, errors } = validateSchema(movementSchema, data);
+
+  if (value.quantity === 0) {
+    errors.push({ field: 'quantity', message: 'O campo quantidade deve ser diferente de zero' });
+  }
+
+  if (['purchase', 'loss'].includes(value.reason) && value.quantity < 0) {
+    errors.push({ field: 'quantity', message: 'Informe a quantidade de entradas e perdas sem sinal' });
+  }
+
+  if (value.reason === 'loss') {
+    value.quantity = -value.quantity;
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Valida a ficha técnica completa de um produto
+ * @param {Array} items - Insumos e quantidades
+ * @returns {{value: Array, errors: Array<{field: string, message: string}>}} Itens filtrados e erros
+ */
+const validateRecipe = (items) => {
+  if (!Array.isArray(items)) {
+    return { value: [], errors: [{ field: 'items', message: 'Informe a lista de insumos' }] };
+  }
+
+  const errors = [];
+
+  const value = items.map((item, index) => {
+    const result = validateSchema(recipeItemSchema, item || {});
+    errors.push(...result.errors.map(error => ({ ...error, field: `items[${index}].${error.field}` })));
+    return result.value;
+  });
+
+  const ingredientIds = value.map(item => item.ingredient_id);
+  if (new Set(ingredientIds).size !== ingredientIds.length) {
+    errors.push({ field: 'items', message: 'Um insumo não pode se repetir na ficha técnica' });
+  }
+
+  return { value, errors };
+};
+
+module.exports = {
+  INGREDIENT_UNITS,
+  MOVEMENT_REASONS,
+  ingredientSchema,
+  movementSchema,
+  recipeItemSchema,
+  validateIngredient,
+  validateMovement,
+  validateRecipe
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+const { validateSchema } = require('./schema');
+const { productSchema } = require('./productSchema');
+const { categorySchema } = require('./categorySchema');
+const { slugify } = require('../utils/slugify');
+
+// Campos de um item lido do cardápio, com os mesmos limites do cadastro de produtos
+const menuItemSchema = {
+  name: productSchema.name,
+  description: { ...productSchema.description, required: false },
+  price: productSchema.price,
+  category: { ...categorySchema.name, label: 'categoria', required: false }
+};
+
+/**
+ * Valida os itens lidos de um cardápio. Itens inválidos e nomes repetidos
+ * (vale a primeira ocorrência) não entram na importação e viram avisos.
+ * @param {Array<Object>} items - Itens lidos (line, name, description, price, category)
+ * @returns {{items: Array<Object>, warnings: Array<{line: number, name: string, errors: Array}>}} Itens válidos e avisos
+ */
+const validateMenuItems = (items) => {
+  const names = new Set();
+  const valid = [];
+  const warnings = [];
+
+  items.forEach(item => {
+    const { value, errors } = validateSchema(menuItemSchema, {
+      name: item.name,
+      price: item.price,
+      description: item.description || undefined,
+      category: item.category || undefined
+    });
+
+    if (errors.length === 0 && names.has(slugify(value.name))) {
+      errors.push({ field: 'name', message: 'Item repetido no arquivo; vale a primeira ocorrência' });
+    }
+
+    if (errors.length > 0) {
+      warnings.push({ line: item.line, name: item.name, errors });
+      return;
+    }
+
+    names.add(slugify(value.name));
+    valid.push({ line: item.line, description: '', category: null, ...value });
+  });
+
+  return { items: valid, warnings };
+};
+
+module.exports = { menuItemSchema, validateMenuItems };
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { validateSchema } = require('./schema');
+const { TEMPLATE_VARIABLES, unknownVariables } = require('../services/notifications/templates');
+
+// Campos de modelo de mensagem que podem ser enviados pelo cliente
+const notificationTemplateSchema = {
+  body: { type: 'string', label: 'mensagem', required: true, minLength: 1, maxLength: 1000 },
+  active: { type: 'boolean', label: 'ativo' }
+};
+
+/**
+ * Valida e filtra os dados de um modelo de mensagem. A mensagem só pode usar
+ * as variáveis de TEMPLATE_VARIABLES.
+ * @param {Object} data - Payload recebido
+ * @param {boolean} partial - Se verdadeiro, nenhum campo é obrigatório (atualização)
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateNotificationTemplate = (data, partial = false) => {
+  const { value, errors } = validateSchema(notificationTemplateSchema, data, { partial });
+
+  if (value.body !== undefined) {
+    const unknown = unknownVariables(value.body);
+
+    if (unknown.length > 0) {
+      errors.push({
+        field: 'body',
+        message: `Variáveis desconhecidas: ${unknown.join(', ')}. Variáveis aceitas: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`
+      });
+    }
+  }
+
+  return { value, errors };
+};
+
+module.exports = { notificationTemplateSchema, validateNotificationTemplate };
\ No newline at end of file
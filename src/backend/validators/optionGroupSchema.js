@@ -0,0 +1,69 @@
+const { validateSchema } = require('./schema');
+
+// Campos de um grupo de opções (ex.: "Ponto da carne", "Adicionais")
+const optionGroupSchema = {
+  name: { type: 'string', label: 'nome do grupo', required: true, maxLength: 60 },
+  min_select: { type: 'number', label: 'mínimo de escolhas', integer: true, min: 0, max: 20 },
+  max_select: { type: 'number', label: 'máximo de escolhas', integer: true, min: 1, max: 20 },
+  required: { type: 'boolean', label: 'obrigatório' },
+  display_order: { type: 'number', label: 'ordem de exibição', integer: true, min: 0 }
+};
+
+// Campos de uma opção (ex.: "Bacon", R$ 4,00)
+const optionSchema = {
+  name: { type: 'string', label: 'nome da opção', required: true, maxLength: 60 },
+  price_delta: { type: 'number', label: 'preço adicional', min: 0, max: 1000 },
+  available: { type: 'boolean', label: 'disponível' },
+  display_order: { type: 'number', label: 'ordem de exibição', integer: true, min: 0 }
+};
+
+/**
+ * Valida a lista completa de grupos de opções de um produto
+ * @param {Array} groups - Grupos recebidos, cada um com a lista "options"
+ * @returns {{value: Array, errors: Array<{field: string, message: string}>}} Grupos filtrados e erros
+ */
+const validateOptionGroups = (groups) => {
+  if (!Array.isArray(groups)) {
+    return { value: [], errors: [{ field: 'groups', message: 'Informe a lista de grupos de opções' }] };
+  }
+
+  const errors = [];
+
+  const value = groups.map((group, groupIndex) => {
+    const prefix = `groups[${groupIndex}]`;
+    const result = validateSchema(optionGroupSchema, group || {});
+    errors.push(...result.errors.map(error => ({ ...error, field: `${prefix}.${error.field}` })));
+
+    const minSelect = result.value.min_select !== undefined ? result.value.min_select : 0;
+    const maxSelect = result.value.max_select !== undefined ? result.value.max_select : 1;
+    const options = Array.isArray(group && group.options) ? group.options : [];
+
+    if (minSelect > maxSelect) {
+      errors.push({ field: `${prefix}.min_select`, message: 'O mínimo de escolhas não pode ser maior que o máximo' });
+    }
+
+    if (options.length === 0) {
+      errors.push({ field: `${prefix}.options`, message: 'O grupo deve ter pelo menos uma opção' });
+    } else if (options.length < minSelect) {
+      errors.push({ field: `${prefix}.options`, message: 'O grupo tem menos opções que o mínimo de escolhas' });
+    }
+
+    return {
+      ...result.value,
+      min_select: minSelect,
+      max_select: maxSelect,
+      options: options.map((option, optionIndex) => {
+        const optionResult = validateSchema(optionSchema, option || {});
+        errors.push(...optionResult.errors.map(error => ({
+          ...error,
+          field: `${prefix}.options[${optionIndex}].${error.field}`
+        })));
+        return optionResult.value;
+      })
+    };
+  });
+
+  return { value, errors };
+};
+
+module.exports = { optionGroupSchema, optionSchema, validateOptionGroups };
\ No newline at end of file
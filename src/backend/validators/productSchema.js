@@ -0,0 +1,44 @@
+const { validateSchema } = require('./schema');
+
+// Campos de produto que podem ser enviados pelo cliente
+const productSchema = {
+  name: { type: 'string', label: 'nome', required: true, maxLength: 100 },
+  description: { type: 'string', label: 'descrição', required: true, maxLength: 500 },
+  price: { type: 'number', label: 'preço', required: true, min: 0, max: 10000 },
+  discountPrice: { type: 'number', label: 'preço com desconto', nullable: true, min: 0, max: 10000 },
+  category_id: { type: 'string', label: 'categoria', required: true, maxLength: 60 },
+  imageUrl: { type: 'url', label: 'URL da imagem', nullable: true, maxLength: 2048 },
+  available: { type: 'boolean', label: 'disponibilidade' },
+  featured: { type: 'boolean', label: 'destaque' }
+};
+
+/**
+ * Valida e filtra os dados de um produto
+ * @param {Object} data - Payload recebido
+ * @param {Object|null} existingProduct - Produto armazenado (em atualizações parciais)
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateProduct = (data, existingProduct = null) => {
+  const { value, errors } = validateSchema(productSchema, data, { partial: Boolean(existingProduct) });
+
+  // Em atualizações parciais, a relação entre os preços considera os valores armazenados
+  const current = existingProduct || {};
+  const price = value.price !== undefined ? value.price : current.price;
+  const discountPrice = value.discountPrice !== undefined ? value.discountPrice : current.discountPrice;
+  const pricesChanged = value.price !== undefined || value.discountPrice !== undefined;
+  const pricesValid = !errors.some(error => ['price', 'discountPrice'].includes(error.field));
+
+  if (pricesChanged && pricesValid &&
+      discountPrice !== null && discountPrice !== undefined &&
+      price !== null && price !== undefined &&
+      parseFloat(discountPrice) >= parseFloat(price)) {
+    errors.push({
+      field: 'discountPrice',
+      message: 'Preço com desconto deve ser menor que o preço normal'
+    });
+  }
+
+  return { value, errors };
+};
+
+module.exports = { productSchema, validateProduct };
\ No newline at end of file
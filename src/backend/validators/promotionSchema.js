@@ -0,0 +1,76 @@
+const { validateSchema } = require('./schema');
+
+// Horário no formato HH:MM (00:00 a 23:59)
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Campos de promoção que podem ser enviados pelo cliente
+const promotionSchema = {
+  product_id: { type: 'string', label: 'produto', required: true, maxLength: 60 },
+  name: { type: 'string', label: 'nome', required: true, maxLength: 100 },
+  price: { type: 'number', label: 'preço promocional', nullable: true, min: 0, max: 10000 },
+  discount_percent: { type: 'number', label: 'percentual de desconto', nullable: true, min: 1, max: 99 },
+  starts_at: { type: 'string', label: 'início', required: true },
+  ends_at: { type: 'string', label: 'término', required: true },
+  start_time: { type: 'string', label: 'horário inicial', nullable: true },
+  end_time: { type: 'string', label: 'horário final', nullable: true },
+  active: { type: 'boolean', label: 'ativa' }
+};
+
+/**
+ * Valida e filtra os dados de uma promoção. Em atualizações parciais, as
+ * regras entre campos consideram os valores armazenados.
+ * @param {Object} data - Payload recebido
+ * @param {Object|null} existingPromotion - Promoção armazenada (em atualizações)
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validatePromotion = (data, existingPromotion = null) => {
+  const { value, errors } = validateSchema(promotionSchema, data, { partial: Boolean(existingPromotion) });
+  const merged = { ...(existingPromotion || {}), ...value };
+
+  ['starts_at', 'ends_at'].forEach(field => {
+    if (value[field] !== undefined) {
+      const date = new Date(value[field]);
+
+      if (isNaN(date.getTime())) {
+        errors.push({ field, message: `O campo ${promotionSchema[field].label} deve ser uma data válida` });
+      } else {
+        value[field] = date.toISOString();
+      }
+    }
+  });
+
+  ['start_time', 'end_time'].forEach(field => {
+    if (value[field] && !TIME_PATTERN.test(value[field])) {
+      errors.push({ field, message: `O campo ${promotionSchema[field].label} deve estar no formato HH:MM` });
+    }
+  });
+
+  // Dias da semana: lista de 0 (domingo) a 6 (sábado); vazia ou nula vale todos os dias
+  if (data.weekdays !== undefined) {
+    const weekdays = data.weekdays === null ? [] : data.weekdays;
+
+    if (!Array.isArray(weekdays) || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push({ field: 'weekdays', message: 'Os dias da semana devem ser números de 0 (domingo) a 6 (sábado)' });
+    } else {
+      value.weekdays = weekdays.length > 0 ? [...new Set(weekdays)].sort() : null;
+    }
+  }
+
+  const hasPrice = merged.price !== null && merged.price !== undefined;
+  const hasPercent = merged.discount_percent !== null && merged.discount_percent !== undefined;
+  if (hasPrice === hasPercent) {
+    errors.push({ field: 'price', message: 'Informe o preço promocional ou o percentual de desconto, apenas um deles' });
+  }
+
+  if (merged.starts_at && merged.ends_at && new Date(merged.ends_at) <= new Date(merged.starts_at)) {
+    errors.push({ field: 'ends_at', message: 'O término deve ser posterior ao início' });
+  }
+
+  if (Boolean(merged.start_time) !== Boolean(merged.end_time)) {
+    errors.push({ field: 'end_time', message: 'Informe o horário inicial e o final' });
+  }
+
+  return { value, errors };
+};
+
+module.exports = { promotionSchema, validatePromotion };
\ No newline at end of file
@@ -0,0 +1,143 @@
+/**
+ * Validação declarativa de payloads.
+ *
+ * Um schema é um objeto { campo: regra }. Apenas os campos declarados são
+ * copiados para o resultado (os demais são descartados), valores são
+ * convertidos para o tipo declarado e todos os erros são reunidos.
+ *
+ * Regras suportadas:
+ *  - type: 'string' | 'number' | 'boolean' | 'url'
+ *  - label: nome do campo nas mensagens
+ *  - required: obrigatório na criação
+ *  - nullable: aceita null
+ *  - minLength / maxLength: limites de tamanho para textos
+ *  - min / max: limites para números
+ *  - integer: exige número inteiro
+ *  - enum: lista de valores aceitos
+ */
+
+/**
+ * Converte o valor recebido para o tipo da regra
+ * @param {*} raw - Valor recebido
+ * @param {Object} rule - Regra do campo
+ * @returns {{value: *, error: string|null}} Valor convertido ou mensagem de erro
+ */
+const coerce = (raw, rule) => {
+  switch (rule.type) {
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      return typeof value === 'number' && Number.isFinite(value)
+        ? { value, error: null }
+        : { value: raw, error: `O campo ${rule.label} deve ser um número válido` };
+    }
+    case 'boolean': {
+      const value = typeof raw === 'string' && ['true', 'false'].includes(raw.trim().toLowerCase())
+        ? raw.trim().toLowerCase() === 'true'
+        : raw;
+      return typeof value === 'boolean'
+        ? { value, error: null }
+        : { value: raw, error: `O campo ${rule.label} deve ser um valor booleano` };
+    }
+    case 'url': {
+      if (typeof raw !== 'string') {
+        return { value: raw, error: `O campo ${rule.label} deve ser uma URL válida` };
+      }
+
+      try {
+        const url = new URL(raw.trim());
+        return ['http:', 'https:'].includes(url.protocol)
+          ? { value: raw.trim(), error: null }
+          : { value: raw, error: `O campo ${rule.label} deve usar http ou https` };
+      } catch (error) {
+        return { value: raw, error: `O campo ${rule.label} deve ser uma URL válida` };
+      }
+    }
+    default:
+      return typeof raw === 'string'
+        ? { value: raw.trim(), error: null }
+        : { value: raw, error: `O campo ${rule.label} deve ser um texto` };
+  }
+};
+
+/**
+ * Verifica os limites declarados na regra
+ * @param {*} value - Valor já convertido
+ * @param {Object} rule - Regra do campo
+ * @returns {string|null} Mensagem de erro
+ */
+const checkConstraints = (value, rule) => {
+  if (rule.required && value === '') {
+    return `O campo ${rule.label} é obrigatório`;
+  }
+
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `O campo ${rule.label} deve ter pelo menos ${rule.minLength} caracteres`;
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `O campo ${rule.label} deve ter no máximo ${rule.maxLength} caracteres`;
+  }
+
+  if (rule.integer && !Number.isInteger(value)) {
+    return `O campo ${rule.label} deve ser um número inteiro`;
+  }
+
+  if (rule.min !== undefined && value < rule.min) {
+    return `O campo ${rule.label} deve ser maior ou igual a ${rule.min}`;
+  }
+
+  if (rule.max !== undefined && value > rule.max) {
+    return `O campo ${rule.label} deve ser menor ou igual a ${rule.max}`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `O campo ${rule.label} tem valor inválido. Valores aceitos: ${rule.enum.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Valida um payload contra um schema
+ * @param {Object} schema - Regras por campo
+ * @param {Object} data - Payload recebido
+ * @param {Object} options - partial: true em atualizações (campos obrigatórios podem faltar)
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Dados filtrados e erros
+ */
+const validateSchema = (schema, data = {}, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = data[field];
+
+    if (raw === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `O campo ${rule.label} é obrigatório` });
+      }
+      return;
+    }
+
+    if (raw === null || raw === '') {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        errors.push({ field, message: `O campo ${rule.label} é obrigatório` });
+      }
+      return;
+    }
+
+    const coerced = coerce(raw, rule);
+    const error = coerced.error || checkConstraints(coerced.value, rule);
+
+    if (error) {
+      errors.push({ field, message: error });
+    } else {
+      value[field] = coerced.value;
+    }
+  });
+
+  return { value, errors };
+};
+
+module.exports = { validateSchema };
\ No newline at end of file
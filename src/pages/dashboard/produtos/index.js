@@ -56,22 +56,30 @@ const ProductList = () => {
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
 
-  // Mock de categorias para teste (deve ser substituído pela API)
-  const mockCategories = [
-    'Hambúrgueres',
-    'Acompanhamentos',
-    'Bebidas',
-    'Sobremesas',
-    'Combos'
-  ];
+  // Efeito para carregar as categorias
+  useEffect(() => {
+    fetchCategories();
+  }, []);
 
   // Efeito para carregar os produtos
   useEffect(() => {
-    // Simula o carregamento de categorias da API
-    setCategories(mockCategories);
-    
     fetchProducts();
-  }, [page, rowsPerPage, searchTerm, categoryFilter, sortBy, sortOrder]);
+  }, [page, rowsPerPage, searchTerm, categoryFilter, sortBy, sortOrder, categories]);
+
+  // Função para buscar as categorias (inclui as inativas para permitir o filtro)
+  const fetchCategories = async () => {
+    try {
+      const response = await fetch('/api/categories?includeInactive=true');
+
+      if (!response.ok) {
+        throw new Error('Erro ao carregar categorias');
+      }
+
+      setCategories(await response.json());
+    } catch (err) {
+      setError('Erro ao carregar categorias. Por favor, tente novamente.');
+    }
+  };
 
   // Função para buscar produtos
   const fetchProducts = async () => {
@@ -88,7 +96,7 @@ const ProductList = () => {
           description: 'Delicioso hambúrguer com blend da casa, queijo cheddar, bacon e molho especial',
           price: 29.90 + (index % 5),
           discountPrice: index % 3 === 0 ? (29.90 + (index % 5)) * 0.9 : null,
-          category: mockCategories[index % mockCategories.length],
+          category: categories.length > 0 ? categories[index % categories.length] : null,
           imageUrl: 'https://via.placeholder.com/150',
           available: Math.random() > 0.2,
           featured: Math.random() > 0.7,
@@ -239,7 +247,9 @@ const ProductList = () => {
                 >
                   <MenuItem value="">Todas as categorias</MenuItem>
                   {categories.map((category) => (
-                    <MenuItem key={category} value={category}>{category}</MenuItem>
+                    <MenuItem key={category.id} value={category.slug}>
+                      {category.name} ({category.product_count})
+                    </MenuItem>
                   ))}
                 </Select>
               </FormControl>
@@ -300,7 +310,7 @@ const ProductList = () => {
                         <Box sx={{ display: 'flex', alignItems: 'center' }}>
                           <Box
                             component="img"
-                            src={product.imageUrl}
+                            src={product.images ? product.images.thumbnail : product.imageUrl}
                             alt={product.name}
                             sx={{ width: 40, height: 40, borderRadius: 1, mr: 2, objectFit: 'cover' }}
                           />
@@ -311,7 +321,7 @@ const ProductList = () => {
                       </TableCell>
                       <TableCell>
                         <Chip 
-                          label={product.category} 
+                          label={product.category ? product.category.name : 'Sem categoria'} 
                           size="small" 
                           color="primary" 
                           variant="outlined" 
@@ -0,0 +1,62 @@
+-- Criação atômica de vendas: venda, itens e total são gravados em uma única
+-- transação. A chave de idempotência evita vendas duplicadas quando o PDV
+-- reenvia a mesma requisição.
+
+alter table sales add column if not exists idempotency_key text;
+
+create unique index if not exists sales_idempotency_key_idx
+  on sales (idempotency_key)
+  where idempotency_key is not null;
+
+create or replace function create_sale(
+  p_sale jsonb,
+  p_items jsonb,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale_id sales.id%type;
+  v_item jsonb;
+begin
+  -- Requisição repetida: devolve a venda já criada
+  if p_idempotency_key is not null then
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+
+    if found then
+      return jsonb_build_object('id', v_sale_id, 'created', false);
+    end if;
+  end if;
+
+  insert into sales
+  select (jsonb_populate_record(
+    null::sales,
+    jsonb_build_object('id', gen_random_uuid(), 'status', 'pending', 'created_at', now())
+      || p_sale
+      || jsonb_build_object('idempotency_key', p_idempotency_key)
+  )).*
+  returning id into v_sale_id;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    insert into sale_items
+    select (jsonb_populate_record(
+      null::sale_items,
+      jsonb_build_object('id', gen_random_uuid(), 'created_at', now())
+        || v_item
+        || jsonb_build_object('sale_id', v_sale_id)
+    )).*;
+  end loop;
+
+  return jsonb_build_object('id', v_sale_id, 'created', true);
+exception
+  when unique_violation then
+    -- Outra requisição com a mesma chave concluiu primeiro
+    if p_idempotency_key is null then
+      raise;
+    end if;
+
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('id', v_sale_id, 'created', false);
+end;
+$$;
@@ -0,0 +1,77 @@
+-- Ciclo de vida das vendas com histórico de alterações de status.
+-- As transições permitidas são validadas em src/backend/models/saleStatus.js;
+-- aqui garantimos apenas que o status seja conhecido e que toda mudança
+-- fique registrada.
+
+update sales set status = 'pending' where status is null;
+
+alter table sales
+  alter column status set default 'pending',
+  alter column status set not null;
+
+alter table sales drop constraint if exists sales_status_check;
+alter table sales add constraint sales_status_check check (
+  status in ('pending', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded')
+);
+
+create table if not exists sale_status_history (
+  id uuid primary key default gen_random_uuid(),
+  sale_id uuid not null references sales (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  changed_by text,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sale_status_history_sale_id_idx
+  on sale_status_history (sale_id, created_at);
+
+-- Registra o status inicial de toda venda criada
+create or replace function log_sale_created()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into sale_status_history (sale_id, from_status, to_status)
+  values (new.id, null, new.status);
+  return new;
+end;
+$$;
+
+drop trigger if exists sales_log_created on sales;
+create trigger sales_log_created
+  after insert on sales
+  for each row execute function log_sale_created();
+
+-- Altera o status e registra o histórico na mesma transação. A condição sobre
+-- o status atual evita sobrescrever uma alteração concorrente: nesse caso a
+-- função não retorna nenhuma linha.
+create or replace function update_sale_status(
+  p_sale_id uuid,
+  p_from_status text,
+  p_to_status text,
+  p_changed_by text default null,
+  p_notes text default null
+)
+returns setof sales
+language plpgsql
+as $$
+declare
+  v_sale sales;
+begin
+  update sales
+  set status = p_to_status
+  where id = p_sale_id and status = p_from_status
+  returning * into v_sale;
+
+  if not found then
+    return;
+  end if;
+
+  insert into sale_status_history (sale_id, from_status, to_status, changed_by, notes)
+  values (p_sale_id, p_from_status, p_to_status, p_changed_by, p_notes);
+
+  return next v_sale;
+end;
+$$;
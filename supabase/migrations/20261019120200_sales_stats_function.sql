@@ -0,0 +1,19 @@
+-- Estatísticas de vendas calculadas no banco para um intervalo [p_from, p_to).
+-- Vendas canceladas e estornadas não entram no faturamento.
+
+create index if not exists sales_created_at_idx on sales (created_at);
+
+create or replace function sales_stats(p_from timestamptz, p_to timestamptz)
+returns table (total_sales numeric, sale_count bigint, average numeric)
+language sql
+stable
+as $$
+  select
+    coalesce(sum(total), 0) as total_sales,
+    count(*) as sale_count,
+    coalesce(avg(total), 0) as average
+  from sales
+  where created_at >= p_from
+    and created_at < p_to
+    and status not in ('cancelled', 'refunded');
+$$;
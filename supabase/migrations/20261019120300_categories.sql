@@ -0,0 +1,49 @@
+-- Categorias como recurso gerenciado. Os produtos passam a referenciar a
+-- categoria pelo id em vez do texto livre da coluna "category".
+
+create extension if not exists unaccent;
+
+create table if not exists categories (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  slug text not null unique,
+  icon text,
+  display_order integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+-- Categorias padrão do cardápio
+insert into categories (name, slug, display_order)
+values
+  ('Hambúrgueres', 'hamburgueres', 1),
+  ('Acompanhamentos', 'acompanhamentos', 2),
+  ('Bebidas', 'bebidas', 3),
+  ('Sobremesas', 'sobremesas', 4),
+  ('Combos', 'combos', 5)
+on conflict (slug) do nothing;
+
+-- Demais categorias já usadas pelos produtos
+insert into categories (name, slug, display_order)
+select distinct on (slug) name, slug, 100
+from (
+  select
+    trim(category) as name,
+    trim(both '-' from regexp_replace(lower(unaccent(trim(category))), '[^a-z0-9]+', '-', 'g')) as slug
+  from products
+  where category is not null and trim(category) <> ''
+) as used
+on conflict (slug) do nothing;
+
+alter table products add column if not exists category_id uuid references categories (id) on delete restrict;
+
+update products p
+set category_id = c.id
+from categories c
+where p.category_id is null
+  and c.slug = trim(both '-' from regexp_replace(lower(unaccent(trim(p.category))), '[^a-z0-9]+', '-', 'g'));
+
+create index if not exists products_category_id_idx on products (category_id);
+
+alter table products drop column if exists category;
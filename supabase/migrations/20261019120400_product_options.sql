@@ -0,0 +1,141 @@
+-- Grupos de opções dos produtos (tamanho, ponto da carne, adicionais) e as
+-- opções escolhidas em cada item de venda.
+
+create table if not exists product_option_groups (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references products (id) on delete cascade,
+  name text not null,
+  min_select integer not null default 0,
+  max_select integer not null default 1,
+  required boolean not null default false,
+  display_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  constraint product_option_groups_selection_check
+    check (min_select >= 0 and max_select >= 1 and max_select >= min_select)
+);
+
+create index if not exists product_option_groups_product_id_idx
+  on product_option_groups (product_id);
+
+create table if not exists product_options (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references product_option_groups (id) on delete cascade,
+  name text not null,
+  price_delta numeric(10, 2) not null default 0 check (price_delta >= 0),
+  available boolean not null default true,
+  display_order integer not null default 0
+);
+
+create index if not exists product_options_group_id_idx on product_options (group_id);
+
+-- Opções escolhidas; nome e preço são copiados para preservar o histórico
+create table if not exists sale_item_options (
+  id uuid primary key default gen_random_uuid(),
+  sale_item_id uuid not null references sale_items (id) on delete cascade,
+  option_id uuid references product_options (id) on delete set null,
+  group_name text not null,
+  name text not null,
+  price numeric(10, 2) not null default 0
+);
+
+create index if not exists sale_item_options_sale_item_id_idx on sale_item_options (sale_item_id);
+
+-- Substitui todos os grupos de opções de um produto em uma única transação
+create or replace function replace_product_options(p_product_id uuid, p_groups jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_group jsonb;
+  v_group_id uuid;
+begin
+  delete from product_option_groups where product_id = p_product_id;
+
+  for v_group in select * from jsonb_array_elements(p_groups) loop
+    insert into product_option_groups (product_id, name, min_select, max_select, required, display_order)
+    values (
+      p_product_id,
+      v_group->>'name',
+      coalesce((v_group->>'min_select')::integer, 0),
+      coalesce((v_group->>'max_select')::integer, 1),
+      coalesce((v_group->>'required')::boolean, false),
+      coalesce((v_group->>'display_order')::integer, 0)
+    )
+    returning id into v_group_id;
+
+    insert into product_options (group_id, name, price_delta, available, display_order)
+    select
+      v_group_id,
+      option->>'name',
+      coalesce((option->>'price_delta')::numeric, 0),
+      coalesce((option->>'available')::boolean, true),
+      coalesce((option->>'display_order')::integer, 0)
+    from jsonb_array_elements(coalesce(v_group->'options', '[]'::jsonb)) as option;
+  end loop;
+end;
+$$;
+
+-- create_sale passa a gravar as opções escolhidas de cada item
+create or replace function create_sale(
+  p_sale jsonb,
+  p_items jsonb,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale_id sales.id%type;
+  v_item jsonb;
+  v_item_id sale_items.id%type;
+begin
+  -- Requisição repetida: devolve a venda já criada
+  if p_idempotency_key is not null then
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+
+    if found then
+      return jsonb_build_object('id', v_sale_id, 'created', false);
+    end if;
+  end if;
+
+  insert into sales
+  select (jsonb_populate_record(
+    null::sales,
+    jsonb_build_object('id', gen_random_uuid(), 'status', 'pending', 'created_at', now())
+      || p_sale
+      || jsonb_build_object('idempotency_key', p_idempotency_key)
+  )).*
+  returning id into v_sale_id;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    insert into sale_items
+    select (jsonb_populate_record(
+      null::sale_items,
+      jsonb_build_object('id', gen_random_uuid(), 'created_at', now())
+        || (v_item - 'options')
+        || jsonb_build_object('sale_id', v_sale_id)
+    )).*
+    returning id into v_item_id;
+
+    insert into sale_item_options (sale_item_id, option_id, group_name, name, price)
+    select
+      v_item_id,
+      (option->>'option_id')::uuid,
+      option->>'group_name',
+      option->>'name',
+      (option->>'price')::numeric
+    from jsonb_array_elements(coalesce(v_item->'options', '[]'::jsonb)) as option;
+  end loop;
+
+  return jsonb_build_object('id', v_sale_id, 'created', true);
+exception
+  when unique_violation then
+    -- Outra requisição com a mesma chave concluiu primeiro
+    if p_idempotency_key is null then
+      raise;
+    end if;
+
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('id', v_sale_id, 'created', false);
+end;
+$$;
@@ -0,0 +1,147 @@
+-- Combos montados por etapas ("1 hambúrguer da casa + 1 acompanhamento + 1 bebida"),
+-- com os produtos permitidos em cada etapa e o acréscimo de cada um, e os
+-- componentes escolhidos em cada item de venda.
+
+create table if not exists combo_slots (
+  id uuid primary key default gen_random_uuid(),
+  combo_id uuid not null references products (id) on delete cascade,
+  name text not null,
+  quantity integer not null default 1 check (quantity > 0),
+  display_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists combo_slots_combo_id_idx on combo_slots (combo_id);
+
+create table if not exists combo_slot_products (
+  slot_id uuid not null references combo_slots (id) on delete cascade,
+  product_id uuid not null references products (id) on delete cascade,
+  upcharge numeric(10, 2) not null default 0 check (upcharge >= 0),
+  display_order integer not null default 0,
+  primary key (slot_id, product_id)
+);
+
+create index if not exists combo_slot_products_product_id_idx on combo_slot_products (product_id);
+
+-- Produtos que compõem cada combo vendido; nome e acréscimo são copiados para preservar o histórico
+create table if not exists sale_item_components (
+  id uuid primary key default gen_random_uuid(),
+  sale_item_id uuid not null references sale_items (id) on delete cascade,
+  slot_id uuid references combo_slots (id) on delete set null,
+  slot_name text not null,
+  product_id uuid references products (id) on delete set null,
+  name text not null,
+  quantity integer not null check (quantity > 0),
+  upcharge numeric(10, 2) not null default 0
+);
+
+create index if not exists sale_item_components_sale_item_id_idx on sale_item_components (sale_item_id);
+create index if not exists sale_item_components_product_id_idx on sale_item_components (product_id);
+
+-- Substitui todas as etapas de um combo em uma única transação
+create or replace function replace_combo_slots(p_combo_id uuid, p_slots jsonb)
+returns void
+language plpgsql
+as $$
+declare
+  v_slot jsonb;
+  v_slot_id uuid;
+begin
+  delete from combo_slots where combo_id = p_combo_id;
+
+  for v_slot in select * from jsonb_array_elements(p_slots) loop
+    insert into combo_slots (combo_id, name, quantity, display_order)
+    values (
+      p_combo_id,
+      v_slot->>'name',
+      coalesce((v_slot->>'quantity')::integer, 1),
+      coalesce((v_slot->>'display_order')::integer, 0)
+    )
+    returning id into v_slot_id;
+
+    insert into combo_slot_products (slot_id, product_id, upcharge, display_order)
+    select
+      v_slot_id,
+      (choice->>'product_id')::uuid,
+      coalesce((choice->>'upcharge')::numeric, 0),
+      coalesce((choice->>'display_order')::integer, 0)
+    from jsonb_array_elements(coalesce(v_slot->'products', '[]'::jsonb)) as choice;
+  end loop;
+end;
+$$;
+
+-- create_sale passa a gravar também os componentes dos combos
+create or replace function create_sale(
+  p_sale jsonb,
+  p_items jsonb,
+  p_idempotency_key text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale_id sales.id%type;
+  v_item jsonb;
+  v_item_id sale_items.id%type;
+begin
+  -- Requisição repetida: devolve a venda já criada
+  if p_idempotency_key is not null then
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+
+    if found then
+      return jsonb_build_object('id', v_sale_id, 'created', false);
+    end if;
+  end if;
+
+  insert into sales
+  select (jsonb_populate_record(
+    null::sales,
+    jsonb_build_object('id', gen_random_uuid(), 'status', 'pending', 'created_at', now())
+      || p_sale
+      || jsonb_build_object('idempotency_key', p_idempotency_key)
+  )).*
+  returning id into v_sale_id;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    insert into sale_items
+    select (jsonb_populate_record(
+      null::sale_items,
+      jsonb_build_object('id', gen_random_uuid(), 'created_at', now())
+        || (v_item - 'options' - 'components')
+        || jsonb_build_object('sale_id', v_sale_id)
+    )).*
+    returning id into v_item_id;
+
+    insert into sale_item_options (sale_item_id, option_id, group_name, name, price)
+    select
+      v_item_id,
+      (option->>'option_id')::uuid,
+      option->>'group_name',
+      option->>'name',
+      (option->>'price')::numeric
+    from jsonb_array_elements(coalesce(v_item->'options', '[]'::jsonb)) as option;
+
+    insert into sale_item_components (sale_item_id, slot_id, slot_name, product_id, name, quantity, upcharge)
+    select
+      v_item_id,
+      (component->>'slot_id')::uuid,
+      component->>'slot_name',
+      (component->>'product_id')::uuid,
+      component->>'name',
+      (component->>'quantity')::integer,
+      (component->>'upcharge')::numeric
+    from jsonb_array_elements(coalesce(v_item->'components', '[]'::jsonb)) as component;
+  end loop;
+
+  return jsonb_build_object('id', v_sale_id, 'created', true);
+exception
+  when unique_violation then
+    -- Outra requisição com a mesma chave concluiu primeiro
+    if p_idempotency_key is null then
+      raise;
+    end if;
+
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('id', v_sale_id, 'created', false);
+end;
+$$;
@@ -0,0 +1,199 @@
+-- Estoque de insumos, fichas técnicas dos produtos e baixa automática nas vendas.
+-- Toda alteração de saldo é registrada em stock_movements; as baixas e
+-- estornos de uma venda são únicos por (venda, insumo, motivo), o que torna
+-- apply_sale_stock segura para ser chamada mais de uma vez.
+
+create table if not exists ingredients (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  unit text not null check (unit in ('g', 'kg', 'ml', 'l', 'un')),
+  stock numeric(12, 3) not null default 0,
+  low_stock_threshold numeric(12, 3) not null default 0 check (low_stock_threshold >= 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Ficha técnica: quantidade de cada insumo consumida por unidade do produto
+create table if not exists product_recipes (
+  product_id uuid not null references products (id) on delete cascade,
+  ingredient_id uuid not null references ingredients (id) on delete restrict,
+  quantity numeric(12, 3) not null check (quantity > 0),
+  primary key (product_id, ingredient_id)
+);
+
+create index if not exists product_recipes_ingredient_id_idx on product_recipes (ingredient_id);
+
+create table if not exists stock_movements (
+  id uuid primary key default gen_random_uuid(),
+  ingredient_id uuid not null references ingredients (id) on delete cascade,
+  sale_id uuid references sales (id) on delete set null,
+  quantity numeric(12, 3) not null,
+  reason text not null check (reason in ('sale', 'cancellation', 'purchase', 'adjustment', 'loss')),
+  notes text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_ingredient_id_idx
+  on stock_movements (ingredient_id, created_at);
+
+create unique index if not exists stock_movements_sale_unique_idx
+  on stock_movements (sale_id, ingredient_id, reason)
+  where sale_id is not null;
+
+-- Marca como indisponíveis os produtos que dependem de insumos esgotados,
+-- inclusive os combos que oferecem esses produtos em alguma etapa
+create or replace function disable_products_without_stock(p_ingredient_ids uuid[])
+returns setof uuid
+language plpgsql
+as $$
+begin
+  return query
+  with depleted as (
+    select id from ingredients where id = any(p_ingredient_ids) and stock <= 0
+  ),
+  affected as (
+    select r.product_id
+    from product_recipes r
+    join depleted d on d.id = r.ingredient_id
+  )
+  update products p
+  set available = false
+  where p.available
+    and (
+      p.id in (select product_id from affected)
+      or p.id in (
+        select s.combo_id
+        from combo_slots s
+        join combo_slot_products sp on sp.slot_id = s.id
+        where sp.product_id in (select product_id from affected)
+      )
+    )
+  returning p.id;
+end;
+$$;
+
+-- Baixa ('sale') ou estorno ('cancellation') dos insumos de uma venda. O consumo
+-- considera a ficha técnica de cada item e, nos combos, a dos componentes.
+-- Retorna os produtos que ficaram indisponíveis.
+create or replace function apply_sale_stock(p_sale_id uuid, p_reason text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ingredient_ids uuid[];
+  v_disabled uuid[];
+begin
+  if p_reason not in ('sale', 'cancellation') then
+    raise exception 'Motivo inválido: %', p_reason using errcode = '22023';
+  end if;
+
+  -- Bloqueia a venda para serializar chamadas concorrentes
+  perform 1 from sales where id = p_sale_id for update;
+
+  if exists (select 1 from stock_movements where sale_id = p_sale_id and reason = p_reason) then
+    return jsonb_build_object('applied', false, 'disabled_products', '[]'::jsonb);
+  end if;
+
+  if p_reason = 'sale' then
+    with consumption as (
+      select r.ingredient_id, i.quantity * r.quantity as quantity
+      from sale_items i
+      join product_recipes r on r.product_id = i.product_id
+      where i.sale_id = p_sale_id
+      union all
+      select r.ingredient_id, i.quantity * c.quantity * r.quantity
+      from sale_items i
+      join sale_item_components c on c.sale_item_id = i.id
+      join product_recipes r on r.product_id = c.product_id
+      where i.sale_id = p_sale_id
+    )
+    insert into stock_movements (ingredient_id, sale_id, quantity, reason)
+    select ingredient_id, p_sale_id, -sum(quantity), 'sale'
+    from consumption
+    group by ingredient_id;
+  else
+    -- Só há estorno do que foi efetivamente baixado
+    insert into stock_movements (ingredient_id, sale_id, quantity, reason)
+    select ingredient_id, p_sale_id, -quantity, 'cancellation'
+    from stock_movements
+    where sale_id = p_sale_id and reason = 'sale';
+  end if;
+
+  with totals as (
+    select ingredient_id, quantity
+    from stock_movements
+    where sale_id = p_sale_id and reason = p_reason
+  )
+  update ingredients g
+  set stock = g.stock + t.quantity, updated_at = now()
+  from totals t
+  where g.id = t.ingredient_id;
+
+  select array_agg(ingredient_id) into v_ingredient_ids
+  from stock_movements
+  where sale_id = p_sale_id and reason = p_reason;
+
+  select array_agg(id) into v_disabled
+  from disable_products_without_stock(coalesce(v_ingredient_ids, '{}'));
+
+  return jsonb_build_object(
+    'applied', true,
+    'disabled_products', to_jsonb(coalesce(v_disabled, '{}'))
+  );
+end;
+$$;
+
+-- Entrada, perda ou ajuste manual de estoque
+create or replace function adjust_ingredient_stock(
+  p_ingredient_id uuid,
+  p_quantity numeric,
+  p_reason text,
+  p_notes text default null,
+  p_created_by text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ingredient ingredients;
+  v_disabled uuid[];
+begin
+  update ingredients
+  set stock = stock + p_quantity, updated_at = now()
+  where id = p_ingredient_id
+  returning * into v_ingredient;
+
+  if not found then
+    return null;
+  end if;
+
+  insert into stock_movements (ingredient_id, quantity, reason, notes, created_by)
+  values (p_ingredient_id, p_quantity, p_reason, p_notes, p_created_by);
+
+  select array_agg(id) into v_disabled
+  from disable_products_without_stock(array[p_ingredient_id]);
+
+  return to_jsonb(v_ingredient) || jsonb_build_object(
+    'disabled_products', to_jsonb(coalesce(v_disabled, '{}'))
+  );
+end;
+$$;
+
+-- Substitui a ficha técnica de um produto em uma única transação
+create or replace function replace_product_recipe(p_product_id uuid, p_items jsonb)
+returns void
+language plpgsql
+as $$
+begin
+  delete from product_recipes where product_id = p_product_id;
+
+  insert into product_recipes (product_id, ingredient_id, quantity)
+  select
+    p_product_id,
+    (item->>'ingredient_id')::uuid,
+    (item->>'quantity')::numeric
+  from jsonb_array_elements(p_items) as item;
+end;
+$$;
@@ -0,0 +1,41 @@
+-- Custo das receitas (CMV). O custo unitário dos insumos é informado na mesma
+-- unidade de medida do estoque (ex.: R$ por g). Cada item vendido guarda o
+-- custo do momento da venda, para que reajustes de insumos não alterem o
+-- CMV de vendas passadas.
+
+alter table ingredients
+  add column if not exists unit_cost numeric(12, 4) not null default 0 check (unit_cost >= 0);
+
+alter table sale_items
+  add column if not exists unit_cost numeric(12, 4);
+
+-- Custo atual de cada produto pela ficha técnica
+create or replace view product_costs as
+select
+  p.id as product_id,
+  coalesce(sum(r.quantity * g.unit_cost), 0)::numeric(12, 4) as cost,
+  count(r.ingredient_id) as recipe_items
+from products p
+left join product_recipes r on r.product_id = p.id
+left join ingredients g on g.id = r.ingredient_id
+group by p.id;
+
+-- Registra o custo unitário dos itens de uma venda: ficha técnica do produto
+-- mais, nos combos, a dos componentes escolhidos. Itens já custeados são mantidos.
+create or replace function record_sale_costs(p_sale_id uuid)
+returns void
+language plpgsql
+as $$
+begin
+  update sale_items i
+  set unit_cost = (
+    select cost from product_costs where product_id = i.product_id
+  ) + coalesce((
+    select sum(c.quantity * pc.cost)
+    from sale_item_components c
+    join product_costs pc on pc.product_id = c.product_id
+    where c.sale_item_id = i.id
+  ), 0)
+  where i.sale_id = p_sale_id and i.unit_cost is null;
+end;
+$$;
@@ -0,0 +1,71 @@
+-- Histórico de preços e promoções agendadas.
+--
+-- Toda alteração de price/discountPrice é registrada por gatilho, com o
+-- usuário informado em products.updated_by pela API. As promoções valem entre
+-- starts_at e ends_at e, opcionalmente, apenas em alguns dias da semana
+-- (0 = domingo) e em uma faixa de horário no fuso do restaurante; uma faixa
+-- com end_time menor que start_time atravessa a meia-noite.
+
+alter table products add column if not exists updated_by text;
+
+create table if not exists product_price_history (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references products (id) on delete cascade,
+  price numeric(10, 2) not null,
+  discount_price numeric(10, 2),
+  previous_price numeric(10, 2),
+  previous_discount_price numeric(10, 2),
+  changed_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_price_history_product_id_idx
+  on product_price_history (product_id, created_at desc);
+
+create or replace function log_product_price_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    insert into product_price_history (product_id, price, discount_price, changed_by)
+    values (new.id, new.price, new."discountPrice", new.updated_by);
+  elsif new.price is distinct from old.price
+     or new."discountPrice" is distinct from old."discountPrice" then
+    insert into product_price_history (
+      product_id, price, discount_price, previous_price, previous_discount_price, changed_by
+    )
+    values (new.id, new.price, new."discountPrice", old.price, old."discountPrice", new.updated_by);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists products_log_price_change on products;
+create trigger products_log_price_change
+  after insert or update on products
+  for each row execute function log_product_price_change();
+
+create table if not exists promotions (
+  id uuid primary key default gen_random_uuid(),
+  product_id uuid not null references products (id) on delete cascade,
+  name text not null,
+  price numeric(10, 2) check (price >= 0),
+  discount_percent numeric(5, 2) check (discount_percent > 0 and discount_percent < 100),
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  weekdays smallint[],
+  start_time time,
+  end_time time,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  constraint promotions_value_check check ((price is null) <> (discount_percent is null)),
+  constraint promotions_period_check check (ends_at > starts_at),
+  constraint promotions_window_check check ((start_time is null) = (end_time is null)),
+  constraint promotions_weekdays_check check (weekdays <@ array[0, 1, 2, 3, 4, 5, 6]::smallint[])
+);
+
+create index if not exists promotions_product_id_idx on promotions (product_id, starts_at, ends_at);
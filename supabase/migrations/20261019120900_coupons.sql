@@ -0,0 +1,187 @@
+-- Cupons de desconto aplicados no fechamento do pedido.
+--
+-- Tipos: percentage (value = %), fixed (value = R$), free_delivery e
+-- buy_x_get_y (leve buy_quantity + get_quantity, pague buy_quantity). O
+-- escopo opcional (product_ids/category_ids) restringe os itens elegíveis.
+-- Cupons não acumuláveis (stackable = false) só podem ser usados sozinhos.
+--
+-- A venda passa a guardar subtotal, desconto e taxa de entrega, e cada
+-- desconto aplicado fica em sale_discounts. Os limites de uso são conferidos
+-- novamente em create_sale, com o cupom bloqueado, para evitar que pedidos
+-- simultâneos ultrapassem o limite.
+
+create table if not exists coupons (
+  id uuid primary key default gen_random_uuid(),
+  code text not null,
+  name text not null,
+  type text not null check (type in ('percentage', 'fixed', 'free_delivery', 'buy_x_get_y')),
+  value numeric(10, 2) check (value > 0),
+  max_discount numeric(10, 2) check (max_discount > 0),
+  buy_quantity integer check (buy_quantity > 0),
+  get_quantity integer check (get_quantity > 0),
+  product_ids uuid[],
+  category_ids uuid[],
+  min_order_value numeric(10, 2) not null default 0 check (min_order_value >= 0),
+  starts_at timestamptz not null default now(),
+  ends_at timestamptz,
+  usage_limit integer check (usage_limit > 0),
+  usage_limit_per_customer integer check (usage_limit_per_customer > 0),
+  stackable boolean not null default false,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  constraint coupons_period_check check (ends_at is null or ends_at > starts_at),
+  constraint coupons_value_check check (
+    (type in ('percentage', 'fixed') and value is not null)
+    or (type = 'free_delivery')
+    or (type = 'buy_x_get_y' and buy_quantity is not null and get_quantity is not null)
+  ),
+  constraint coupons_percentage_check check (type <> 'percentage' or value < 100)
+);
+
+create unique index if not exists coupons_code_idx on coupons (upper(code));
+
+alter table sales
+  add column if not exists subtotal numeric(10, 2),
+  add column if not exists discount_total numeric(10, 2) not null default 0,
+  add column if not exists delivery_fee numeric(10, 2) not null default 0;
+
+update sales set subtotal = total where subtotal is null;
+
+create table if not exists sale_discounts (
+  id uuid primary key default gen_random_uuid(),
+  sale_id uuid not null references sales (id) on delete cascade,
+  coupon_id uuid references coupons (id) on delete set null,
+  code text not null,
+  type text not null,
+  description text,
+  amount numeric(10, 2) not null check (amount >= 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sale_discounts_sale_id_idx on sale_discounts (sale_id);
+create index if not exists sale_discounts_coupon_id_idx on sale_discounts (coupon_id);
+
+-- Usos válidos de um cupom (vendas canceladas e estornadas liberam o uso)
+create or replace function coupon_usage(p_coupon_id uuid, p_customer_id uuid default null)
+returns integer
+language sql
+stable
+as $$
+  select count(distinct d.sale_id)::integer
+  from sale_discounts d
+  join sales s on s.id = d.sale_id
+  where d.coupon_id = p_coupon_id
+    and s.status not in ('cancelled', 'refunded')
+    and (p_customer_id is null or s.customer_id = p_customer_id);
+$$;
+
+-- create_sale passa a receber os descontos calculados pela API
+drop function if exists create_sale(jsonb, jsonb, text);
+
+create or replace function create_sale(
+  p_sale jsonb,
+  p_items jsonb,
+  p_idempotency_key text default null,
+  p_discounts jsonb default '[]'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale_id sales.id%type;
+  v_item jsonb;
+  v_item_id sale_items.id%type;
+  v_discount jsonb;
+  v_coupon coupons;
+  v_customer_id uuid := nullif(p_sale->>'customer_id', '')::uuid;
+begin
+  -- Requisição repetida: devolve a venda já criada
+  if p_idempotency_key is not null then
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+
+    if found then
+      return jsonb_build_object('id', v_sale_id, 'created', false);
+    end if;
+  end if;
+
+  -- Confere os limites de uso com os cupons bloqueados
+  for v_discount in select * from jsonb_array_elements(p_discounts) loop
+    select * into v_coupon from coupons
+    where id = (v_discount->>'coupon_id')::uuid
+    for update;
+
+    if v_coupon.usage_limit is not null
+       and coupon_usage(v_coupon.id) >= v_coupon.usage_limit then
+      raise exception 'O cupom % atingiu o limite de usos', v_coupon.code;
+    end if;
+
+    if v_coupon.usage_limit_per_customer is not null
+       and v_customer_id is not null
+       and coupon_usage(v_coupon.id, v_customer_id) >= v_coupon.usage_limit_per_customer then
+      raise exception 'O cupom % já foi usado o máximo de vezes por este cliente', v_coupon.code;
+    end if;
+  end loop;
+
+  insert into sales
+  select (jsonb_populate_record(
+    null::sales,
+    jsonb_build_object('id', gen_random_uuid(), 'status', 'pending', 'created_at', now())
+      || p_sale
+      || jsonb_build_object('idempotency_key', p_idempotency_key)
+  )).*
+  returning id into v_sale_id;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    insert into sale_items
+    select (jsonb_populate_record(
+      null::sale_items,
+      jsonb_build_object('id', gen_random_uuid(), 'created_at', now())
+        || (v_item - 'options' - 'components')
+        || jsonb_build_object('sale_id', v_sale_id)
+    )).*
+    returning id into v_item_id;
+
+    insert into sale_item_options (sale_item_id, option_id, group_name, name, price)
+    select
+      v_item_id,
+      (option->>'option_id')::uuid,
+      option->>'group_name',
+      option->>'name',
+      (option->>'price')::numeric
+    from jsonb_array_elements(coalesce(v_item->'options', '[]'::jsonb)) as option;
+
+    insert into sale_item_components (sale_item_id, slot_id, slot_name, product_id, name, quantity, upcharge)
+    select
+      v_item_id,
+      (component->>'slot_id')::uuid,
+      component->>'slot_name',
+      (component->>'product_id')::uuid,
+      component->>'name',
+      (component->>'quantity')::integer,
+      (component->>'upcharge')::numeric
+    from jsonb_array_elements(coalesce(v_item->'components', '[]'::jsonb)) as component;
+  end loop;
+
+  insert into sale_discounts (sale_id, coupon_id, code, type, description, amount)
+  select
+    v_sale_id,
+    (discount->>'coupon_id')::uuid,
+    discount->>'code',
+    discount->>'type',
+    discount->>'description',
+    (discount->>'amount')::numeric
+  from jsonb_array_elements(p_discounts) as discount;
+
+  return jsonb_build_object('id', v_sale_id, 'created', true);
+exception
+  when unique_violation then
+    -- Outra requisição com a mesma chave concluiu primeiro
+    if p_idempotency_key is null then
+      raise;
+    end if;
+
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('id', v_sale_id, 'created', false);
+end;
+$$;
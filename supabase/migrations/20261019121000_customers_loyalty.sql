@@ -0,0 +1,257 @@
+-- Cadastro de clientes e programa de fidelidade.
+--
+-- O telefone é a chave do cliente e fica gravado apenas com dígitos (DDD +
+-- número, 10 ou 11 dígitos), o formato esperado por formatPhone. Os pontos
+-- são creditados quando a venda é entregue, estornados junto com a venda e
+-- podem ser trocados por desconto no fechamento do pedido. Toda alteração de
+-- saldo fica em loyalty_transactions.
+
+create table if not exists customers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  phone text,
+  email text,
+  created_at timestamptz not null default now()
+);
+
+alter table customers
+  add column if not exists cpf text,
+  add column if not exists addresses jsonb not null default '[]'::jsonb,
+  add column if not exists notes text,
+  add column if not exists points_balance integer not null default 0,
+  add column if not exists updated_at timestamptz;
+
+update customers set phone = nullif(regexp_replace(phone, '\D', '', 'g'), '');
+
+alter table customers drop constraint if exists customers_phone_check;
+alter table customers add constraint customers_phone_check
+  check (phone is null or phone ~ '^\d{10,11}$');
+
+alter table customers drop constraint if exists customers_points_balance_check;
+alter table customers add constraint customers_points_balance_check check (points_balance >= 0);
+
+create unique index if not exists customers_phone_idx on customers (phone) where phone is not null;
+create unique index if not exists customers_cpf_idx on customers (cpf) where cpf is not null;
+
+-- Excluir um cliente mantém as vendas, apenas sem o vínculo
+alter table sales drop constraint if exists sales_customer_id_fkey;
+alter table sales add constraint sales_customer_id_fkey
+  foreign key (customer_id) references customers (id) on delete set null;
+
+create table if not exists loyalty_transactions (
+  id uuid primary key default gen_random_uuid(),
+  customer_id uuid not null references customers (id) on delete cascade,
+  sale_id uuid references sales (id) on delete set null,
+  type text not null check (type in ('earn', 'redeem', 'earn_reversal', 'redeem_reversal')),
+  points integer not null,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists loyalty_transactions_customer_id_idx
+  on loyalty_transactions (customer_id, created_at desc);
+
+create unique index if not exists loyalty_transactions_sale_unique_idx
+  on loyalty_transactions (sale_id, type)
+  where sale_id is not null;
+
+alter table sale_discounts add column if not exists points integer;
+
+-- Credita os pontos de uma venda entregue. Chamadas repetidas são ignoradas
+create or replace function award_loyalty_points(p_sale_id uuid, p_points_per_real numeric)
+returns integer
+language plpgsql
+as $$
+declare
+  v_sale sales;
+  v_points integer;
+begin
+  select * into v_sale from sales where id = p_sale_id for update;
+
+  if v_sale.customer_id is null
+     or exists (select 1 from loyalty_transactions where sale_id = p_sale_id and type = 'earn') then
+    return 0;
+  end if;
+
+  v_points := floor(v_sale.total * p_points_per_real);
+
+  if v_points <= 0 then
+    return 0;
+  end if;
+
+  insert into loyalty_transactions (customer_id, sale_id, type, points)
+  values (v_sale.customer_id, p_sale_id, 'earn', v_points);
+
+  update customers set points_balance = points_balance + v_points where id = v_sale.customer_id;
+
+  return v_points;
+end;
+$$;
+
+-- Desfaz as movimentações de pontos de uma venda cancelada ou estornada: os
+-- pontos trocados voltam ao cliente e os ganhos são retirados (sem deixar o
+-- saldo negativo). Chamadas repetidas são ignoradas
+create or replace function reverse_loyalty_points(p_sale_id uuid)
+returns void
+language plpgsql
+as $$
+declare
+  v_transaction loyalty_transactions;
+  v_points integer;
+begin
+  perform 1 from sales where id = p_sale_id for update;
+
+  for v_transaction in
+    select * from loyalty_transactions
+    where sale_id = p_sale_id and type in ('earn', 'redeem')
+  loop
+    if exists (
+      select 1 from loyalty_transactions
+      where sale_id = p_sale_id and type = v_transaction.type || '_reversal'
+    ) then
+      continue;
+    end if;
+
+    if v_transaction.points < 0 then
+      v_points := -v_transaction.points;
+    else
+      select -least(v_transaction.points, points_balance) into v_points
+      from customers where id = v_transaction.customer_id;
+    end if;
+
+    insert into loyalty_transactions (customer_id, sale_id, type, points)
+    values (v_transaction.customer_id, p_sale_id, v_transaction.type || '_reversal', v_points);
+
+    update customers set points_balance = points_balance + v_points where id = v_transaction.customer_id;
+  end loop;
+end;
+$$;
+
+-- create_sale passa a debitar os pontos trocados por desconto (tipo "loyalty")
+create or replace function create_sale(
+  p_sale jsonb,
+  p_items jsonb,
+  p_idempotency_key text default null,
+  p_discounts jsonb default '[]'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale_id sales.id%type;
+  v_item jsonb;
+  v_item_id sale_items.id%type;
+  v_discount jsonb;
+  v_coupon coupons;
+  v_customer_id uuid := nullif(p_sale->>'customer_id', '')::uuid;
+  v_points integer;
+begin
+  -- Requisição repetida: devolve a venda já criada
+  if p_idempotency_key is not null then
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+
+    if found then
+      return jsonb_build_object('id', v_sale_id, 'created', false);
+    end if;
+  end if;
+
+  -- Confere os limites de uso com os cupons bloqueados
+  for v_discount in
+    select * from jsonb_array_elements(p_discounts) where value->>'coupon_id' is not null
+  loop
+    select * into v_coupon from coupons
+    where id = (v_discount->>'coupon_id')::uuid
+    for update;
+
+    if v_coupon.usage_limit is not null
+       and coupon_usage(v_coupon.id) >= v_coupon.usage_limit then
+      raise exception 'O cupom % atingiu o limite de usos', v_coupon.code;
+    end if;
+
+    if v_coupon.usage_limit_per_customer is not null
+       and v_customer_id is not null
+       and coupon_usage(v_coupon.id, v_customer_id) >= v_coupon.usage_limit_per_customer then
+      raise exception 'O cupom % já foi usado o máximo de vezes por este cliente', v_coupon.code;
+    end if;
+  end loop;
+
+  insert into sales
+  select (jsonb_populate_record(
+    null::sales,
+    jsonb_build_object('id', gen_random_uuid(), 'status', 'pending', 'created_at', now())
+      || p_sale
+      || jsonb_build_object('idempotency_key', p_idempotency_key)
+  )).*
+  returning id into v_sale_id;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    insert into sale_items
+    select (jsonb_populate_record(
+      null::sale_items,
+      jsonb_build_object('id', gen_random_uuid(), 'created_at', now())
+        || (v_item - 'options' - 'components')
+        || jsonb_build_object('sale_id', v_sale_id)
+    )).*
+    returning id into v_item_id;
+
+    insert into sale_item_options (sale_item_id, option_id, group_name, name, price)
+    select
+      v_item_id,
+      (option->>'option_id')::uuid,
+      option->>'group_name',
+      option->>'name',
+      (option->>'price')::numeric
+    from jsonb_array_elements(coalesce(v_item->'options', '[]'::jsonb)) as option;
+
+    insert into sale_item_components (sale_item_id, slot_id, slot_name, product_id, name, quantity, upcharge)
+    select
+      v_item_id,
+      (component->>'slot_id')::uuid,
+      component->>'slot_name',
+      (component->>'product_id')::uuid,
+      component->>'name',
+      (component->>'quantity')::integer,
+      (component->>'upcharge')::numeric
+    from jsonb_array_elements(coalesce(v_item->'components', '[]'::jsonb)) as component;
+  end loop;
+
+  insert into sale_discounts (sale_id, coupon_id, code, type, description, amount, points)
+  select
+    v_sale_id,
+    (discount->>'coupon_id')::uuid,
+    discount->>'code',
+    discount->>'type',
+    discount->>'description',
+    (discount->>'amount')::numeric,
+    (discount->>'points')::integer
+  from jsonb_array_elements(p_discounts) as discount;
+
+  -- Debita os pontos trocados, com o saldo conferido na mesma atualização
+  select coalesce(sum((discount->>'points')::integer), 0) into v_points
+  from jsonb_array_elements(p_discounts) as discount
+  where discount->>'type' = 'loyalty';
+
+  if v_points > 0 then
+    update customers set points_balance = points_balance - v_points
+    where id = v_customer_id and points_balance >= v_points;
+
+    if not found then
+      raise exception 'Saldo de pontos insuficiente';
+    end if;
+
+    insert into loyalty_transactions (customer_id, sale_id, type, points)
+    values (v_customer_id, v_sale_id, 'redeem', -v_points);
+  end if;
+
+  return jsonb_build_object('id', v_sale_id, 'created', true);
+exception
+  when unique_violation then
+    -- Outra requisição com a mesma chave concluiu primeiro
+    if p_idempotency_key is null then
+      raise;
+    end if;
+
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('id', v_sale_id, 'created', false);
+end;
+$$;
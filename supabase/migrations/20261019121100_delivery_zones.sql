@@ -0,0 +1,38 @@
+-- Tipo de pedido, endereço de entrega e áreas de entrega.
+--
+-- Uma área cobre prefixos de CEP e/ou bairros, com taxa de entrega, pedido
+-- mínimo e tempo estimado. A API escolhe a área do endereço (o prefixo de CEP
+-- mais longo vence; sem prefixo, vale o bairro) e grava na venda a área, a
+-- taxa e o tempo estimado do momento do pedido.
+
+create table if not exists delivery_zones (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  cep_prefixes text[] not null default '{}',
+  neighborhoods text[] not null default '{}',
+  fee numeric(10, 2) not null default 0 check (fee >= 0),
+  min_order_value numeric(10, 2) not null default 0 check (min_order_value >= 0),
+  estimated_minutes integer not null check (estimated_minutes > 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  constraint delivery_zones_coverage_check check (
+    cardinality(cep_prefixes) > 0 or cardinality(neighborhoods) > 0
+  )
+);
+
+alter table sales
+  add column if not exists order_type text not null default 'counter',
+  add column if not exists delivery_address jsonb,
+  add column if not exists delivery_zone_id uuid references delivery_zones (id) on delete set null,
+  add column if not exists estimated_delivery_minutes integer;
+
+alter table sales drop constraint if exists sales_order_type_check;
+alter table sales add constraint sales_order_type_check
+  check (order_type in ('counter', 'pickup', 'delivery'));
+
+alter table sales drop constraint if exists sales_delivery_address_check;
+alter table sales add constraint sales_delivery_address_check
+  check (order_type <> 'delivery' or delivery_address is not null);
+
+create index if not exists sales_order_type_idx on sales (order_type, created_at);
@@ -0,0 +1,16 @@
+-- Andamento dos itens na cozinha (KDS).
+--
+-- Cada item de venda passa por pending → preparing → done. A API move o
+-- pedido para "preparing" quando o primeiro item começa a ser preparado e
+-- para "ready" quando todos os itens ficam prontos.
+
+alter table sale_items
+  add column if not exists kitchen_status text not null default 'pending',
+  add column if not exists kitchen_updated_at timestamptz;
+
+alter table sale_items drop constraint if exists sale_items_kitchen_status_check;
+alter table sale_items add constraint sale_items_kitchen_status_check
+  check (kitchen_status in ('pending', 'preparing', 'done'));
+
+-- Fila da cozinha: pedidos abertos, dos mais antigos aos mais novos
+create index if not exists sales_status_created_at_idx on sales (status, created_at);
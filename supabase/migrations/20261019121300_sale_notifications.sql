@@ -0,0 +1,85 @@
+-- Notificações de status dos pedidos pelo WhatsApp.
+--
+-- Cada mudança de status com modelo ativo gera uma mensagem na fila
+-- notification_queue (uma por venda e status). O processador reserva lotes
+-- com claim_notifications, envia e registra cada tentativa em
+-- notification_logs; falhas voltam para a fila com espera crescente até o
+-- limite de tentativas.
+
+create table if not exists notification_templates (
+  status text primary key check (
+    status in ('pending', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'refunded')
+  ),
+  body text not null check (char_length(body) between 1 and 1000),
+  active boolean not null default true,
+  updated_at timestamptz
+);
+
+insert into notification_templates (status, body) values
+  ('pending', E'Olá, {{cliente}}! Recebemos seu pedido {{pedido}}:\n{{itens}}\nTotal: {{total}}'),
+  ('preparing', 'Seu pedido {{pedido}} já está sendo preparado!'),
+  ('ready', 'Seu pedido {{pedido}} está pronto!'),
+  ('out_for_delivery', 'Seu pedido {{pedido}} saiu para entrega. Total a pagar: {{total}}'),
+  ('delivered', 'Pedido {{pedido}} entregue. Obrigado pela preferência, {{cliente}}!'),
+  ('cancelled', 'Seu pedido {{pedido}} foi cancelado. Em caso de dúvida, responda esta mensagem.')
+on conflict (status) do nothing;
+
+create table if not exists notification_queue (
+  id uuid primary key default gen_random_uuid(),
+  sale_id uuid not null references sales (id) on delete cascade,
+  status text not null,
+  channel text not null default 'whatsapp',
+  recipient text not null,
+  body text not null,
+  state text not null default 'pending' check (state in ('pending', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  next_attempt_at timestamptz not null default now(),
+  locked_at timestamptz,
+  last_error text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint notification_queue_sale_status_key unique (sale_id, status)
+);
+
+create index if not exists notification_queue_pending_idx
+  on notification_queue (next_attempt_at)
+  where state in ('pending', 'sending');
+
+create table if not exists notification_logs (
+  id uuid primary key default gen_random_uuid(),
+  notification_id uuid not null references notification_queue (id) on delete cascade,
+  attempt integer not null,
+  success boolean not null,
+  response jsonb,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_logs_notification_id_idx
+  on notification_logs (notification_id, created_at);
+
+-- Reserva um lote de notificações para envio. Reservas abandonadas (processo
+-- encerrado no meio do envio) voltam a ser reservadas depois de p_lock_timeout
+create or replace function claim_notifications(
+  p_limit integer default 10,
+  p_lock_timeout interval default interval '5 minutes'
+)
+returns setof notification_queue
+language plpgsql
+as $$
+begin
+  return query
+  update notification_queue q
+  set state = 'sending', attempts = q.attempts + 1, locked_at = now()
+  where q.id in (
+    select id from notification_queue
+    where (state = 'pending' and next_attempt_at <= now())
+       or (state = 'sending' and locked_at < now() - p_lock_timeout)
+    order by next_attempt_at
+    limit p_limit
+    for update skip locked
+  )
+  returning q.*;
+end;
+$$;
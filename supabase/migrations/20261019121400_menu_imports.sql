@@ -0,0 +1,125 @@
+-- Importação de cardápios (PDF, CSV ou XLSX).
+--
+-- O envio lê os itens do arquivo, guarda o original no armazenamento de
+-- arquivos e registra a prévia (diff) contra o catálogo. Nada é gravado no
+-- catálogo até a confirmação, que aplica a prévia de uma vez: cria as
+-- categorias e os produtos novos, atualiza os preços alterados e, se pedido,
+-- deixa indisponíveis os produtos ausentes do cardápio.
+
+create table if not exists menu_imports (
+  id uuid primary key default gen_random_uuid(),
+  file_name text not null,
+  file_type text not null check (file_type in ('pdf', 'csv', 'xlsx')),
+  file_size integer not null check (file_size >= 0),
+  storage_key text not null,
+  items jsonb not null default '[]',
+  warnings jsonb not null default '[]',
+  diff jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'applied', 'discarded')),
+  result jsonb,
+  created_by text,
+  created_at timestamptz not null default now(),
+  applied_by text,
+  applied_at timestamptz
+);
+
+create index if not exists menu_imports_created_at_idx on menu_imports (created_at desc);
+
+create or replace function apply_menu_import(
+  p_import_id uuid,
+  p_user_id text default null,
+  p_deactivate_missing boolean default false
+)
+returns menu_imports
+language plpgsql
+as $$
+declare
+  v_import menu_imports;
+  v_item jsonb;
+  v_categories integer := 0;
+  v_created integer := 0;
+  v_updated integer := 0;
+  v_deactivated integer := 0;
+begin
+  select * into v_import from menu_imports where id = p_import_id for update;
+
+  if not found then
+    raise exception 'Importação de cardápio não encontrada';
+  end if;
+
+  if v_import.status <> 'pending' then
+    raise exception 'Importação de cardápio já foi %',
+      case v_import.status when 'applied' then 'aplicada' else 'descartada' end;
+  end if;
+
+  for v_item in select value from jsonb_array_elements(v_import.diff -> 'categories') loop
+    insert into categories (name, slug, display_order)
+    values (v_item ->> 'name', v_item ->> 'slug', 100)
+    on conflict (slug) do nothing;
+
+    if found then
+      v_categories := v_categories + 1;
+    end if;
+  end loop;
+
+  for v_item in select value from jsonb_array_elements(v_import.diff -> 'new') loop
+    insert into products (name, description, price, category_id, available, updated_by, created_at)
+    values (
+      v_item ->> 'name',
+      coalesce(v_item ->> 'description', ''),
+      (v_item ->> 'price')::numeric,
+      (select id from categories where slug = v_item #>> '{category,slug}'),
+      true,
+      p_user_id,
+      now()
+    );
+
+    v_created := v_created + 1;
+  end loop;
+
+  -- Um preço com desconto que deixaria de ser menor que o novo preço é removido
+  for v_item in select value from jsonb_array_elements(v_import.diff -> 'changed') loop
+    update products
+    set price = (v_item ->> 'new_price')::numeric,
+        "discountPrice" = case
+          when "discountPrice" < (v_item ->> 'new_price')::numeric then "discountPrice"
+        end,
+        updated_by = p_user_id,
+        updated_at = now()
+    where id = (v_item ->> 'product_id')::uuid;
+
+    if found then
+      v_updated := v_updated + 1;
+    end if;
+  end loop;
+
+  if p_deactivate_missing then
+    update products
+    set available = false,
+        updated_by = p_user_id,
+        updated_at = now()
+    where available
+      and id in (
+        select (value ->> 'product_id')::uuid
+        from jsonb_array_elements(v_import.diff -> 'missing')
+      );
+
+    get diagnostics v_deactivated = row_count;
+  end if;
+
+  update menu_imports
+  set status = 'applied',
+      applied_by = p_user_id,
+      applied_at = now(),
+      result = jsonb_build_object(
+        'categories_created', v_categories,
+        'products_created', v_created,
+        'prices_updated', v_updated,
+        'products_deactivated', v_deactivated
+      )
+  where id = p_import_id
+  returning * into v_import;
+
+  return v_import;
+end;
+$$;
@@ -0,0 +1,12 @@
+-- Imagens dos produtos enviadas pela API.
+--
+-- Cada imagem é gravada no armazenamento de arquivos em três variantes WebP
+-- (thumbnail, medium e large). image_key é a base das chaves das variantes,
+-- usada para apagar os arquivos quando a imagem é trocada ou o produto é
+-- excluído; images guarda a URL de cada variante e imageUrl continua sendo a
+-- imagem principal (variante medium). Produtos com imageUrl externa ficam com
+-- image_key nulo.
+
+alter table products
+  add column if not exists image_key text,
+  add column if not exists images jsonb;
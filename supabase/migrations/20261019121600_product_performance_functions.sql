@@ -0,0 +1,98 @@
+-- Agregações do relatório de desempenho de produtos, calculadas no banco para um
+-- intervalo [p_from, p_to). Vendas canceladas e estornadas não entram no relatório.
+
+-- Vendas por produto. Todos os produtos do catálogo aparecem, inclusive os que não
+-- venderam; itens de produtos excluídos são agrupados em uma linha com product_id nulo.
+-- Unidades vendidas dentro de combos ficam em combo_units; o faturamento fica no combo.
+create or replace function product_sales(p_from timestamptz, p_to timestamptz)
+returns table (
+  product_id uuid,
+  name text,
+  category text,
+  available boolean,
+  units bigint,
+  combo_units bigint,
+  revenue numeric
+)
+language sql
+stable
+as $$
+  with sold as (
+    select si.id, si.product_id, si.quantity, si.subtotal
+    from sale_items si
+    join sales s on s.id = si.sale_id
+    where s.created_at >= p_from
+      and s.created_at < p_to
+      and s.status not in ('cancelled', 'refunded')
+  ),
+  direct as (
+    select sold.product_id, sum(sold.quantity)::bigint as units, sum(sold.subtotal) as revenue
+    from sold
+    group by sold.product_id
+  ),
+  in_combos as (
+    select c.product_id, sum(sold.quantity * c.quantity)::bigint as units
+    from sold
+    join sale_item_components c on c.sale_item_id = sold.id
+    where c.product_id is not null
+    group by c.product_id
+  )
+  select
+    p.id,
+    p.name,
+    cat.name,
+    p.available,
+    coalesce(d.units, 0)::bigint,
+    coalesce(ic.units, 0)::bigint,
+    coalesce(d.revenue, 0)
+  from products p
+  left join categories cat on cat.id = p.category_id
+  left join direct d on d.product_id = p.id
+  left join in_combos ic on ic.product_id = p.id
+  union all
+  select null, 'Produto removido', null, false, d.units, 0::bigint, d.revenue
+  from direct d
+  where d.product_id is null;
+$$;
+
+-- Vendas por categoria; itens sem categoria (ou de produtos excluídos) ficam com category_id nulo
+create or replace function category_sales(p_from timestamptz, p_to timestamptz)
+returns table (category_id uuid, category text, units bigint, revenue numeric)
+language sql
+stable
+as $$
+  select
+    cat.id,
+    coalesce(cat.name, 'Sem categoria'),
+    sum(si.quantity)::bigint,
+    sum(si.subtotal)
+  from sale_items si
+  join sales s on s.id = si.sale_id
+  left join products p on p.id = si.product_id
+  left join categories cat on cat.id = p.category_id
+  where s.created_at >= p_from
+    and s.created_at < p_to
+    and s.status not in ('cancelled', 'refunded')
+  group by cat.id, cat.name;
+$$;
+
+-- Pedidos, unidades e faturamento por dia da semana (0 = domingo) e hora no fuso do restaurante.
+-- Cada venda cai em uma única célula, então a soma dos pedidos das células é o total de pedidos.
+create or replace function sales_heatmap(p_from timestamptz, p_to timestamptz, p_timezone text)
+returns table (weekday integer, hour integer, orders bigint, units bigint, revenue numeric)
+language sql
+stable
+as $$
+  select
+    extract(dow from s.created_at at time zone p_timezone)::integer,
+    extract(hour from s.created_at at time zone p_timezone)::integer,
+    count(distinct s.id),
+    sum(si.quantity)::bigint,
+    sum(si.subtotal)
+  from sales s
+  join sale_items si on si.sale_id = s.id
+  where s.created_at >= p_from
+    and s.created_at < p_to
+    and s.status not in ('cancelled', 'refunded')
+  group by 1, 2;
+$$;
@@ -0,0 +1,147 @@
+-- create_sale passa a registrar o custo dos itens e a baixar os insumos na mesma
+-- transação em que grava a venda: se a baixa falhar, a venda não é criada, e uma
+-- venda gravada nunca fica sem custo ou sem movimentação de estoque.
+--
+-- Adicionais (sale_item_options) não têm ficha técnica e continuam sem baixa de
+-- estoque e sem custo; apenas produtos e componentes de combos são considerados.
+
+create or replace function create_sale(
+  p_sale jsonb,
+  p_items jsonb,
+  p_idempotency_key text default null,
+  p_discounts jsonb default '[]'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale_id sales.id%type;
+  v_item jsonb;
+  v_item_id sale_items.id%type;
+  v_discount jsonb;
+  v_coupon coupons;
+  v_customer_id uuid := nullif(p_sale->>'customer_id', '')::uuid;
+  v_points integer;
+  v_stock jsonb;
+begin
+  -- Requisição repetida: devolve a venda já criada
+  if p_idempotency_key is not null then
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+
+    if found then
+      return jsonb_build_object('id', v_sale_id, 'created', false);
+    end if;
+  end if;
+
+  -- Confere os limites de uso com os cupons bloqueados
+  for v_discount in
+    select * from jsonb_array_elements(p_discounts) where value->>'coupon_id' is not null
+  loop
+    select * into v_coupon from coupons
+    where id = (v_discount->>'coupon_id')::uuid
+    for update;
+
+    if v_coupon.usage_limit is not null
+       and coupon_usage(v_coupon.id) >= v_coupon.usage_limit then
+      raise exception 'O cupom % atingiu o limite de usos', v_coupon.code;
+    end if;
+
+    if v_coupon.usage_limit_per_customer is not null and v_customer_id is null then
+      raise exception 'O cupom % exige a identificação do cliente', v_coupon.code
+        using errcode = '23514';
+    end if;
+
+    if v_coupon.usage_limit_per_customer is not null
+       and coupon_usage(v_coupon.id, v_customer_id) >= v_coupon.usage_limit_per_customer then
+      raise exception 'O cupom % já foi usado o máximo de vezes por este cliente', v_coupon.code;
+    end if;
+  end loop;
+
+  insert into sales
+  select (jsonb_populate_record(
+    null::sales,
+    jsonb_build_object('id', gen_random_uuid(), 'status', 'pending', 'created_at', now())
+      || p_sale
+      || jsonb_build_object('idempotency_key', p_idempotency_key)
+  )).*
+  returning id into v_sale_id;
+
+  for v_item in select * from jsonb_array_elements(p_items) loop
+    insert into sale_items
+    select (jsonb_populate_record(
+      null::sale_items,
+      jsonb_build_object('id', gen_random_uuid(), 'created_at', now())
+        || (v_item - 'options' - 'components')
+        || jsonb_build_object('sale_id', v_sale_id)
+    )).*
+    returning id into v_item_id;
+
+    insert into sale_item_options (sale_item_id, option_id, group_name, name, price)
+    select
+      v_item_id,
+      (option->>'option_id')::uuid,
+      option->>'group_name',
+      option->>'name',
+      (option->>'price')::numeric
+    from jsonb_array_elements(coalesce(v_item->'options', '[]'::jsonb)) as option;
+
+    insert into sale_item_components (sale_item_id, slot_id, slot_name, product_id, name, quantity, upcharge)
+    select
+      v_item_id,
+      (component->>'slot_id')::uuid,
+      component->>'slot_name',
+      (component->>'product_id')::uuid,
+      component->>'name',
+      (component->>'quantity')::integer,
+      (component->>'upcharge')::numeric
+    from jsonb_array_elements(coalesce(v_item->'components', '[]'::jsonb)) as component;
+  end loop;
+
+  insert into sale_discounts (sale_id, coupon_id, code, type, description, amount, points)
+  select
+    v_sale_id,
+    (discount->>'coupon_id')::uuid,
+    discount->>'code',
+    discount->>'type',
+    discount->>'description',
+    (discount->>'amount')::numeric,
+    (discount->>'points')::integer
+  from jsonb_array_elements(p_discounts) as discount;
+
+  -- Debita os pontos trocados, com o saldo conferido na mesma atualização
+  select coalesce(sum((discount->>'points')::integer), 0) into v_points
+  from jsonb_array_elements(p_discounts) as discount
+  where discount->>'type' = 'loyalty';
+
+  if v_points > 0 then
+    update customers set points_balance = points_balance - v_points
+    where id = v_customer_id and points_balance >= v_points;
+
+    if not found then
+      raise exception 'Saldo de pontos insuficiente';
+    end if;
+
+    insert into loyalty_transactions (customer_id, sale_id, type, points)
+    values (v_customer_id, v_sale_id, 'redeem', -v_points);
+  end if;
+
+  -- Custo do momento da venda e baixa dos insumos, na mesma transação da venda
+  perform record_sale_costs(v_sale_id);
+  v_stock := apply_sale_stock(v_sale_id, 'sale');
+
+  return jsonb_build_object(
+    'id', v_sale_id,
+    'created', true,
+    'disabled_products', v_stock->'disabled_products'
+  );
+exception
+  when unique_violation then
+    -- Outra requisição com a mesma chave concluiu primeiro
+    if p_idempotency_key is null then
+      raise;
+    end if;
+
+    select id into v_sale_id from sales where idempotency_key = p_idempotency_key;
+    return jsonb_build_object('id', v_sale_id, 'created', false);
+end;
+$$;
@@ -0,0 +1,62 @@
+-- Notificações de status entram na fila pelo banco, na mesma transação da
+-- mudança de status: um gatilho no histórico (sale_status_history) cria a
+-- mensagem quando há modelo ativo e o cliente tem telefone. O texto passa a ser
+-- montado pelo processador no primeiro envio, por isso body deixa de ser
+-- obrigatório.
+
+alter table notification_queue alter column body drop not null;
+
+-- Coloca na fila a mensagem do novo status (uma por venda e status)
+create or replace function enqueue_sale_notification()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into notification_queue (sale_id, status, recipient)
+  select new.sale_id, new.to_status, c.phone
+  from sales s
+  join customers c on c.id = s.customer_id
+  join notification_templates t on t.status = new.to_status and t.active
+  where s.id = new.sale_id
+    and coalesce(c.phone, '') <> ''
+  on conflict (sale_id, status) do nothing;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists sale_status_history_enqueue_notification on sale_status_history;
+create trigger sale_status_history_enqueue_notification
+  after insert on sale_status_history
+  for each row execute function enqueue_sale_notification();
+
+-- Reserva um lote de notificações para envio. Reservas abandonadas (processo
+-- encerrado no meio do envio) voltam a ser reservadas depois de p_lock_timeout,
+-- enquanto ainda houver tentativas
+create or replace function claim_notifications(
+  p_limit integer default 10,
+  p_lock_timeout interval default interval '5 minutes'
+)
+returns setof notification_queue
+language plpgsql
+as $$
+begin
+  -- Reservas abandonadas sem tentativas restantes são encerradas como falha
+  update notification_queue
+  set state = 'failed', locked_at = null, last_error = coalesce(last_error, 'Envio interrompido')
+  where state = 'sending' and locked_at < now() - p_lock_timeout and attempts >= max_attempts;
+
+  return query
+  update notification_queue q
+  set state = 'sending', attempts = q.attempts + 1, locked_at = now()
+  where q.id in (
+    select id from notification_queue
+    where (state = 'pending' and next_attempt_at <= now())
+       or (state = 'sending' and locked_at < now() - p_lock_timeout and attempts < max_attempts)
+    order by next_attempt_at
+    limit p_limit
+    for update skip locked
+  )
+  returning q.*;
+end;
+$$;
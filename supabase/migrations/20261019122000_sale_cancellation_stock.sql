@@ -0,0 +1,38 @@
+-- update_sale_status passa a devolver os insumos ao estoque no cancelamento, na
+-- mesma transação da mudança de status. Antes o estorno era feito depois, pela
+-- API: uma falha deixava a venda cancelada sem o estoque de volta, e o status
+-- final impedia uma nova tentativa.
+
+create or replace function update_sale_status(
+  p_sale_id uuid,
+  p_from_status text,
+  p_to_status text,
+  p_changed_by text default null,
+  p_notes text default null
+)
+returns setof sales
+language plpgsql
+as $$
+declare
+  v_sale sales;
+begin
+  update sales
+  set status = p_to_status
+  where id = p_sale_id and status = p_from_status
+  returning * into v_sale;
+
+  if not found then
+    return;
+  end if;
+
+  insert into sale_status_history (sale_id, from_status, to_status, changed_by, notes)
+  values (p_sale_id, p_from_status, p_to_status, p_changed_by, p_notes);
+
+  -- Só há estorno do que foi efetivamente baixado (apply_sale_stock)
+  if p_to_status = 'cancelled' then
+    perform apply_sale_stock(p_sale_id, 'cancellation');
+  end if;
+
+  return next v_sale;
+end;
+$$;
@@ -0,0 +1,50 @@
+-- update_sale_status passa a creditar os pontos de fidelidade na entrega e a
+-- desfazê-los no cancelamento ou estorno, na mesma transação da mudança de
+-- status. Antes isso era feito depois, pela API: uma falha deixava a venda
+-- entregue sem pontos (ou cancelada com pontos) sem caminho para repetir.
+--
+-- A assinatura ganha p_points_per_real, por isso a versão anterior é removida.
+
+drop function if exists update_sale_status(uuid, text, text, text, text);
+
+create or replace function update_sale_status(
+  p_sale_id uuid,
+  p_from_status text,
+  p_to_status text,
+  p_changed_by text default null,
+  p_notes text default null,
+  p_points_per_real numeric default 1
+)
+returns setof sales
+language plpgsql
+as $$
+declare
+  v_sale sales;
+begin
+  update sales
+  set status = p_to_status
+  where id = p_sale_id and status = p_from_status
+  returning * into v_sale;
+
+  if not found then
+    return;
+  end if;
+
+  insert into sale_status_history (sale_id, from_status, to_status, changed_by, notes)
+  values (p_sale_id, p_from_status, p_to_status, p_changed_by, p_notes);
+
+  -- Só há estorno do que foi efetivamente baixado (apply_sale_stock)
+  if p_to_status = 'cancelled' then
+    perform apply_sale_stock(p_sale_id, 'cancellation');
+  end if;
+
+  -- Pontos creditados na entrega e desfeitos no cancelamento ou estorno
+  if p_to_status = 'delivered' then
+    perform award_loyalty_points(p_sale_id, p_points_per_real);
+  elsif p_to_status in ('cancelled', 'refunded') then
+    perform reverse_loyalty_points(p_sale_id);
+  end if;
+
+  return next v_sale;
+end;
+$$;